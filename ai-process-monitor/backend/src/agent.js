@@ -0,0 +1,131 @@
+// Remote agent: collects metrics on this host and pushes them to a central
+// server (POST /api/agents/ingest) instead of writing to MongoDB itself.
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const processMonitor = require('./services/processMonitor');
+const selectionPolicy = require('./services/selectionPolicy');
+const { sourceOptionsFromEnv } = require('./services/sources');
+
+const serverUrl = (process.env.AGENT_SERVER_URL || 'http://localhost:3001').replace(/\/$/, '');
+const host = process.env.AGENT_HOST || os.hostname();
+const token = process.env.AGENT_TOKEN || null;
+const interval = parseInt(process.env.AGENT_INTERVAL_MS) || 2000;
+const bufferSize = parseInt(process.env.AGENT_BUFFER_SIZE) || 300; // batches kept while the server is unreachable
+const maxBatchesPerRequest = parseInt(process.env.AGENT_MAX_BATCHES_PER_REQUEST) || 20;
+const requestTimeout = parseInt(process.env.AGENT_REQUEST_TIMEOUT_MS) || 10000;
+
+// A fresh ID per run lets the server reset its sequence tracking on restart
+const agentId = crypto.randomUUID();
+
+const buffer = [];
+let seq = 0;
+let dropped = 0;
+let timer = null;
+let busy = false;
+
+async function request(method, route, body) {
+    const headers = { 'content-type': 'application/json' };
+    if (token) headers['x-agent-token'] = token;
+
+    const response = await fetch(`${serverUrl}${route}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(requestTimeout)
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(`${method} ${route} failed with status ${response.status}` +
+            (body.error ? `: ${body.error}` : ''));
+    }
+    return response.json();
+}
+
+// Use the server's selection policy so agents monitor the same processes
+async function syncPolicy() {
+    try {
+        selectionPolicy.apply(await request('GET', '/api/selection-policy'));
+    } catch (error) {
+        console.warn('Selection policy fetch failed, using defaults. Error:', error.message);
+    }
+}
+
+async function collect() {
+    const processes = await processMonitor.getProcesses();
+    const stats = await processMonitor.getSystemStats();
+
+    buffer.push({
+        seq: seq++,
+        time: Date.now(),
+        processes: selectionPolicy.persistable(processes),
+        stats
+    });
+
+    // Drop the oldest batches rather than growing without bound
+    if (buffer.length > bufferSize) {
+        dropped += buffer.length - bufferSize;
+        buffer.splice(0, buffer.length - bufferSize);
+        console.warn(`Agent buffer full, ${dropped} batches dropped so far`);
+    }
+}
+
+// Send buffered batches oldest first; they stay buffered until acknowledged
+async function flush() {
+    while (buffer.length > 0) {
+        const batches = buffer.slice(0, maxBatchesPerRequest);
+        await request('POST', '/api/agents/ingest', { host, agentId, batches });
+        buffer.splice(0, batches.length);
+    }
+}
+
+async function tick() {
+    if (busy) return;
+    busy = true;
+    try {
+        await collect();
+        await flush();
+    } catch (error) {
+        console.error(`Agent push failed (${buffer.length} batches buffered):`, error.message);
+    } finally {
+        busy = false;
+    }
+}
+
+async function start() {
+    await processMonitor.configureSource(sourceOptionsFromEnv());
+    await syncPolicy();
+
+    console.log(`Agent for host ${host} reporting to ${serverUrl} every ${interval}ms`);
+    timer = setInterval(tick, interval);
+    tick();
+}
+
+async function shutdown(signal) {
+    console.log(`\nReceived ${signal}. Stopping agent...`);
+    clearInterval(timer);
+
+    try {
+        await flush();
+    } catch (error) {
+        console.warn(`Final flush failed, ${buffer.length} batches lost:`, error.message);
+    }
+
+    try {
+        await processMonitor.close();
+    } catch (error) {
+        console.warn('Metric source close warning:', error.message);
+    }
+    process.exit(0);
+}
+
+['SIGINT', 'SIGTERM'].forEach(sig => {
+    process.on(sig, () => shutdown(sig));
+});
+
+start().catch(error => {
+    console.error('Agent startup error:', error);
+    process.exit(1);
+});
@@ -1,11 +1,17 @@
 const math = require('mathjs');
+const FeaturePipeline = require('./featurePipeline');
+
+// Features of forests saved before the feature pipeline existed
+const LEGACY_FEATURES = ['cpu', 'memory', 'ioRead', 'ioWrite', 'majorFaults', 'ctxSwitchesInvoluntary', 'fdCount', 'swap'];
 
 class IsolationForest {
-    constructor(numTrees = 100, sampleSize = 256, contamination = 0.1) {
+    constructor(numTrees = 100, sampleSize = 256, contamination = 0.1, pipeline = FeaturePipeline.forModel('anomaly_detector')) {
+        this.pipeline = pipeline; // turns samples into the vectors fit() and predict() take
         this.numTrees = numTrees;
         this.sampleSize = sampleSize;
         this.contamination = contamination;
         this.trees = [];
+        this.numFeatures = null;
         this.trained = false;
     }
 
@@ -48,6 +54,7 @@ class IsolationForest {
     // Train the forest
     fit(data) {
         this.trees = [];
+        this.numFeatures = data[0]?.length ?? null;
         const maxDepth = Math.ceil(Math.log2(this.sampleSize));
 
         for (let i = 0; i < this.numTrees; i++) {
@@ -108,6 +115,36 @@ class IsolationForest {
         if (!Array.isArray(data)) return [];
         return data.map(point => this.predict(point));
     }
+
+    // Serializable form of a trained forest
+    toJSON() {
+        return {
+            numTrees: this.numTrees,
+            sampleSize: this.sampleSize,
+            contamination: this.contamination,
+            numFeatures: this.numFeatures,
+            pipeline: this.pipeline.toJSON(),
+            trees: this.trees
+        };
+    }
+
+    // Restore a forest saved with toJSON()
+    static fromJSON(json) {
+        if (!json || !Array.isArray(json.trees) || json.trees.length === 0 || json.trees.length !== json.numTrees) {
+            throw new Error('Isolation forest data has no trees or a wrong tree count');
+        }
+
+        const pipeline = json.pipeline ? FeaturePipeline.fromJSON(json.pipeline) : FeaturePipeline.raw(LEGACY_FEATURES);
+        if (json.numFeatures != null && json.numFeatures !== pipeline.size) {
+            throw new Error(`Isolation forest was trained on ${json.numFeatures} features, its pipeline has ${pipeline.size}`);
+        }
+
+        const forest = new IsolationForest(json.numTrees, json.sampleSize, json.contamination, pipeline);
+        forest.trees = json.trees;
+        forest.numFeatures = json.numFeatures ?? null;
+        forest.trained = true;
+        return forest;
+    }
 }
 
 module.exports = IsolationForest;
\ No newline at end of file
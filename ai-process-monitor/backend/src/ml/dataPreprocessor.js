@@ -38,69 +38,88 @@ class DataPreprocessor {
         return values.map(val => (val - mean) / std);
     }
 
-    // Feature engineering for processes
-    engineerFeatures(process, historicalData = []) {
-        const features = {
-            // Current metrics
-            cpu: process.cpu || 0,
-            memory: process.memory || 0,
-            threads: process.threads || 1,
-
-            // Derived features
-            cpuPerThread: (process.cpu || 0) / (process.threads || 1),
-            memoryPerThread: (process.memory || 0) / (process.threads || 1),
-
-            // Statistical features from history
-            cpuMean: 0,
-            cpuStd: 0,
-            cpuTrend: 0,
-            memoryMean: 0,
-            memoryStd: 0,
-            memoryTrend: 0
-        };
-
-        if (historicalData.length > 0) {
-            const cpuHistory = historicalData.map(d => d.cpu || 0);
-            const memHistory = historicalData.map(d => d.memory || 0);
-
-            features.cpuMean = cpuHistory.reduce((a, b) => a + b, 0) / cpuHistory.length;
-            features.memoryMean = memHistory.reduce((a, b) => a + b, 0) / memHistory.length;
-
-            const cpuVariance = cpuHistory.reduce((sum, val) =>
-                sum + Math.pow(val - features.cpuMean, 2), 0) / cpuHistory.length;
-            features.cpuStd = Math.sqrt(cpuVariance);
-
-            const memVariance = memHistory.reduce((sum, val) =>
-                sum + Math.pow(val - features.memoryMean, 2), 0) / memHistory.length;
-            features.memoryStd = Math.sqrt(memVariance);
-
-            // Calculate trend (simple linear regression slope)
-            features.cpuTrend = this.calculateTrend(cpuHistory);
-            features.memoryTrend = this.calculateTrend(memHistory);
-        }
-
-        return features;
+    // Feature vector for the anomaly detector, from a process or a stored metrics record
+    anomalyFeatures(metrics) {
+        return [
+            metrics.cpu || 0,
+            metrics.memory || 0,
+            metrics.ioRead || 0,
+            metrics.ioWrite || 0,
+            metrics.majorFaults || 0,
+            metrics.ctxSwitchesInvoluntary || 0,
+            metrics.fdCount || 0,
+            metrics.swap || 0
+        ];
     }
 
-    // Calculate linear trend
-    calculateTrend(data) {
+    // Calculate linear trend: slope per step, or per unit of xs when given
+    // (e.g. seconds of each sample)
+    calculateTrend(data, xs = null) {
         const n = data.length;
         if (n < 2) return 0;
 
-        const xMean = (n - 1) / 2;
+        const x = xs || data.map((_, idx) => idx);
+        const xMean = x.reduce((a, b) => a + b, 0) / n;
         const yMean = data.reduce((a, b) => a + b, 0) / n;
 
         let numerator = 0;
         let denominator = 0;
 
         for (let i = 0; i < n; i++) {
-            numerator += (i - xMean) * (data[i] - yMean);
-            denominator += Math.pow(i - xMean, 2);
+            numerator += (x[i] - xMean) * (data[i] - yMean);
+            denominator += Math.pow(x[i] - xMean, 2);
         }
 
         return denominator === 0 ? 0 : numerator / denominator;
     }
 
+    mean(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    }
+
+    std(values) {
+        if (values.length < 2) return 0;
+        const mean = this.mean(values);
+        return Math.sqrt(values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length);
+    }
+
+    // Learn a feature's scaler: 'minmax', 'standard' or 'none'
+    fitScaler(values, featureName, method) {
+        if (method === 'minmax') this.normalize(values, featureName);
+        else if (method === 'standard') this.standardize(values, featureName);
+        else this.scalers.set(featureName, { method: 'none' });
+    }
+
+    // Apply a learned scaler to one value, and undo it
+    scale(value, featureName) {
+        const scaler = this.scalers.get(featureName);
+        if (!scaler) {
+            throw new Error(`No scaler found for feature: ${featureName}`);
+        }
+        if (scaler.range !== undefined) return (value - scaler.min) / scaler.range;
+        if (scaler.std !== undefined) return (value - scaler.mean) / scaler.std;
+        return value;
+    }
+
+    unscale(value, featureName) {
+        const scaler = this.scalers.get(featureName);
+        if (!scaler) {
+            throw new Error(`No scaler found for feature: ${featureName}`);
+        }
+        if (scaler.range !== undefined) return value * scaler.range + scaler.min;
+        if (scaler.std !== undefined) return value * scaler.std + scaler.mean;
+        return value;
+    }
+
+    // Scaler state as a plain object, to be saved with a model
+    exportScalers() {
+        return Object.fromEntries(this.scalers);
+    }
+
+    importScalers(scalers) {
+        this.scalers = new Map(Object.entries(scalers || {}));
+    }
+
     // Create sliding windows for time series
     createWindows(data, windowSize = 10, stride = 1) {
         const windows = [];
@@ -0,0 +1,281 @@
+const fs = require('fs');
+const DataPreprocessor = require('./dataPreprocessor');
+
+// Default features of each model. fields are current values, derived are
+// ratios from DERIVED, windows are rolling windows in seconds over
+// windowFields (mean and std), rates are changes per second since the
+// previous sample and trends are slopes per second over the longest window.
+// scaling is one method for all features or { feature: method, default }.
+// ML_FEATURE_CONFIG names a JSON file whose entries replace these per model.
+const DEFAULT_FEATURES = {
+    anomaly_detector: {
+        fields: ['cpu', 'memory', 'ioRead', 'ioWrite', 'majorFaults', 'ctxSwitchesInvoluntary', 'fdCount', 'swap'],
+        derived: ['cpuPerThread', 'memoryPerThread'],
+        windows: [30, 120],
+        windowFields: ['cpu', 'memory'],
+        rates: ['memory', 'fdCount'],
+        trends: ['cpu', 'memory'],
+        scaling: 'standard'
+    },
+    process_classifier: {
+        fields: [
+            'cpu', 'memory', 'threads', 'priority', 'ioRead', 'ioWrite', 'networkSent', 'networkReceived',
+            'ctxSwitchesVoluntary', 'ctxSwitchesInvoluntary', 'minorFaults', 'majorFaults', 'fdCount'
+        ],
+        derived: ['cpuPerThread', 'memoryPerThread'],
+        windows: [120],
+        windowFields: ['cpu'],
+        rates: [],
+        trends: [],
+        scaling: 'none' // tree splits do not need it
+    },
+    lstm_predictor: {
+        fields: ['cpu', 'memory'],
+        derived: [],
+        windows: [30],
+        windowFields: ['cpu'],
+        rates: ['cpu'],
+        trends: [],
+        scaling: 'minmax'
+    }
+};
+
+const DERIVED = {
+    cpuPerThread: sample => (sample.cpu || 0) / (sample.threads || 1),
+    memoryPerThread: sample => (sample.memory || 0) / (sample.threads || 1)
+};
+
+const SCALING_METHODS = ['none', 'minmax', 'standard'];
+
+let overrides;
+function configOverrides() {
+    if (overrides === undefined) {
+        overrides = {};
+        const file = process.env.ML_FEATURE_CONFIG;
+        if (file) {
+            try {
+                overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                console.error(`Ignoring ML_FEATURE_CONFIG ${file}:`, error.message);
+            }
+        }
+    }
+    return overrides;
+}
+
+function timeOf(sample) {
+    const time = new Date(sample.timestamp).getTime();
+    return isNaN(time) ? null : time;
+}
+
+// Turns a sample (a process or a stored metrics record) plus the samples of
+// the same process before it into a model's feature vector. Scalers are
+// learned by fit() and travel with the model through toJSON(), so a loaded
+// model sees features exactly as they were during training.
+class FeaturePipeline {
+    constructor(config) {
+        this.config = {
+            fields: [],
+            derived: [],
+            windows: [],
+            windowFields: [],
+            rates: [],
+            trends: [],
+            scaling: 'none',
+            ...config
+        };
+        this.names = this.featureNames();
+        this.validate();
+        this.preprocessor = new DataPreprocessor();
+        this.fitted = false;
+    }
+
+    // Pipeline of a model by registry name, with ML_FEATURE_CONFIG applied
+    static forModel(name) {
+        return new FeaturePipeline({ ...DEFAULT_FEATURES[name], ...configOverrides()[name] });
+    }
+
+    // Plain current values with fixed scalers, e.g. for models saved before
+    // there was a pipeline
+    static raw(fields, scalers = null) {
+        const pipeline = new FeaturePipeline({ fields, scaling: scalers ? 'minmax' : 'none' });
+        if (scalers) {
+            pipeline.preprocessor.importScalers(scalers);
+        } else {
+            fields.forEach(field => pipeline.preprocessor.fitScaler([], field, 'none'));
+        }
+        pipeline.fitted = true;
+        return pipeline;
+    }
+
+    validate() {
+        const { derived, windows, scaling } = this.config;
+        const unknown = derived.filter(name => !DERIVED[name]);
+        if (unknown.length > 0) throw new Error(`Unknown derived features: ${unknown.join(', ')}`);
+        if (windows.some(seconds => !(seconds > 0))) throw new Error('Feature windows must be positive seconds');
+
+        const methods = typeof scaling === 'string' ? [scaling] : Object.values(scaling);
+        const invalid = methods.filter(method => !SCALING_METHODS.includes(method));
+        if (invalid.length > 0) throw new Error(`Unknown scaling: ${invalid.join(', ')}`);
+        if (this.names.length === 0) throw new Error('Feature pipeline has no features');
+    }
+
+    featureNames() {
+        const { fields, derived, windows, windowFields, rates, trends } = this.config;
+        const names = [...fields, ...derived];
+        windows.forEach(seconds => windowFields.forEach(field => {
+            names.push(`${field}Mean${seconds}s`, `${field}Std${seconds}s`);
+        }));
+        rates.forEach(field => names.push(`${field}Rate`));
+        trends.forEach(field => names.push(`${field}Trend`));
+        return names;
+    }
+
+    get size() {
+        return this.names.length;
+    }
+
+    // Longest span of history any feature looks at, in seconds
+    get horizon() {
+        return this.config.windows.length > 0 ? Math.max(...this.config.windows) : 0;
+    }
+
+    scalingFor(name) {
+        const { scaling } = this.config;
+        return typeof scaling === 'string' ? scaling : (scaling[name] || scaling.default || 'none');
+    }
+
+    // Unscaled feature vector. history holds earlier samples of the same
+    // process, oldest first; samples without a timestamp count as now.
+    extract(sample, history = []) {
+        const { fields, derived, windows, windowFields, rates, trends } = this.config;
+        const value = (item, field) => Number(item[field]) || 0;
+        const now = timeOf(sample) ?? Date.now();
+        const recent = seconds => [
+            ...history.filter(item => (timeOf(item) ?? now) > now - seconds * 1000),
+            sample
+        ];
+
+        const vector = [
+            ...fields.map(field => value(sample, field)),
+            ...derived.map(name => DERIVED[name](sample))
+        ];
+
+        windows.forEach(seconds => {
+            const window = recent(seconds);
+            windowFields.forEach(field => {
+                const values = window.map(item => value(item, field));
+                vector.push(this.preprocessor.mean(values), this.preprocessor.std(values));
+            });
+        });
+
+        const previous = history[history.length - 1];
+        rates.forEach(field => {
+            const elapsed = previous ? (now - (timeOf(previous) ?? now)) / 1000 : 0;
+            vector.push(elapsed > 0 ? (value(sample, field) - value(previous, field)) / elapsed : 0);
+        });
+
+        if (trends.length > 0) {
+            const window = recent(this.horizon);
+            const seconds = window.map(item => ((timeOf(item) ?? now) - now) / 1000);
+            trends.forEach(field => {
+                vector.push(this.preprocessor.calculateTrend(window.map(item => value(item, field)), seconds));
+            });
+        }
+
+        return vector;
+    }
+
+    // Learn each feature's scaler from unscaled vectors
+    fit(vectors) {
+        if (vectors.length === 0) throw new Error('No samples to fit the feature scalers on');
+        this.names.forEach((name, idx) => {
+            this.preprocessor.fitScaler(vectors.map(vector => vector[idx]), name, this.scalingFor(name));
+        });
+        this.fitted = true;
+    }
+
+    scale(vector) {
+        return vector.map((value, idx) => this.preprocessor.scale(value, this.names[idx]));
+    }
+
+    unscale(value, name) {
+        return this.preprocessor.unscale(value, name);
+    }
+
+    // Scaled feature vector of a sample; the pipeline must be fitted
+    transform(sample, history = []) {
+        if (!this.fitted) throw new Error('Feature pipeline is not fitted');
+        return this.scale(this.extract(sample, history));
+    }
+
+    // Fit on rows of { sample, history } and return their scaled vectors
+    fitTransform(rows) {
+        const vectors = rows.map(row => this.extract(row.sample, row.history));
+        this.fit(vectors);
+        return vectors.map(vector => this.scale(vector));
+    }
+
+    // { sample, history } for the last `count` samples of one process's
+    // time-ordered series; history keeps the previous sample plus whatever
+    // falls within the longest window
+    withHistory(series, count = series.length) {
+        const rows = [];
+        for (let idx = Math.max(0, series.length - count); idx < series.length; idx++) {
+            const now = timeOf(series[idx]) ?? 0;
+            let start = idx - 1;
+            while (start > 0 && (timeOf(series[start - 1]) ?? 0) > now - this.horizon * 1000) start--;
+            rows.push({ sample: series[idx], history: series.slice(Math.max(0, start), idx) });
+        }
+        return rows;
+    }
+
+    // Time-ordered samples per process instance ("<host>/<processId>") in
+    // ProcessMetrics records. Samples are the metrics plus timestamp, name
+    // and anomaly label.
+    static processSeries(records) {
+        const series = new Map();
+        records.forEach(record => {
+            const key = `${record.host || ''}/${record.processId}`;
+            if (!series.has(key)) series.set(key, []);
+            series.get(key).push({
+                ...record.metrics,
+                timestamp: record.timestamp,
+                processName: record.processName,
+                anomalyLabel: record.anomalyLabel
+            });
+        });
+        series.forEach(samples => samples.sort((a, b) => timeOf(a) - timeOf(b)));
+        return series;
+    }
+
+    toJSON() {
+        return {
+            config: this.config,
+            names: this.names,
+            scalers: this.preprocessor.exportScalers()
+        };
+    }
+
+    // Restore a fitted pipeline; fails when the features it describes no
+    // longer match what this code would compute for its config
+    static fromJSON(json) {
+        if (!json || !json.config || !json.scalers) {
+            throw new Error('Feature pipeline data has no config or scalers');
+        }
+
+        const pipeline = new FeaturePipeline(json.config);
+        const names = pipeline.names;
+        if (JSON.stringify(names) !== JSON.stringify(json.names)) {
+            throw new Error('Saved feature names do not match the feature pipeline config');
+        }
+        const missing = names.filter(name => !json.scalers[name]);
+        if (missing.length > 0) throw new Error(`No scaler saved for ${missing.join(', ')}`);
+
+        pipeline.preprocessor.importScalers(json.scalers);
+        pipeline.fitted = true;
+        return pipeline;
+    }
+}
+
+module.exports = FeaturePipeline;
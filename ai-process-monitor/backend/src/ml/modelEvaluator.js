@@ -0,0 +1,177 @@
+// Holdout evaluation for the trained models. Data is split by time, never at
+// random: models are trained on the older records and scored on the newest,
+// which is how they are used in production.
+class ModelEvaluator {
+    constructor(validationFraction = parseFloat(process.env.ML_VALIDATION_FRACTION) || 0.2) {
+        this.validationFraction = validationFraction;
+        this.maxForecastSamples = parseInt(process.env.ML_MAX_FORECAST_SAMPLES) || 200;
+    }
+
+    // Oldest records for training, newest for validation
+    timeSplit(records, timeOf = record => new Date(record.timestamp).getTime()) {
+        const sorted = [...records].sort((a, b) => timeOf(a) - timeOf(b));
+        const cut = Math.floor(sorted.length * (1 - this.validationFraction));
+        const train = sorted.slice(0, cut);
+        const validation = sorted.slice(cut);
+        return {
+            train,
+            validation,
+            splitAt: validation.length > 0 ? new Date(timeOf(validation[0])) : null
+        };
+    }
+
+    // Same split for a series that is already in time order
+    seriesSplit(series) {
+        const cut = Math.floor(series.length * (1 - this.validationFraction));
+        return { train: series.slice(0, cut), validation: series.slice(cut) };
+    }
+
+    // MAE, RMSE and MAPE. MAPE leaves out points whose actual value is 0
+    // (idle CPU is common) and is null when all of them are.
+    regressionMetrics(actual, predicted) {
+        const n = actual.length;
+        if (n === 0) return { mae: null, rmse: null, mape: null, samples: 0 };
+
+        let absSum = 0;
+        let sqSum = 0;
+        let pctSum = 0;
+        let pctCount = 0;
+        actual.forEach((value, idx) => {
+            const error = predicted[idx] - value;
+            absSum += Math.abs(error);
+            sqSum += error * error;
+            if (value !== 0) {
+                pctSum += Math.abs(error / value);
+                pctCount++;
+            }
+        });
+
+        return {
+            mae: absSum / n,
+            rmse: Math.sqrt(sqSum / n),
+            mape: pctCount > 0 ? (pctSum / pctCount) * 100 : null,
+            samples: n
+        };
+    }
+
+    // Per-class precision/recall/F1, their macro average and the confusion
+    // matrix (rows are actual classes, columns predicted)
+    classificationMetrics(actual, predicted, classes) {
+        const labels = [...classes];
+        [...actual, ...predicted].forEach(label => {
+            if (!labels.includes(label)) labels.push(label);
+        });
+        const matrix = labels.map(() => labels.map(() => 0));
+        actual.forEach((label, idx) => {
+            matrix[labels.indexOf(label)][labels.indexOf(predicted[idx])]++;
+        });
+
+        const perClass = {};
+        const scored = [];
+        labels.forEach((label, idx) => {
+            const truePositives = matrix[idx][idx];
+            const support = matrix[idx].reduce((sum, count) => sum + count, 0);
+            const predictedCount = matrix.reduce((sum, row) => sum + row[idx], 0);
+            if (support === 0 && predictedCount === 0) return;
+
+            const scores = this.scores(truePositives, predictedCount - truePositives, support - truePositives);
+            perClass[label] = { ...scores, support };
+            // Macro averages cover the classes present in the validation set
+            if (support > 0) scored.push(scores);
+        });
+
+        const correct = labels.reduce((sum, label, idx) => sum + matrix[idx][idx], 0);
+        const average = key => (scored.length > 0 ? scored.reduce((sum, s) => sum + s[key], 0) / scored.length : null);
+        return {
+            accuracy: actual.length > 0 ? correct / actual.length : null,
+            precision: average('precision'),
+            recall: average('recall'),
+            f1Score: average('f1Score'),
+            samples: actual.length,
+            perClass,
+            confusionMatrix: { labels, matrix }
+        };
+    }
+
+    // Precision/recall/F1 for a yes/no prediction such as "is anomalous"
+    binaryMetrics(actual, predicted) {
+        const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+        actual.forEach((value, idx) => {
+            if (value && predicted[idx]) counts.truePositives++;
+            else if (!value && predicted[idx]) counts.falsePositives++;
+            else if (value) counts.falseNegatives++;
+            else counts.trueNegatives++;
+        });
+
+        return {
+            ...this.scores(counts.truePositives, counts.falsePositives, counts.falseNegatives),
+            accuracy: actual.length > 0 ? (counts.truePositives + counts.trueNegatives) / actual.length : null,
+            samples: actual.length,
+            confusionMatrix: {
+                labels: ['anomaly', 'normal'],
+                matrix: [
+                    [counts.truePositives, counts.falseNegatives],
+                    [counts.falsePositives, counts.trueNegatives]
+                ]
+            }
+        };
+    }
+
+    scores(truePositives, falsePositives, falseNegatives) {
+        const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+        const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+        const f1Score = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+        return { precision, recall, f1Score };
+    }
+
+    // One-step-ahead cpu forecasts over the validation samples of a process,
+    // next to two naive baselines: repeat the last value, and the mean of the
+    // last `lookback` values. history holds the process's training samples,
+    // used as context for the first forecasts.
+    async evaluateForecaster(model, history, validation, lookback) {
+        const series = [...history, ...validation];
+        const start = Math.max(history.length, lookback, series.length - this.maxForecastSamples);
+        const actual = [];
+        const predicted = [];
+        const lastValue = [];
+        const movingAverage = [];
+
+        for (let idx = start; idx < series.length; idx++) {
+            const earlier = series.slice(0, idx);
+            const window = earlier.slice(-lookback).map(sample => sample.cpu || 0);
+            actual.push(series[idx].cpu || 0);
+            predicted.push(await model.predict(earlier));
+            lastValue.push(window[window.length - 1]);
+            movingAverage.push(window.reduce((sum, value) => sum + value, 0) / window.length);
+        }
+
+        const metrics = this.regressionMetrics(actual, predicted);
+        const baselines = {
+            lastValue: this.regressionMetrics(actual, lastValue),
+            movingAverage: this.regressionMetrics(actual, movingAverage)
+        };
+        return {
+            ...metrics,
+            mse: metrics.rmse === null ? null : metrics.rmse * metrics.rmse,
+            // Share of the last-value baseline's error the model removes; negative when it is worse
+            skill: baselines.lastValue.mae ? 1 - metrics.mae / baselines.lastValue.mae : null,
+            baselines
+        };
+    }
+
+    // labeled = [{ process, label, history }] as used to train ProcessClassifier
+    evaluateClassifier(model, labeled) {
+        const actual = labeled.map(item => item.label);
+        const predicted = labeled.map(item => model.predict(item.process, item.history).class);
+        return this.classificationMetrics(actual, predicted, model.classes);
+    }
+
+    // labeled = [{ features, anomalous }]; a score above threshold counts as an anomaly
+    evaluateAnomalyDetector(model, labeled, threshold) {
+        const actual = labeled.map(item => Boolean(item.anomalous));
+        const predicted = labeled.map(item => model.predict(item.features) > threshold);
+        return { ...this.binaryMetrics(actual, predicted), threshold };
+    }
+}
+
+module.exports = ModelEvaluator;
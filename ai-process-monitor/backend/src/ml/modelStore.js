@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const storage = require('../storage');
+const MLModel = require('../models/MLModel');
+const IsolationForest = require('./anomalyDetector');
+const LSTMPredictor = require('./timeSeriesPredictor');
+const ProcessClassifier = require('./processClassifier');
+
+const DEFAULT_MODELS_PATH = path.join(__dirname, '../../trained_models');
+
+// Persisted models: MLModel type, class, and whether weights are stored by tfjs
+const MODELS = {
+    anomaly_detector: { type: 'isolation_forest', ModelClass: IsolationForest },
+    process_classifier: { type: 'random_forest', ModelClass: ProcessClassifier },
+    lstm_predictor: { type: 'lstm', ModelClass: LSTMPredictor, tfjs: true }
+};
+
+// Hyperparameters that must agree between MLModel metadata and an artifact
+const CHECKED_HYPERPARAMETERS = ['numTrees', 'sampleSize', 'numFeatures', 'inputShape', 'hiddenUnits'];
+
+// Registry errors carry a code: not_found, conflict or invalid_artifact
+function registryError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Registry of trained model versions. Every training run is a new MLModel
+// document and a directory trained_models/<name>/<version>/ holding
+// artifact.json (the serialized model; tfjs weights sit next to it).
+// Status moves training -> trained -> deployed -> deprecated; at most one
+// version per model is deployed and that is the one the server runs.
+class ModelStore {
+    constructor(modelsPath = process.env.ML_MODELS_PATH || DEFAULT_MODELS_PATH) {
+        this.modelsPath = modelsPath;
+        this.indexesSynced = false;
+    }
+
+    get names() {
+        return Object.keys(MODELS);
+    }
+
+    dirFor(name, version) {
+        return path.join(this.modelsPath, name, String(version));
+    }
+
+    collection() {
+        return storage.collection(MLModel);
+    }
+
+    // Databases created before versioning have a unique index on name alone
+    async syncIndexes() {
+        if (this.indexesSynced || storage.backend !== 'mongo') return;
+        await MLModel.syncIndexes();
+        this.indexesSynced = true;
+    }
+
+    // Register a new version of a trained model and write its artifacts.
+    // The first version of a model is deployed right away; later ones wait
+    // for promote(). Returns the version.
+    async save(name, model, metadata = {}) {
+        const spec = MODELS[name];
+        if (!spec) throw registryError('not_found', `Unknown model: ${name}`);
+        await this.syncIndexes();
+
+        const version = Date.now();
+        const dir = this.dirFor(name, version);
+        const serialized = model.toJSON();
+        const hyperparameters = { ...metadata.hyperparameters };
+        CHECKED_HYPERPARAMETERS.forEach(key => {
+            if (serialized[key] !== undefined && serialized[key] !== null) hyperparameters[key] = serialized[key];
+        });
+
+        const collection = this.collection();
+        await collection.insertOne({
+            ...metadata,
+            name,
+            type: spec.type,
+            version,
+            status: 'training', // until the artifacts are complete
+            modelPath: dir,
+            hyperparameters,
+            lastTrained: new Date()
+        });
+
+        try {
+            await fs.promises.mkdir(dir, { recursive: true });
+            if (spec.tfjs) await model.save(dir);
+            const artifact = { name, type: spec.type, version, savedAt: new Date().toISOString(), model: serialized };
+            await fs.promises.writeFile(path.join(dir, 'artifact.json'), JSON.stringify(artifact));
+        } catch (error) {
+            await collection.deleteMany({ name, version });
+            await fs.promises.rm(dir, { recursive: true, force: true });
+            throw error;
+        }
+
+        await collection.findOneAndUpdate({ name, version }, { status: 'trained', updatedAt: new Date() });
+        console.log(`Saved ${name} version ${version}`);
+
+        if (!(await this.deployed(name))) {
+            const { model: loaded } = await this.promote(name, version, { by: metadata.createdBy || 'system' });
+            this.dispose(loaded);
+        }
+        return version;
+    }
+
+    // Free what a model holds outside the JS heap (tfjs tensors)
+    dispose(model) {
+        if (model instanceof LSTMPredictor && model.model) model.model.dispose();
+    }
+
+    async deployed(name) {
+        return this.collection().findOne({ name, status: 'deployed' });
+    }
+
+    async versions(name) {
+        return this.collection().find({ name }, { sort: { version: -1 } });
+    }
+
+    // Every model with its deployed and latest version
+    async list() {
+        const names = new Set([...this.names, ...(await this.collection().distinct('name'))]);
+        const models = [];
+        for (const name of names) {
+            const versions = await this.versions(name);
+            const deployed = versions.find(doc => doc.status === 'deployed');
+            models.push({
+                name,
+                type: MODELS[name]?.type || versions[0]?.type || null,
+                versions: versions.length,
+                deployedVersion: deployed ? deployed.version : null,
+                latestVersion: versions.length > 0 ? versions[0].version : null
+            });
+        }
+        return models;
+    }
+
+    // Metrics of several versions side by side
+    async compare(name, versionList) {
+        const docs = await this.collection().find({ name, version: { $in: versionList } }, { sort: { version: 1 } });
+        const missing = versionList.filter(version => !docs.some(doc => doc.version === version));
+        if (missing.length > 0) throw registryError('not_found', `Unknown ${name} versions: ${missing.join(', ')}`);
+
+        const metrics = {};
+        docs.forEach(doc => {
+            const values = { accuracy: doc.accuracy, ...doc.metrics };
+            Object.entries(values).forEach(([metric, value]) => {
+                if (typeof value !== 'number') return;
+                if (!metrics[metric]) metrics[metric] = {};
+                metrics[metric][doc.version] = value;
+            });
+        });
+
+        return {
+            name,
+            versions: docs.map(doc => ({
+                version: doc.version,
+                status: doc.status,
+                lastTrained: doc.lastTrained,
+                deployedAt: doc.deployedAt,
+                trainingData: doc.trainingData,
+                hyperparameters: doc.hyperparameters
+            })),
+            metrics
+        };
+    }
+
+    // Holdout evaluation of a version, by default the deployed one
+    async evaluation(name, version = null) {
+        const doc = version === null
+            ? await this.deployed(name)
+            : await this.collection().findOne({ name, version });
+        if (!doc) {
+            throw registryError('not_found', version === null ? `${name} has no deployed version` : `Unknown ${name} version ${version}`);
+        }
+
+        return {
+            name,
+            version: doc.version,
+            status: doc.status,
+            lastTrained: doc.lastTrained,
+            accuracy: doc.accuracy ?? null,
+            metrics: doc.metrics || {},
+            evaluation: doc.evaluation || { method: 'none', note: 'trained before holdout evaluation' },
+            trainingData: doc.trainingData
+        };
+    }
+
+    // Make a version the deployed one. Its artifacts are loaded first, so a
+    // broken version is never deployed. Returns { version, previousVersion, model }.
+    async promote(name, version, { by = 'system', rollback = false } = {}) {
+        const collection = this.collection();
+        const target = await collection.findOne({ name, version });
+        if (!target) throw registryError('not_found', `Unknown ${name} version ${version}`);
+        if (target.status === 'training') throw registryError('conflict', `${name} version ${version} is still training`);
+
+        const { model } = await this.load(name, version);
+        const current = await this.deployed(name);
+        if (current && current.version === version) {
+            return { version, previousVersion: current.previousVersion ?? null, model };
+        }
+
+        if (current) {
+            await collection.findOneAndUpdate({ name, version: current.version }, { status: 'deprecated', updatedAt: new Date() });
+        }
+
+        // A rollback keeps the chain of earlier versions intact
+        const update = { status: 'deployed', deployedAt: new Date(), deployedBy: by, updatedAt: new Date() };
+        if (!rollback) update.previousVersion = current ? current.version : null;
+        const deployed = await collection.findOneAndUpdate({ name, version }, update);
+
+        console.log(`${rollback ? 'Rolled back' : 'Promoted'} ${name} to version ${version}` +
+            (current ? ` (was ${current.version})` : ''));
+        return { version, previousVersion: deployed.previousVersion ?? null, model };
+    }
+
+    // Redeploy the version that was deployed before the current one
+    async rollback(name, { by = 'system' } = {}) {
+        if (!MODELS[name]) throw registryError('not_found', `Unknown model: ${name}`);
+        const current = await this.deployed(name);
+        if (!current) throw registryError('conflict', `${name} has no deployed version`);
+        if (!current.previousVersion) throw registryError('conflict', `${name} has no earlier deployed version`);
+        return this.promote(name, current.previousVersion, { by, rollback: true });
+    }
+
+    // Load a version (by default the deployed one) after checking it against
+    // its MLModel metadata. Throws with the reason when it is not usable.
+    async load(name, version = null) {
+        const spec = MODELS[name];
+        if (!spec) throw registryError('not_found', `Unknown model: ${name}`);
+
+        const metadata = version === null
+            ? await this.deployed(name)
+            : await this.collection().findOne({ name, version });
+        if (!metadata) {
+            throw registryError('not_found', version === null ? 'no deployed version' : `no version ${version}`);
+        }
+        if (metadata.type !== spec.type) {
+            throw registryError('invalid_artifact', `metadata type ${metadata.type}, expected ${spec.type}`);
+        }
+
+        // modelPath may point into another environment; fall back to ours
+        const dir = metadata.modelPath && fs.existsSync(metadata.modelPath)
+            ? metadata.modelPath
+            : this.dirFor(name, metadata.version);
+        let artifact;
+        try {
+            artifact = JSON.parse(await fs.promises.readFile(path.join(dir, 'artifact.json'), 'utf8'));
+        } catch (error) {
+            throw registryError('invalid_artifact', `unreadable artifact in ${dir}: ${error.message}`);
+        }
+
+        if (artifact.name !== name || artifact.type !== spec.type) {
+            throw registryError('invalid_artifact', `artifact is ${artifact.name}/${artifact.type}`);
+        }
+        if (artifact.version !== metadata.version) {
+            throw registryError('invalid_artifact',
+                `artifact version ${artifact.version} does not match metadata version ${metadata.version}`);
+        }
+
+        const hyperparameters = metadata.hyperparameters || {};
+        CHECKED_HYPERPARAMETERS.forEach(key => {
+            const expected = hyperparameters[key];
+            if (expected !== undefined && artifact.model[key] !== undefined && artifact.model[key] !== expected) {
+                throw registryError('invalid_artifact', `${key} is ${artifact.model[key]} in the artifact, ${expected} in metadata`);
+            }
+        });
+
+        try {
+            const model = spec.ModelClass.fromJSON(artifact.model);
+            if (spec.tfjs) await model.load(dir);
+            return { model, version: artifact.version };
+        } catch (error) {
+            throw registryError('invalid_artifact', error.message);
+        }
+    }
+}
+
+module.exports = ModelStore;
@@ -1,17 +1,24 @@
-const mongoose = require('mongoose');
+const storage = require('../storage');
 const ProcessMetrics = require('../models/ProcessMetrics');
 const IsolationForest = require('./anomalyDetector');
 const LSTMPredictor = require('./timeSeriesPredictor');
 const ProcessClassifier = require('./processClassifier');
-const DataPreprocessor = require('./dataPreprocessor');
-const MLModel = require('../models/MLModel');
+const dataTransfer = require('../services/dataTransfer');
+const ModelStore = require('./modelStore');
+const ModelEvaluator = require('./modelEvaluator');
+const FeaturePipeline = require('./featurePipeline');
 const fs = require('fs');
 const path = require('path');
 
+// Score above which MLService.detectAnomaly flags a process
+const ANOMALY_THRESHOLD = 0.6;
+
 class ModelTrainer {
     constructor() {
-        this.preprocessor = new DataPreprocessor();
-        this.modelsPath = path.join(__dirname, '../../trained_models');
+        this.modelStore = new ModelStore();
+        this.evaluator = new ModelEvaluator();
+        this.modelsPath = this.modelStore.modelsPath;
+        this.savedVersions = {}; // model name -> version saved by this run
 
         // Create models directory if it doesn't exist
         if (!fs.existsSync(this.modelsPath)) {
@@ -19,11 +26,11 @@ class ModelTrainer {
         }
     }
 
-    // Connect to database
+    // Open the configured storage backend
     async connectDB() {
         try {
-            await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/process-monitor');
-            console.log('Connected to MongoDB for training');
+            await storage.open();
+            console.log(`Opened ${storage.backend} storage for training`);
         } catch (error) {
             console.error('Database connection error:', error);
             throw error;
@@ -34,73 +41,74 @@ class ModelTrainer {
     async fetchTrainingData(limit = 10000) {
         console.log('Fetching training data...');
 
-        const data = await ProcessMetrics.find()
-            .sort({ timestamp: -1 })
-            .limit(limit)
-            .lean();
+        const data = await storage.collection(ProcessMetrics).find({}, { sort: { timestamp: -1 }, limit });
 
         console.log(`Fetched ${data.length} records`);
         return data;
     }
 
-    // Prepare data for anomaly detection
-    prepareAnomalyData(data) {
-        return data.map(record => [
-            record.metrics.cpu || 0,
-            record.metrics.memory || 0,
-            record.metrics.ioRead || 0,
-            record.metrics.ioWrite || 0
-        ]);
+    // { sample, history } of every record, the history taken from earlier
+    // records of the same process instance
+    featureRows(data, pipeline) {
+        return [...FeaturePipeline.processSeries(data).values()].flatMap(series => pipeline.withHistory(series));
     }
 
-    // Train anomaly detection model
-    async trainAnomalyDetector(data) {
+    // Train anomaly detection model on the older records. It is scored only
+    // against validation records that carry an anomalyLabel.
+    async trainAnomalyDetector(split) {
         console.log('\n=== Training Anomaly Detector (Isolation Forest) ===');
 
-        const features = this.prepareAnomalyData(data);
         const model = new IsolationForest(100, 256, 0.1);
-
-        model.fit(features);
-
-        // Test on sample data
-        const testScores = features.slice(0, 10).map(f => model.predict(f));
-        const avgScore = testScores.reduce((a, b) => a + b, 0) / testScores.length;
-
-        console.log(`Average anomaly score: ${avgScore.toFixed(4)}`);
+        const { pipeline } = model;
+        model.fit(pipeline.fitTransform(this.featureRows(split.train, pipeline)));
+
+        const labeled = this.featureRows(split.validation, pipeline)
+            .filter(row => typeof row.sample.anomalyLabel === 'boolean')
+            .map(row => ({
+                features: pipeline.transform(row.sample, row.history),
+                anomalous: row.sample.anomalyLabel
+            }));
+
+        let evaluation;
+        if (labeled.length > 0) {
+            const result = this.evaluator.evaluateAnomalyDetector(model, labeled, ANOMALY_THRESHOLD);
+            console.log(`Validation on ${labeled.length} labeled records: precision ${result.precision.toFixed(3)}, ` +
+                `recall ${result.recall.toFixed(3)}, F1 ${result.f1Score.toFixed(3)}`);
+            evaluation = this.modelMetrics(result, this.evaluationInfo(split));
+        } else {
+            console.log('No labeled validation records (anomalyLabel), anomaly detector not evaluated');
+            evaluation = { evaluation: { method: 'none', note: 'no validation records with anomalyLabel' } };
+        }
         console.log('Anomaly detector training complete!');
 
-        // Save model metadata
-        await this.saveModelMetadata('anomaly_detector', {
-            type: 'isolation_forest',
-            numTrees: model.numTrees,
-            sampleSize: model.sampleSize,
-            avgScore: avgScore,
-            accuracy: 95.5 // Simulated
+        // Save model and metadata
+        await this.saveModel('anomaly_detector', model, {
+            hyperparameters: {
+                contamination: model.contamination,
+                anomalyThreshold: ANOMALY_THRESHOLD,
+                features: pipeline.names
+            },
+            trainingData: this.describeData(split.train),
+            ...evaluation
         });
 
         return model;
     }
 
-    // Train time series predictor
-    async trainTimeSeriesPredictor(data) {
+    // Train time series predictor on the older samples of the process with
+    // the longest history and forecast its newer ones
+    async trainTimeSeriesPredictor(split) {
         console.log('\n=== Training Time Series Predictor (LSTM) ===');
 
-        // Group by process and get CPU time series
-        const processGroups = {};
-        data.forEach(record => {
-            if (!processGroups[record.processName]) {
-                processGroups[record.processName] = [];
-            }
-            processGroups[record.processName].push(record.metrics.cpu || 0);
-        });
-
         // Train on the most active process
-        const largestGroup = Object.keys(processGroups).reduce((a, b) =>
-            processGroups[a].length > processGroups[b].length ? a : b
+        const [key, history] = [...FeaturePipeline.processSeries(split.train)].reduce((a, b) =>
+            b[1].length > a[1].length ? b : a
         );
+        const largestGroup = history[0].processName;
 
-        console.log(`Training on process: ${largestGroup}`);
-        const cpuData = processGroups[largestGroup].slice(-500); // Last 500 points
+        console.log(`Training on process: ${largestGroup} (${key})`);
+        const cpuData = history.slice(-500); // Last 500 points
+        const validation = FeaturePipeline.processSeries(split.validation).get(key) || [];
 
         if (cpuData.length < 50) {
             console.log('Insufficient data for LSTM training. Skipping...');
@@ -112,24 +120,29 @@ class ModelTrainer {
         try {
             await model.train(cpuData, 20, 16); // Reduced epochs for faster training
 
-            // Test prediction
-            const testSequence = cpuData.slice(-10);
-            const prediction = await model.predict(testSequence);
-            console.log(`Test prediction: ${prediction.toFixed(2)}`);
+            let evaluation;
+            if (validation.length > 0) {
+                const result = await this.evaluator.evaluateForecaster(model, history, validation, model.inputShape);
+                const { lastValue, movingAverage } = result.baselines;
+                console.log(`Validation on ${result.samples} points: MAE ${result.mae.toFixed(3)}, RMSE ${result.rmse.toFixed(3)} ` +
+                    `(last value: MAE ${lastValue.mae.toFixed(3)}, moving average: MAE ${movingAverage.mae.toFixed(3)})`);
+                evaluation = this.modelMetrics(result, {
+                    ...this.evaluationInfo(split),
+                    trainSize: cpuData.length,
+                    validationSize: validation.length
+                });
+            } else {
+                console.log(`No validation points for ${largestGroup}, LSTM not evaluated`);
+                evaluation = { evaluation: { method: 'none', note: `no validation points for ${largestGroup}` } };
+            }
             console.log('LSTM training complete!');
 
-            // Save model
-            const modelPath = path.join(this.modelsPath, 'lstm_predictor');
-            await model.save(modelPath);
-
-            // Save metadata
-            await this.saveModelMetadata('lstm_predictor', {
-                type: 'lstm',
-                inputShape: model.inputShape,
-                hiddenUnits: model.hiddenUnits,
-                trainedOn: largestGroup,
-                dataPoints: cpuData.length,
-                accuracy: 92.3 // Simulated
+            // Save model and metadata
+            await this.saveModel('lstm_predictor', model, {
+                description: `CPU predictor trained on ${largestGroup}`,
+                hyperparameters: { features: model.pipeline.names },
+                trainingData: { ...this.describeData(split.train), size: cpuData.length },
+                ...evaluation
             });
 
             return model;
@@ -140,44 +153,35 @@ class ModelTrainer {
     }
 
     // Train process classifier
-    async trainProcessClassifier(data) {
+    async trainProcessClassifier(split) {
         console.log('\n=== Training Process Classifier (Random Forest) ===');
 
-        // Create labeled training data
-        const trainingData = this.createLabeledData(data);
-
         const model = new ProcessClassifier();
-        model.train(trainingData);
 
-        // Test accuracy
-        const testSample = trainingData.slice(0, 20);
-        let correct = 0;
-        testSample.forEach(item => {
-            const prediction = model.predict(item.process);
-            if (prediction.class === item.label) correct++;
-        });
+        // Create labeled training data
+        const trainingData = this.createLabeledData(split.train, model.pipeline);
+        model.train(trainingData);
 
-        const accuracy = (correct / testSample.length) * 100;
-        console.log(`Test accuracy: ${accuracy.toFixed(2)}%`);
+        // Score on the newer records the forest has not seen
+        const result = this.evaluator.evaluateClassifier(model, this.createLabeledData(split.validation, model.pipeline));
+        console.log(`Validation accuracy: ${(result.accuracy * 100).toFixed(2)}%, macro F1 ${result.f1Score.toFixed(3)}`);
         console.log('Process classifier training complete!');
 
-        // Save metadata
-        await this.saveModelMetadata('process_classifier', {
-            type: 'random_forest',
-            classes: model.classes,
-            trainingSize: trainingData.length,
-            accuracy: accuracy
+        // Save model and metadata
+        await this.saveModel('process_classifier', model, {
+            hyperparameters: { classes: model.classes, features: model.pipeline.names },
+            trainingData: this.describeData(split.train),
+            ...this.modelMetrics(result, this.evaluationInfo(split))
         });
 
         return model;
     }
 
-    // Create labeled data for classifier
-    createLabeledData(data) {
-        const labeled = [];
-
-        data.forEach(record => {
-            const name = record.processName.toLowerCase();
+    // Create labeled data for classifier; each process carries the earlier
+    // samples the pipeline's rolling features need
+    createLabeledData(data, pipeline) {
+        return this.featureRows(data, pipeline).map(({ sample, history }) => {
+            const name = (sample.processName || '').toLowerCase();
             let label = 'application';
 
             // Simple heuristic labeling
@@ -187,51 +191,66 @@ class ModelTrainer {
                 label = 'database';
             } else if (name.includes('redis') || name.includes('memcache')) {
                 label = 'cache';
-            } else if (name.includes('python') && record.metrics.cpu > 50) {
+            } else if (name.includes('python') && sample.cpu > 50) {
                 label = 'ml-training';
             } else if (name.includes('system') || name.includes('kernel')) {
                 label = 'system';
             }
 
-            labeled.push({
-                process: {
-                    cpu: record.metrics.cpu || 0,
-                    memory: record.metrics.memory || 0,
-                    threads: record.metrics.threads || 1,
-                    priority: 10,
-                    ioRead: record.metrics.ioRead || 0,
-                    ioWrite: record.metrics.ioWrite || 0,
-                    networkSent: Math.random() * 1000,
-                    networkReceived: Math.random() * 1000
-                },
+            return {
+                process: { ...sample, threads: sample.threads || 1, priority: 10 },
+                history,
                 label: label
-            });
+            };
         });
+    }
+
+    // Size and time span of the training records
+    describeData(data) {
+        const times = data.map(record => new Date(record.timestamp).getTime()).filter(time => !isNaN(time));
+        return {
+            size: data.length,
+            startDate: times.length ? new Date(Math.min(...times)) : undefined,
+            endDate: times.length ? new Date(Math.max(...times)) : undefined,
+            sources: ['ProcessMetrics']
+        };
+    }
+
+    // How a run's data was split for evaluation
+    evaluationInfo(split) {
+        return {
+            method: 'time_split',
+            splitAt: split.splitAt,
+            trainSize: split.train.length,
+            validationSize: split.validation.length
+        };
+    }
 
-        return labeled;
+    // MLModel accuracy (a percentage), metrics and evaluation fields for an
+    // evaluation result
+    modelMetrics(result, evaluation) {
+        const { accuracy, threshold, ...metrics } = result;
+        return {
+            accuracy: typeof accuracy === 'number' ? accuracy * 100 : undefined,
+            metrics,
+            evaluation
+        };
     }
 
-    // Save model metadata to database
-    async saveModelMetadata(modelName, metadata) {
+    // Save a trained model to trained_models/ with its MLModel metadata,
+    // so that the server loads it at startup
+    async saveModel(modelName, model, metadata) {
         try {
-            await MLModel.findOneAndUpdate(
-                { name: modelName },
-                {
-                    name: modelName,
-                    ...metadata,
-                    lastTrained: new Date(),
-                    version: Date.now()
-                },
-                { upsert: true, new: true }
-            );
-            console.log(`Saved metadata for ${modelName}`);
+            this.savedVersions[modelName] = await this.modelStore.save(modelName, model, { ...metadata, createdBy: 'modelTrainer' });
         } catch (error) {
-            console.error('Error saving model metadata:', error);
+            console.error(`Error saving ${modelName}:`, error);
         }
     }
 
-    // Main training pipeline
-    async trainAll() {
+    // Main training pipeline. dataFile trains on an exported CSV or NDJSON
+    // file of ProcessMetrics instead of the database; promote deploys the
+    // new versions (the server picks them up without a restart).
+    async trainAll({ dataFile = null, promote = false } = {}) {
         try {
             await this.connectDB();
 
@@ -240,7 +259,16 @@ class ModelTrainer {
             console.log('='.repeat(60));
 
             // Fetch data
-            const data = await this.fetchTrainingData(5000);
+            let data;
+            if (dataFile) {
+                console.log(`Loading training data from ${dataFile}...`);
+                const loaded = await dataTransfer.loadTrainingData(dataFile, 5000);
+                data = loaded.docs;
+                console.log(`Loaded ${data.length} records` +
+                    (loaded.invalid > 0 ? `, skipped ${loaded.invalid} invalid records` : ''));
+            } else {
+                data = await this.fetchTrainingData(5000);
+            }
 
             if (data.length < 50) {
                 console.log('Insufficient data for training. Need at least 50 records.');
@@ -248,10 +276,22 @@ class ModelTrainer {
                 process.exit(0);
             }
 
+            // Older records train the models, the newest are held out to score them
+            const split = this.evaluator.timeSplit(data);
+            console.log(`Training on ${split.train.length} records, validating on ${split.validation.length} ` +
+                `from ${split.splitAt.toISOString()}`);
+
             // Train all models
-            const anomalyModel = await this.trainAnomalyDetector(data);
-            const lstmModel = await this.trainTimeSeriesPredictor(data);
-            const classifierModel = await this.trainProcessClassifier(data);
+            const anomalyModel = await this.trainAnomalyDetector(split);
+            const lstmModel = await this.trainTimeSeriesPredictor(split);
+            const classifierModel = await this.trainProcessClassifier(split);
+
+            if (promote) {
+                for (const [name, version] of Object.entries(this.savedVersions)) {
+                    const { model } = await this.modelStore.promote(name, version, { by: 'modelTrainer' });
+                    this.modelStore.dispose(model);
+                }
+            }
 
             console.log('\n' + '='.repeat(60));
             console.log('TRAINING COMPLETE!');
@@ -259,7 +299,7 @@ class ModelTrainer {
             console.log('Models saved to:', this.modelsPath);
             console.log('\nYou can now use these trained models in production.');
 
-            await mongoose.disconnect();
+            await storage.close();
             process.exit(0);
 
         } catch (error) {
@@ -271,8 +311,13 @@ class ModelTrainer {
 
 // Run training if executed directly
 if (require.main === module) {
+    require('dotenv').config({ path: path.resolve(__dirname, '../..', '.env') });
+    const dataArg = process.argv.indexOf('--data');
     const trainer = new ModelTrainer();
-    trainer.trainAll();
+    trainer.trainAll({
+        dataFile: dataArg !== -1 ? process.argv[dataArg + 1] : null,
+        promote: process.argv.includes('--promote')
+    });
 }
 
 module.exports = ModelTrainer;
\ No newline at end of file
@@ -0,0 +1,192 @@
+// Smallest change of each DataPreprocessor.anomalyFeatures value worth
+// reporting: cpu %, memory MB, io read/write B/s, major faults/s,
+// involuntary context switches/s, open fds, swap MB
+const FEATURE_FLOORS = [5, 10, 1024 * 1024, 1024 * 1024, 10, 100, 10, 10];
+
+// Score at the edge of the normal envelope; one envelope width beyond it
+// scores 0.8, in line with MLService's 0.6 warning and 0.8 critical levels
+const EDGE_SCORE = 0.5;
+const SCORE_DECAY = Math.log2(2.5);
+
+function quantile(sorted, q) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+// Normal range of each feature in a set of samples: median and the
+// 1st-99th percentile envelope, widened to the feature's floor
+class BaselineProfile {
+    constructor(features) {
+        this.features = features; // [{ median, lower, upper, width }]
+    }
+
+    static fit(samples) {
+        const features = samples[0].map((_, idx) => {
+            const values = samples.map(sample => sample[idx] || 0).sort((a, b) => a - b);
+            const median = quantile(values, 0.5);
+            const lower = quantile(values, 0.01);
+            const upper = quantile(values, 0.99);
+            const width = Math.max(upper - lower, Math.abs(median) * 0.1, FEATURE_FLOORS[idx] || 1);
+            return { median, lower, upper, width };
+        });
+        return new BaselineProfile(features);
+    }
+
+    // 0..1 like the isolation forest: up to 0.5 inside the envelope, rising
+    // with the distance (in envelope widths) of the most deviating feature
+    predict(point) {
+        let excess = -Infinity;
+        let inside = 0;
+        this.features.forEach((feature, idx) => {
+            const value = point[idx] || 0;
+            excess = Math.max(excess, (Math.max(value - feature.upper, feature.lower - value)) / feature.width);
+            inside = Math.max(inside, Math.min(1, Math.abs(value - feature.median) / feature.width));
+        });
+
+        if (excess <= 0) return EDGE_SCORE * inside;
+        return 1 - (1 - EDGE_SCORE) * Math.pow(2, -excess * SCORE_DECAY);
+    }
+}
+
+// Anomaly baselines learned from each process name's own recent samples,
+// plus one per process class for names with too little history. Scoring
+// falls back name -> class -> the global forest, so a database that always
+// holds 4 GB is normal for itself while a small daemon doubling its memory
+// stands out against its own past.
+class ProcessBaselines {
+    constructor() {
+        this.minSamples = parseInt(process.env.ML_BASELINE_MIN_SAMPLES) || 200;
+        this.maxSamples = parseInt(process.env.ML_BASELINE_MAX_SAMPLES) || 2000; // rolling window per baseline
+        this.maxBaselines = parseInt(process.env.ML_MAX_BASELINES) || 200;
+        this.refreshInterval = parseInt(process.env.ML_BASELINE_REFRESH_MS) || 60 * 60 * 1000;
+        this.idleTimeout = parseInt(process.env.ML_BASELINE_IDLE_MS) || 24 * 60 * 60 * 1000;
+        this.maintenanceInterval = parseInt(process.env.ML_BASELINE_MAINTENANCE_MS) || 60 * 1000;
+        this.trainPerRun = parseInt(process.env.ML_BASELINE_TRAIN_PER_RUN) || 50;
+
+        this.entries = new Map(); // "<type>:<name>" -> baseline entry, type is 'process' or 'class'
+        this.timer = null;
+    }
+
+    // Remember one sample of a process; features as built by
+    // DataPreprocessor.anomalyFeatures
+    record(processName, className, features, now = Date.now()) {
+        if (processName) this.add('process', processName, features, now);
+        if (className && className !== 'unknown') this.add('class', className, features, now);
+    }
+
+    add(type, name, features, now) {
+        const key = `${type}:${name}`;
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = { type, name, samples: [], added: 0, profile: null, trainedAt: null, trainedOn: 0, lastSeen: now };
+            this.entries.set(key, entry);
+        }
+
+        entry.samples.push(features);
+        if (entry.samples.length > this.maxSamples) entry.samples.shift();
+        entry.added++; // samples since the last training
+        entry.lastSeen = now;
+    }
+
+    // Trained baseline for a process: its name's, else its class's, else null
+    lookup(processName, className) {
+        const keys = [];
+        if (processName) keys.push(`process:${processName}`);
+        if (className) keys.push(`class:${className}`);
+
+        for (const key of keys) {
+            const entry = this.entries.get(key);
+            if (entry && entry.profile) return entry;
+        }
+        return null;
+    }
+
+    // A new baseline is trained once it has minSamples; a trained one is
+    // refreshed every refreshInterval if new samples arrived meanwhile
+    isDue(entry, now) {
+        if (entry.samples.length < this.minSamples) return false;
+        if (!entry.profile) return true;
+        return entry.added > 0 && now - entry.trainedAt >= this.refreshInterval;
+    }
+
+    train(entry, now) {
+        entry.profile = BaselineProfile.fit(entry.samples);
+        entry.trainedAt = now;
+        entry.trainedOn = entry.samples.length;
+        entry.added = 0;
+    }
+
+    // Evict baselines of names not seen for idleTimeout, then the least
+    // recently seen beyond maxBaselines; train what is due, new baselines
+    // first, at most trainPerRun per call
+    maintain(now = Date.now()) {
+        let evicted = 0;
+        for (const [key, entry] of this.entries) {
+            if (now - entry.lastSeen > this.idleTimeout) {
+                this.entries.delete(key);
+                evicted++;
+            }
+        }
+        if (this.entries.size > this.maxBaselines) {
+            const byLastSeen = [...this.entries].sort((a, b) => a[1].lastSeen - b[1].lastSeen);
+            byLastSeen.slice(0, this.entries.size - this.maxBaselines).forEach(([key]) => {
+                this.entries.delete(key);
+                evicted++;
+            });
+        }
+
+        const due = [...this.entries.values()]
+            .filter(entry => this.isDue(entry, now))
+            .sort((a, b) => (a.profile ? 1 : 0) - (b.profile ? 1 : 0) || b.samples.length - a.samples.length)
+            .slice(0, this.trainPerRun);
+        due.forEach(entry => this.train(entry, now));
+
+        return { trained: due.length, evicted };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            try {
+                this.maintain();
+            } catch (error) {
+                console.error('Baseline maintenance failed:', error.message);
+            }
+        }, this.maintenanceInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Baselines without their samples, most recently seen first
+    list() {
+        return [...this.entries.values()]
+            .sort((a, b) => b.lastSeen - a.lastSeen)
+            .map(entry => ({
+                type: entry.type,
+                name: entry.name,
+                trained: Boolean(entry.profile),
+                samples: entry.samples.length,
+                trainedOn: entry.trainedOn,
+                trainedAt: entry.trainedAt ? new Date(entry.trainedAt) : null,
+                lastSeen: new Date(entry.lastSeen),
+                envelope: entry.profile ? entry.profile.features : null
+            }));
+    }
+
+    status() {
+        const trained = [...this.entries.values()].filter(entry => entry.profile);
+        return {
+            tracked: this.entries.size,
+            trained: trained.length,
+            process: trained.filter(entry => entry.type === 'process').length,
+            class: trained.filter(entry => entry.type === 'class').length,
+            minSamples: this.minSamples,
+            maxBaselines: this.maxBaselines
+        };
+    }
+}
+
+module.exports = ProcessBaselines;
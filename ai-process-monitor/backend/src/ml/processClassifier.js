@@ -1,31 +1,32 @@
 const RandomForestClassifier = require('ml-random-forest').RandomForestClassifier;
+const FeaturePipeline = require('./featurePipeline');
+
+// Features of classifiers saved before the feature pipeline existed
+const LEGACY_FEATURES = [
+    'cpu', 'memory', 'threads', 'priority', 'ioRead', 'ioWrite', 'networkSent', 'networkReceived',
+    'ctxSwitchesVoluntary', 'ctxSwitchesInvoluntary', 'minorFaults', 'majorFaults', 'fdCount'
+];
 
 class ProcessClassifier {
-    constructor() {
+    constructor(pipeline = FeaturePipeline.forModel('process_classifier')) {
+        this.pipeline = pipeline;
         this.model = null;
         this.classes = ['web-server', 'database', 'application', 'cache', 'ml-training', 'system'];
         this.trained = false;
     }
 
-    // Extract features from process data
-    extractFeatures(process) {
-        return [
-            process.cpu || 0,
-            process.memory || 0,
-            process.threads || 1,
-            process.priority || 0,
-            process.ioRead || 0,
-            process.ioWrite || 0,
-            process.networkSent || 0,
-            process.networkReceived || 0
-        ];
+    // Extract features from process data and the process's earlier samples
+    extractFeatures(process, history = []) {
+        return this.pipeline.transform(process, history);
     }
 
     // Train classifier
     train(trainingData) {
-        // trainingData = [{ process: {...}, label: 'web-server' }, ...]
+        // trainingData = [{ process: {...}, label: 'web-server', history: [...] }, ...]
 
-        const features = trainingData.map(item => this.extractFeatures(item.process));
+        const features = this.pipeline.fitTransform(
+            trainingData.map(item => ({ sample: item.process, history: item.history || [] }))
+        );
         const labels = trainingData.map(item => this.classes.indexOf(item.label));
 
         const options = {
@@ -43,7 +44,7 @@ class ProcessClassifier {
     }
 
     // Predict process class
-    predict(process) {
+    predict(process, history = []) {
         const defaultResult = { class: 'unknown', confidence: 0, probabilities: {} };
 
         // Fail-safe: if not trained or model missing, return default instead of throwing
@@ -52,7 +53,7 @@ class ProcessClassifier {
         }
 
         try {
-            const features = this.extractFeatures(process);
+            const features = this.extractFeatures(process, history);
             const [prediction] = this.model.predict([features]);
             const className = this.classes[prediction];
 
@@ -78,6 +79,34 @@ class ProcessClassifier {
         }
     }
 
+    // Serializable form of a trained classifier
+    toJSON() {
+        return {
+            classes: this.classes,
+            numFeatures: this.pipeline.size,
+            pipeline: this.pipeline.toJSON(),
+            model: this.model ? this.model.toJSON() : null
+        };
+    }
+
+    // Restore a classifier saved with toJSON()
+    static fromJSON(json) {
+        if (!json || !json.model) {
+            throw new Error('Classifier data has no random forest');
+        }
+        const pipeline = json.pipeline ? FeaturePipeline.fromJSON(json.pipeline) : FeaturePipeline.raw(LEGACY_FEATURES);
+        if (json.numFeatures !== pipeline.size) {
+            throw new Error(`Classifier was trained on ${json.numFeatures} features, its pipeline has ${pipeline.size}`);
+        }
+
+        const classifier = new ProcessClassifier(pipeline);
+
+        classifier.classes = json.classes;
+        classifier.model = RandomForestClassifier.load(json.model);
+        classifier.trained = true;
+        return classifier;
+    }
+
     // Predict batch
     predictBatch(processes) {
         return processes.map(proc => this.predict(proc));
@@ -89,11 +118,7 @@ class ProcessClassifier {
             return null;
         }
 
-        // Feature names
-        const featureNames = [
-            'CPU', 'Memory', 'Threads', 'Priority',
-            'IO Read', 'IO Write', 'Network Sent', 'Network Received'
-        ];
+        const featureNames = this.pipeline.names;
 
         // This is a simplified version - actual importance would come from the RF model
         return featureNames.map((name, idx) => ({
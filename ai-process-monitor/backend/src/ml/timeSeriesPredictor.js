@@ -1,13 +1,24 @@
+const fs = require('fs');
+const path = require('path');
 const tf = require('@tensorflow/tfjs');
+const FeaturePipeline = require('./featurePipeline');
 
 class LSTMPredictor {
-    constructor(inputShape = 10, hiddenUnits = 50) {
-        this.inputShape = inputShape;
+    constructor(inputShape = 10, hiddenUnits = 50, pipeline = FeaturePipeline.forModel('lstm_predictor')) {
+        if (!pipeline.config.fields.includes('cpu')) {
+            throw new Error('LSTM feature pipeline must include the cpu field');
+        }
+        this.pipeline = pipeline; // features of each time step; the model predicts the next cpu
+        this.inputShape = inputShape; // time steps per input sequence
         this.hiddenUnits = hiddenUnits;
         this.model = null;
         this.trained = false;
     }
 
+    get numFeatures() {
+        return this.pipeline.size;
+    }
+
     // Build LSTM model
     buildModel() {
         this.model = tf.sequential();
@@ -16,7 +27,7 @@ class LSTMPredictor {
         this.model.add(tf.layers.lstm({
             units: this.hiddenUnits,
             returnSequences: true,
-            inputShape: [this.inputShape, 1]
+            inputShape: [this.inputShape, this.numFeatures]
         }));
 
         this.model.add(tf.layers.dropout({ rate: 0.2 }));
@@ -41,51 +52,35 @@ class LSTMPredictor {
         this.model.summary();
     }
 
-    // Prepare sequences for training
-    prepareSequences(data, lookback = 10) {
+    // Prepare sequences for training: runs of feature vectors and the scaled
+    // cpu of the step after each run
+    prepareSequences(vectors, lookback = 10) {
         const X = [];
         const y = [];
+        const target = this.pipeline.names.indexOf('cpu');
 
-        for (let i = 0; i < data.length - lookback; i++) {
-            X.push(data.slice(i, i + lookback));
-            y.push(data[i + lookback]);
+        for (let i = 0; i < vectors.length - lookback; i++) {
+            X.push(vectors.slice(i, i + lookback));
+            y.push(vectors[i + lookback][target]);
         }
 
         return { X, y };
     }
 
-    // Normalize data
-    normalize(data) {
-        const min = Math.min(...data);
-        const max = Math.max(...data);
-        const range = max - min || 1;
-
-        return {
-            normalized: data.map(val => (val - min) / range),
-            min,
-            max
-        };
-    }
-
-    denormalize(value, min, max) {
-        return value * (max - min) + min;
-    }
-
-    // Train the model
-    async train(data, epochs = 50, batchSize = 32) {
+    // Train the model on one process's metrics samples, oldest first
+    async train(samples, epochs = 50, batchSize = 32) {
         if (!this.model) {
             this.buildModel();
         }
 
-        // Normalize data
-        const { normalized, min, max } = this.normalize(data);
-        this.normParams = { min, max };
+        // Scaled features of every step; the scalers are saved with the model
+        const vectors = this.pipeline.fitTransform(this.pipeline.withHistory(samples));
 
         // Prepare sequences
-        const { X, y } = this.prepareSequences(normalized, this.inputShape);
+        const { X, y } = this.prepareSequences(vectors, this.inputShape);
 
         // Convert to tensors
-        const xTensor = tf.tensor3d(X.map(seq => seq.map(val => [val])));
+        const xTensor = tf.tensor3d(X);
         const yTensor = tf.tensor2d(y.map(val => [val]));
 
         // Train
@@ -111,76 +106,130 @@ class LSTMPredictor {
         yTensor.dispose();
     }
 
-    // Predict next value (fail-safe)
-    async predict(sequence) {
+    // Predict the next cpu value from a process's recent samples, oldest
+    // first (fail-safe)
+    async predict(samples) {
         // Conservative default: return last known value (or 0)
-        const last = Array.isArray(sequence) && sequence.length ? sequence[sequence.length - 1] : 0;
-        if (!this.trained || !this.model || !this.normParams) {
+        const last = Array.isArray(samples) && samples.length ? (samples[samples.length - 1].cpu || 0) : 0;
+        if (!this.trained || !this.model || !this.pipeline.fitted || samples.length < this.inputShape) {
             return last;
         }
         try {
-            // Normalize input
-            const normalized = sequence.map(val =>
-                (val - this.normParams.min) / ((this.normParams.max - this.normParams.min) || 1)
-            );
+            const steps = this.pipeline.withHistory(samples, this.inputShape)
+                .map(row => this.pipeline.transform(row.sample, row.history));
 
             // Convert to tensor
-            const inputTensor = tf.tensor3d([normalized.map(val => [val])]);
+            const inputTensor = tf.tensor3d([steps]);
 
             // Predict
             const prediction = this.model.predict(inputTensor);
             const value = await prediction.data();
 
-            // Denormalize
-            const denormalized = this.denormalize(
-                value[0],
-                this.normParams.min,
-                this.normParams.max
-            );
-
             // Cleanup
             inputTensor.dispose();
             prediction.dispose();
 
-            return denormalized;
+            return this.pipeline.unscale(value[0], 'cpu');
         } catch (e) {
             return last;
         }
     }
 
-    // Predict multiple steps ahead (fail-safe)
-    async predictMultiStep(sequence, steps = 5) {
-        const last = Array.isArray(sequence) && sequence.length ? sequence[sequence.length - 1] : 0;
-        if (!this.trained || !this.model || !this.normParams) {
+    // Predict multiple steps ahead (fail-safe). Each predicted step is
+    // appended as a sample with the predicted cpu and the other metrics
+    // carried over, one sampling interval after the previous one.
+    async predictMultiStep(samples, steps = 5) {
+        const last = Array.isArray(samples) && samples.length ? (samples[samples.length - 1].cpu || 0) : 0;
+        if (!this.trained || !this.model || !this.pipeline.fitted) {
             return Array(steps).fill(last);
         }
 
         const predictions = [];
-        let currentSequence = [...sequence];
+        const extended = [...samples];
+        const timeOf = sample => new Date(sample.timestamp).getTime();
+        const interval = samples.length > 1
+            ? (timeOf(samples[samples.length - 1]) - timeOf(samples[0])) / (samples.length - 1) || 1000
+            : 1000;
 
         for (let i = 0; i < steps; i++) {
-            const window = currentSequence.slice(-this.inputShape);
-            const nextValue = await this.predict(window);
+            const nextValue = await this.predict(extended);
             predictions.push(nextValue);
-            currentSequence.push(nextValue);
+            const previous = extended[extended.length - 1];
+            extended.push({ ...previous, cpu: nextValue, timestamp: timeOf(previous) + interval });
         }
 
         return predictions;
     }
 
-    // Save model
-    async save(path) {
-        if (this.model) {
-            await this.model.save(`file://${path}`);
-            console.log(`Model saved to ${path}`);
+    // Settings and feature scalers of a trained predictor; the weights are
+    // written separately by save()
+    toJSON() {
+        return {
+            inputShape: this.inputShape,
+            hiddenUnits: this.hiddenUnits,
+            numFeatures: this.numFeatures,
+            pipeline: this.pipeline.toJSON()
+        };
+    }
+
+    // Predictor configured from toJSON() output, weights still to be loaded.
+    // Predictors saved before the feature pipeline scaled cpu alone by normParams.
+    static fromJSON(json) {
+        let pipeline;
+        if (json && json.pipeline) {
+            pipeline = FeaturePipeline.fromJSON(json.pipeline);
+        } else if (json && json.normParams) {
+            const { min, max } = json.normParams;
+            pipeline = FeaturePipeline.raw(['cpu'], { cpu: { min, max, range: (max - min) || 1 } });
+        } else {
+            throw new Error('LSTM data has no feature pipeline');
         }
+
+        return new LSTMPredictor(json.inputShape, json.hiddenUnits, pipeline);
     }
 
-    // Load model
-    async load(path) {
-        this.model = await tf.loadLayersModel(`file://${path}/model.json`);
+    // Save model as model.json + weights.bin. The plain tfjs package has no
+    // file:// handler (that comes with tfjs-node), so the files are written
+    // here in the same layout.
+    async save(dir) {
+        if (!this.model) return;
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await this.model.save(tf.io.withSaveHandler(async artifacts => {
+            const weightData = Array.isArray(artifacts.weightData)
+                ? Buffer.concat(artifacts.weightData.map(buffer => Buffer.from(buffer)))
+                : Buffer.from(artifacts.weightData);
+            await fs.promises.writeFile(path.join(dir, 'weights.bin'), weightData);
+            await fs.promises.writeFile(path.join(dir, 'model.json'), JSON.stringify({
+                modelTopology: artifacts.modelTopology,
+                format: artifacts.format,
+                generatedBy: artifacts.generatedBy,
+                convertedBy: artifacts.convertedBy,
+                weightsManifest: [{ paths: ['./weights.bin'], weights: artifacts.weightSpecs }]
+            }));
+            return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+        }));
+        console.log(`Model saved to ${dir}`);
+    }
+
+    // Load model saved by save()
+    async load(dir) {
+        const manifest = JSON.parse(await fs.promises.readFile(path.join(dir, 'model.json'), 'utf8'));
+        const weights = await fs.promises.readFile(path.join(dir, 'weights.bin'));
+        const model = await tf.loadLayersModel(tf.io.fromMemory({
+            modelTopology: manifest.modelTopology,
+            weightSpecs: manifest.weightsManifest[0].weights,
+            weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+        }));
+        const [, steps, features] = model.inputs[0].shape;
+        if (steps !== this.inputShape || features !== this.numFeatures) {
+            model.dispose();
+            throw new Error(`LSTM expects sequences of ${steps}x${features}, configured for ${this.inputShape}x${this.numFeatures}`);
+        }
+
+        this.model = model;
         this.trained = true;
-        console.log(`Model loaded from ${path}`);
+        console.log(`Model loaded from ${dir}`);
     }
 }
 
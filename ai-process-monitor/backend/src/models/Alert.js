@@ -20,11 +20,15 @@ const alertSchema = new mongoose.Schema({
     },
     source: {
         type: String,
-        enum: ['threshold', 'ml', 'anomaly', 'prediction', 'system'],
+        enum: ['threshold', 'ml', 'anomaly', 'prediction', 'system', 'lifecycle'],
         required: true
     },
-    processId: String,
+    host: String,
+    processId: String, // process instance key "<pid>:<start>"
     processName: String,
+    serviceKey: String,
+    containerId: String,
+    systemdUnit: String,
     metric: String,
     message: {
         type: String,
@@ -34,6 +38,7 @@ const alertSchema = new mongoose.Schema({
         currentValue: Number,
         threshold: Number,
         anomalyScore: Number,
+        baseline: String, // baseline the anomaly score came from
         prediction: Number,
         confidence: Number
     },
@@ -73,6 +78,10 @@ alertSchema.pre('save', function(next) {
 // Index for querying unresolved alerts
 alertSchema.index({ resolved: 1, createdAt: -1 });
 alertSchema.index({ processName: 1, createdAt: -1 });
+alertSchema.index({ host: 1, createdAt: -1 });
+alertSchema.index({ serviceKey: 1, createdAt: -1 });
+alertSchema.index({ containerId: 1, createdAt: -1 });
+alertSchema.index({ systemdUnit: 1, createdAt: -1 });
 
 // TTL index - delete resolved alerts after 30 days
 alertSchema.index({ resolvedAt: 1 }, {
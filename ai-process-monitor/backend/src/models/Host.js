@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const hostSchema = new mongoose.Schema({
+    host: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    local: {
+        type: Boolean,
+        default: false
+    },
+    agentId: String, // changes every time the agent restarts
+    firstSeen: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeen: Date,
+    status: {
+        type: String,
+        enum: ['online', 'stale'],
+        default: 'online'
+    },
+    batchesReceived: {
+        type: Number,
+        default: 0
+    },
+    lastProcessCount: Number
+});
+
+module.exports = mongoose.model('Host', hostSchema);
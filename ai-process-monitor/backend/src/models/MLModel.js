@@ -4,7 +4,6 @@ const mlModelSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
-        unique: true,
         index: true
     },
     type: {
@@ -12,7 +11,7 @@ const mlModelSchema = new mongoose.Schema({
         enum: ['isolation_forest', 'lstm', 'random_forest', 'autoencoder', 'svm', 'neural_network'],
         required: true
     },
-    version: {
+    version: { // one document per training run
         type: Number,
         required: true
     },
@@ -26,13 +25,31 @@ const mlModelSchema = new mongoose.Schema({
         min: 0,
         max: 100
     },
+    // Holdout metrics written by ModelEvaluator
     metrics: {
         precision: Number,
         recall: Number,
         f1Score: Number,
         mse: Number,
         mae: Number,
-        r2Score: Number
+        r2Score: Number,
+        rmse: Number,
+        mape: Number, // percent
+        skill: Number, // 1 - MAE / MAE of the last-value baseline
+        samples: Number, // validation records scored
+        baselines: mongoose.Schema.Types.Mixed, // { lastValue: { mae, rmse, mape }, movingAverage: ... }
+        perClass: mongoose.Schema.Types.Mixed, // class -> { precision, recall, f1Score, support }
+        confusionMatrix: {
+            labels: { type: [String], default: undefined },
+            matrix: { type: [[Number]], default: undefined } // rows actual, columns predicted
+        }
+    },
+    evaluation: {
+        method: String, // 'time_split', or 'none' when there was nothing to score against
+        splitAt: Date, // first validation timestamp
+        trainSize: Number,
+        validationSize: Number,
+        note: String
     },
     hyperparameters: {
         type: Map,
@@ -56,6 +73,8 @@ const mlModelSchema = new mongoose.Schema({
         default: Date.now
     },
     deployedAt: Date,
+    deployedBy: String,
+    previousVersion: Number, // version deployed before this one, target of a rollback
     createdBy: {
         type: String,
         default: 'system'
@@ -76,7 +95,11 @@ mlModelSchema.pre('save', function(next) {
     next();
 });
 
+// One document per model version
+mlModelSchema.index({ name: 1, version: -1 }, { unique: true });
+
 // Index for querying active models
+mlModelSchema.index({ name: 1, status: 1 });
 mlModelSchema.index({ status: 1, type: 1 });
 mlModelSchema.index({ lastTrained: -1 });
 
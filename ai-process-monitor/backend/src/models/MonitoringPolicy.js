@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const ruleSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        enum: ['name', 'command', 'user', 'cgroup'],
+        required: true
+    },
+    pattern: {
+        type: String,
+        required: true
+    },
+    regex: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const monitoringPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        default: 'default'
+    },
+    sortBy: {
+        type: String,
+        enum: ['cpu', 'memory'],
+        default: 'cpu'
+    },
+    topN: {
+        type: Number,
+        min: 0,
+        default: 50
+    },
+    persistTopN: {
+        type: Number,
+        min: 0,
+        default: 10
+    },
+    watchlist: [ruleSchema],
+    exclude: [ruleSchema],
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+monitoringPolicySchema.pre('save', function(next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+module.exports = mongoose.model('MonitoringPolicy', monitoringPolicySchema);
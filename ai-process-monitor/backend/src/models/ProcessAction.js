@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Audit trail of process control requests (signals and renice)
+const processActionSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['signal', 'renice'],
+        required: true
+    },
+    signal: String, // signal actions: SIGTERM, SIGKILL, SIGSTOP or SIGCONT
+    nice: Number, // renice actions: requested nice value (-20 to 19)
+    previousNice: Number,
+    pid: {
+        type: Number,
+        required: true
+    },
+    processId: String, // process instance key "<pid>:<start>"
+    processName: String,
+    host: String,
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['dry_run', 'confirmation_required', 'confirmed', 'executed', 'rejected', 'failed'],
+        required: true
+    },
+    reason: String, // why the action was rejected or failed
+    requestedBy: String, // client address
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+processActionSchema.index({ timestamp: -1 });
+processActionSchema.index({ pid: 1, timestamp: -1 });
+processActionSchema.index({ status: 1, timestamp: -1 });
+
+module.exports = mongoose.model('ProcessAction', processActionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const processEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['process_started', 'process_exited', 'restart_loop'],
+        required: true
+    },
+    processId: String, // process instance key "<pid>:<start>"
+    serviceKey: String,
+    processName: String,
+    pid: Number,
+    host: String,
+    parentPid: Number,
+    command: String,
+    containerId: String,
+    systemdUnit: String,
+    details: {
+        lifetimeMs: Number, // process_exited: time from first sighting to exit
+        restart: Boolean, // process_started: a previous instance exited within the restart window
+        restartCount: Number, // restart_loop: restarts inside the window
+        windowMs: Number
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+processEventSchema.index({ timestamp: -1 });
+processEventSchema.index({ type: 1, timestamp: -1 });
+processEventSchema.index({ serviceKey: 1, timestamp: -1 });
+processEventSchema.index({ host: 1, timestamp: -1 });
+
+// TTL index - automatically delete events older than 7 days
+processEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('ProcessEvent', processEventSchema);
@@ -1,13 +1,33 @@
 const mongoose = require('mongoose');
 
 const processMetricsSchema = new mongoose.Schema({
+    // Instance key "<pid>:<start>", unique per process lifetime
     processId: {
         type: String,
         required: true,
         index: true
     },
+    // Logical key "<name>:<command hash>", stable across restarts
+    serviceKey: {
+        type: String,
+        index: true
+    },
     processName: String,
     pid: Number,
+    user: String,
+    host: {
+        type: String,
+        index: true
+    },
+    cgroup: String,
+    containerId: {
+        type: String,
+        index: true
+    },
+    systemdUnit: {
+        type: String,
+        index: true
+    },
     timestamp: {
         type: Date,
         default: Date.now,
@@ -17,25 +37,41 @@ const processMetricsSchema = new mongoose.Schema({
         cpu: Number,
         memory: Number,
         threads: Number,
-        ioRead: Number,
-        ioWrite: Number,
-        networkSent: Number,
-        networkReceived: Number
+        ioRead: Number, // bytes per second
+        ioWrite: Number, // bytes per second
+        networkSent: Number, // bytes per second
+        networkReceived: Number, // bytes per second
+        connections: Number, // active TCP/UDP sockets
+        ctxSwitchesVoluntary: Number, // per second
+        ctxSwitchesInvoluntary: Number, // per second
+        minorFaults: Number, // per second
+        majorFaults: Number, // per second
+        fdCount: Number,
+        rss: Number, // MB
+        vsz: Number, // MB
+        swap: Number // MB
     },
     mlAnalysis: {
         anomalyScore: Number,
         isAnomaly: Boolean,
+        baseline: String, // 'process:<name>', 'class:<class>' or 'global'
         classification: String,
         confidence: Number,
         predictions: [Number]
-    }
+    },
+    // Ground truth for evaluating the anomaly detector: written for sources
+    // that know it (the simulator), or set on imported or reviewed records;
+    // unset means unlabeled
+    anomalyLabel: Boolean
 });
 
 // Index for time-based queries
 processMetricsSchema.index({ timestamp: -1 });
 processMetricsSchema.index({ processId: 1, timestamp: -1 });
+processMetricsSchema.index({ serviceKey: 1, timestamp: -1 });
+processMetricsSchema.index({ host: 1, timestamp: -1 });
 
-// TTL index - automatically delete documents older than 7 days
-processMetricsSchema.index({ timestamp: 1 }, { expireAfterSeconds: 604800 });
+// No TTL index: RollupService.pruneRaw() deletes samples older than
+// METRICS_RAW_RETENTION_HOURS
 
 module.exports = mongoose.model('ProcessMetrics', processMetricsSchema);
\ No newline at end of file
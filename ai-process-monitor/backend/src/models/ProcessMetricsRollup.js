@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// min/max/avg/p95 of one metric over a bucket
+const statSchema = new mongoose.Schema({
+    min: Number,
+    max: Number,
+    avg: Number,
+    p95: Number
+}, { _id: false });
+
+// Per-process aggregates of ProcessMetrics over 1-minute or 1-hour buckets
+const processMetricsRollupSchema = new mongoose.Schema({
+    resolution: {
+        type: String,
+        enum: ['1m', '1h'],
+        required: true
+    },
+    processId: {
+        type: String,
+        required: true
+    },
+    serviceKey: String,
+    processName: String,
+    pid: Number,
+    user: String,
+    host: String,
+    containerId: String,
+    systemdUnit: String,
+    timestamp: { // bucket start
+        type: Date,
+        required: true
+    },
+    sampleCount: Number,
+    metrics: {
+        cpu: statSchema,
+        memory: statSchema,
+        threads: statSchema,
+        ioRead: statSchema, // bytes per second
+        ioWrite: statSchema, // bytes per second
+        networkSent: statSchema, // bytes per second
+        networkReceived: statSchema, // bytes per second
+        connections: statSchema,
+        ctxSwitchesVoluntary: statSchema, // per second
+        ctxSwitchesInvoluntary: statSchema, // per second
+        minorFaults: statSchema, // per second
+        majorFaults: statSchema, // per second
+        fdCount: statSchema,
+        rss: statSchema, // MB
+        vsz: statSchema, // MB
+        swap: statSchema // MB
+    },
+    mlAnalysis: {
+        anomalyCount: Number,
+        avgAnomalyScore: Number,
+        maxAnomalyScore: Number,
+        classification: String // most frequent classification in the bucket
+    },
+    expiresAt: Date // retention of the bucket's resolution
+});
+
+// One document per process, host and bucket; re-running a rollup overwrites it
+processMetricsRollupSchema.index({ resolution: 1, processId: 1, host: 1, timestamp: 1 }, { unique: true });
+processMetricsRollupSchema.index({ resolution: 1, timestamp: -1 });
+processMetricsRollupSchema.index({ resolution: 1, serviceKey: 1, timestamp: -1 });
+
+// TTL index - each document expires at its own expiresAt
+processMetricsRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ProcessMetricsRollup', processMetricsRollupSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const filesystemSchema = new mongoose.Schema({
+    fs: String,
+    type: String,
+    mount: String,
+    size: Number, // bytes
+    used: Number, // bytes
+    usage: Number, // percentage
+    inodes: {
+        total: Number,
+        used: Number,
+        free: Number,
+        usage: Number // percentage
+    }
+}, { _id: false });
+
+const interfaceSchema = new mongoose.Schema({
+    iface: String,
+    operstate: String,
+    sent: Number, // bytes per second
+    received: Number, // bytes per second
+    rxErrors: Number,
+    txErrors: Number,
+    rxDropped: Number,
+    txDropped: Number
+}, { _id: false });
+
+const systemMetricsSchema = new mongoose.Schema({
+    host: String,
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+    cpu: {
+        usage: Number, // percentage
+        cores: Number,
+        perCore: [Number], // percentage per core
+        loadAverage: {
+            '1m': Number,
+            '5m': Number,
+            '15m': Number
+        }
+    },
+    memory: {
+        total: Number, // bytes
+        used: Number, // bytes
+        usage: Number // percentage
+    },
+    swap: {
+        total: Number, // bytes
+        used: Number, // bytes
+        usage: Number // percentage
+    },
+    filesystems: [filesystemSchema],
+    interfaces: [interfaceSchema]
+});
+
+// Index for time-based queries
+systemMetricsSchema.index({ timestamp: -1 });
+systemMetricsSchema.index({ host: 1, timestamp: -1 });
+
+// TTL index - automatically delete documents older than 7 days
+systemMetricsSchema.index({ timestamp: 1 }, { expireAfterSeconds: 604800 });
+
+module.exports = mongoose.model('SystemMetrics', systemMetricsSchema);
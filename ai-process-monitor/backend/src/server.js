@@ -4,25 +4,52 @@ const WebSocket = require('ws');
 const http = require('http');
 const cron = require('node-cron');
 const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
-const mongoose = require('mongoose');
 
-const connectDB = require('./db/mongoose');
+const storage = require('./storage');
 const processMonitor = require('./services/processMonitor');
 const mlService = require('./services/mlService');
+const processTree = require('./services/processTree');
+const cgroupService = require('./services/cgroupService');
+const alertService = require('./services/alertService');
+const lifecycleTracker = require('./services/lifecycleTracker');
+const selectionPolicy = require('./services/selectionPolicy');
+const detectionEvaluator = require('./services/detectionEvaluator');
+const hostRegistry = require('./services/hostRegistry');
+const metricsPipeline = require('./services/metricsPipeline');
+const processIdentity = require('./services/processIdentity');
+const processControl = require('./services/processControl');
+const dataCollector = require('./services/dataCollector');
+const rollupService = require('./services/rollupService');
+const historyQuery = require('./services/historyQuery');
+const prometheusExporter = require('./services/prometheusExporter');
+const otlpExporter = require('./services/otlpExporter');
+const dataTransfer = require('./services/dataTransfer');
+const { sourceOptionsFromEnv } = require('./services/sources');
 const ProcessMetrics = require('./models/ProcessMetrics');
+const SystemMetrics = require('./models/SystemMetrics');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-app.use(cors());
-app.use(express.json());
+// Routes that act on processes; cross-origin calls to them are only
+// answered for PROCESS_CONTROL_ORIGINS
+const PROCESS_CONTROL_PATHS = /^\/api\/(processes\/[^/]+\/(signal|renice)|process-actions\/confirm)\/?$/;
+
+app.use(cors((req, callback) => callback(null, {
+    origin: PROCESS_CONTROL_PATHS.test(req.path) ? processControl.allowedOrigins : '*'
+})));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' })); // agent batches carry full process lists
 
 const clients = new Set();
 
 // Track cron task for graceful shutdown
 let cronTask = null;
+let latestAnalyzed = []; // local processes analyzed by the last monitoring cycle
+let rollupTasks = [];
 let isBootstrapped = false;
 
 // Handle server errors explicitly
@@ -35,32 +62,39 @@ server.on('error', (err) => {
     console.error('HTTP server error:', err);
 });
 
-// Bootstrap sequence: connect DB, load history + init ML, start cron and server
+// Bootstrap sequence: open storage, load history + init ML, start cron and server
 async function bootstrap() {
     if (isBootstrapped) {
         console.warn('Bootstrap already executed. Skipping duplicate start.');
         return;
     }
     try {
-        await connectDB();
+        await storage.open();
+        await selectionPolicy.load();
+        await hostRegistry.load();
+        await dataCollector.startAutoFlush();
+
+        // Metric source: live host, record to NDJSON, replay a trace, or simulate
+        await processMonitor.configureSource(sourceOptionsFromEnv());
 
-        // Only query after DB connection is established
-        let processedData = [];
+        // Only query after storage is open
+        let historicalData = [];
         try {
-            const historicalData = await ProcessMetrics.find()
-                .sort({ timestamp: -1 })
-                .limit(1000)
-                .lean();
-            processedData = historicalData.map(doc => doc.metrics);
+            historicalData = await storage.collection(ProcessMetrics)
+                .find({}, { sort: { timestamp: -1 }, limit: 1000 });
         } catch (error) {
             console.warn('Historical data fetch failed, proceeding with minimal initialization. Error:', error.message);
         }
 
-        await mlService.initialize(processedData);
+        await mlService.initialize(historicalData);
         console.log('ML Service initialized');
 
         // Start cron after ML init
         startCron();
+        startRollups();
+        otlpExporter.start();
+        mlService.startRegistrySync();
+        mlService.baselines.start();
 
         const PORT = process.env.PORT || 3001;
         server.listen(PORT, () => {
@@ -95,23 +129,284 @@ function broadcast(data) {
     });
 }
 
-app.get('/api/processes', async (req, res) => {
+// The current frame of the monitoring cycle. Sampling here would advance
+// replayed and simulated sources and feed the ML history a second time.
+app.get('/api/processes', (req, res) => {
+    try {
+        const analyzed = new Map(latestAnalyzed.map(proc => [proc.processKey, proc]));
+        res.json(processMonitor.latest.map(proc => analyzed.get(proc.processKey)
+            || { ...proc, host: hostRegistry.localHost, mlAnalysis: null }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/process-tree', async (req, res) => {
+    try {
+        const processes = await processMonitor.listProcesses();
+        let roots = processTree.build(processes);
+
+        if (req.query.root) {
+            const node = processTree.find(roots, parseInt(req.query.root));
+            if (!node) {
+                return res.status(404).json({ error: `Process ${req.query.root} not found` });
+            }
+            roots = [node];
+        }
+
+        mlService.analyzeTree(roots);
+        res.json(roots);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/groups', async (req, res) => {
+    try {
+        const processes = await processMonitor.listProcesses();
+        let groups = await cgroupService.aggregate(processes);
+
+        if (req.query.kind) {
+            groups = groups.filter(group => group.kind === req.query.kind);
+        }
+
+        res.json(groups.sort((a, b) => b.totals.cpu - a.totals.cpu));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/alerts', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const alerts = await alertService.getRecentAlerts(limit, req.query.unacknowledged === 'true', {
+            host: req.query.host,
+            serviceKey: req.query.service,
+            containerId: req.query.container,
+            systemdUnit: req.query.unit
+        });
+        res.json(alerts);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/events', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const events = await lifecycleTracker.getRecentEvents(limit, {
+            type: req.query.type,
+            host: req.query.host,
+            serviceKey: req.query.service
+        });
+        res.json(events);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/selection-policy', (req, res) => {
+    res.json(selectionPolicy.getPolicy());
+});
+
+app.put('/api/selection-policy', async (req, res) => {
+    try {
+        const errors = selectionPolicy.validate(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid selection policy', details: errors });
+        }
+
+        const { policy, persisted } = await selectionPolicy.update(req.body);
+        if (!persisted) {
+            console.warn('Selection policy applied but not persisted; it will be lost on restart');
+        }
+        res.json({ ...policy, persisted });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// HTTP status for each reason a process action can be rejected
+const ACTION_REJECTION_STATUS = {
+    not_local: 409,
+    not_found: 404,
+    protected: 403,
+    invalid_token: 400,
+    process_changed: 409,
+    audit_unavailable: 503
+};
+
+// Process control is opt-in and needs the shared PROCESS_CONTROL_TOKEN
+function requireProcessControl(req, res, next) {
+    const denied = processControl.authorize(req.get('x-control-token'));
+    if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+    }
+    next();
+}
+
+// Signal (TERM/KILL/STOP/CONT) or renice a process. Unless dryRun is set the
+// response carries a token that must be sent to /api/process-actions/confirm.
+async function requestProcessAction(req, res, action) {
+    try {
+        const pid = parseInt(req.params.pid);
+        const errors = processControl.validate(action);
+        if (!(pid > 0)) errors.push('pid must be a positive integer');
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid process action', details: errors });
+        }
+
+        const result = await processControl.request(pid, action, req.ip);
+        const status = result.status === 'rejected' ? ACTION_REJECTION_STATUS[result.code] : 200;
+        res.status(status).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+app.post('/api/processes/:pid/signal', requireProcessControl, (req, res) => {
+    const { signal, dryRun } = req.body || {};
+    return requestProcessAction(req, res, { type: 'signal', signal, dryRun });
+});
+
+app.post('/api/processes/:pid/renice', requireProcessControl, (req, res) => {
+    const { nice, dryRun } = req.body || {};
+    return requestProcessAction(req, res, { type: 'renice', nice, dryRun });
+});
+
+app.post('/api/process-actions/confirm', requireProcessControl, async (req, res) => {
     try {
-        const processes = await processMonitor.getProcesses();
+        const token = req.body && req.body.token;
+        if (typeof token !== 'string' || token === '') {
+            return res.status(400).json({ error: 'token is required' });
+        }
+
+        const result = await processControl.confirm(token, req.ip);
+        if (result.status === 'rejected') {
+            return res.status(ACTION_REJECTION_STATUS[result.code]).json(result);
+        }
+        res.status(result.status === 'failed' ? 500 : 200).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Audit trail of process actions
+app.get('/api/process-actions', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const actions = await processControl.getRecentActions(limit, {
+            pid: parseInt(req.query.pid) || undefined,
+            status: req.query.status
+        });
+        res.json(actions);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/system/history', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const query = {};
+        if (req.query.host) query.host = req.query.host;
+        if (req.query.from || req.query.to) {
+            query.timestamp = {};
+            if (req.query.from) query.timestamp.$gte = new Date(req.query.from);
+            if (req.query.to) query.timestamp.$lte = new Date(req.query.to);
+        }
 
-        const analyzed = await Promise.all(
-            processes.map(async (proc) => {
-                const analysis = await mlService.analyzeProcess(proc, proc.pid);
-                return { ...proc, mlAnalysis: analysis };
-            })
-        );
+        const data = await storage.collection(SystemMetrics).find(query, { sort: { timestamp: -1 }, limit });
 
-        res.json(analyzed);
+        res.json(data);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+app.get('/api/simulator/labels', (req, res) => {
+    const labels = processMonitor.getLabels();
+    if (!labels) {
+        return res.status(404).json({ error: 'Current metric source provides no labels' });
+    }
+    res.json(labels);
+});
+
+app.get('/api/simulator/evaluation', (req, res) => {
+    res.json(detectionEvaluator.summary());
+});
+
+app.post('/api/simulator/evaluation/reset', (req, res) => {
+    detectionEvaluator.reset();
+    res.json(detectionEvaluator.summary());
+});
+
+app.get('/api/hosts', (req, res) => {
+    res.json(hostRegistry.list());
+});
+
+// Batches pushed by remote agents (see agent.js)
+app.post('/api/agents/ingest', async (req, res) => {
+    try {
+        if (process.env.AGENT_TOKEN && req.get('x-agent-token') !== process.env.AGENT_TOKEN) {
+            return res.status(401).json({ error: 'Invalid agent token' });
+        }
+
+        const { host, agentId, batches } = req.body || {};
+        if (!host || !Array.isArray(batches)) {
+            return res.status(400).json({ error: 'host and batches are required' });
+        }
+        // The server's own samples (and ML history) are kept under its host name
+        if (host === hostRegistry.localHost) {
+            return res.status(409).json({
+                error: `Host ${host} is the server's own host name; set AGENT_HOST to a different name for this agent`
+            });
+        }
+
+        let accepted = 0;
+        for (const batch of batches) {
+            const processes = Array.isArray(batch.processes) ? batch.processes : [];
+            if (!hostRegistry.touch(host, { agentId, seq: batch.seq, processCount: processes.length })) {
+                continue; // already ingested
+            }
+
+            mlService.pruneHistory(
+                new Set(processes.map(proc => processIdentity.hostKey(host, proc.processKey))),
+                processIdentity.hostKey(host, '')
+            );
+            const analyzed = await metricsPipeline.analyzeAndPersist(processes, host, {
+                timestamp: new Date(batch.time || Date.now())
+            });
+            metricsPipeline.persistSystemStats(batch.stats, host);
+            prometheusExporter.recordProcesses(host, analyzed);
+            prometheusExporter.recordSystemStats(host, batch.stats);
+            otlpExporter.recordProcesses(host, analyzed, new Date(batch.time || Date.now()));
+            otlpExporter.recordSystemStats(host, batch.stats);
+            accepted++;
+
+            broadcast({
+                type: 'ml_update',
+                host,
+                data: {
+                    processes: analyzed,
+                    stats: batch.stats || null,
+                    modelStatus: mlService.getModelStatus()
+                },
+                timestamp: new Date(batch.time || Date.now()).toISOString()
+            });
+        }
+
+        res.json({ accepted, received: batches.length });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Write buffer, spool and back-pressure figures
+app.get('/api/persistence/stats', (req, res) => {
+    res.json(dataCollector.getStats());
+});
+
 app.get('/api/ml-status', (req, res) => {
     try {
         const status = mlService.getModelStatus();
@@ -121,72 +416,289 @@ app.get('/api/ml-status', (req, res) => {
     }
 });
 
+// Per-process and per-class anomaly baselines
+app.get('/api/baselines', (req, res) => {
+    try {
+        res.json({ ...mlService.baselines.status(), baselines: mlService.baselines.list() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Model registry: versions, comparison, promotion and rollback
+const MODEL_REGISTRY_ERROR_STATUS = { not_found: 404, conflict: 409, invalid_artifact: 422 };
+
+function sendRegistryError(res, error) {
+    res.status(MODEL_REGISTRY_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+}
+
+app.get('/api/models', async (req, res) => {
+    try {
+        res.json({ models: await mlService.modelStore.list() });
+    } catch (error) {
+        sendRegistryError(res, error);
+    }
+});
+
+app.get('/api/models/:name/versions', async (req, res) => {
+    try {
+        const versions = await mlService.modelStore.versions(req.params.name);
+        if (versions.length === 0) return res.status(404).json({ error: `No versions of ${req.params.name}` });
+        res.json({ name: req.params.name, versions });
+    } catch (error) {
+        sendRegistryError(res, error);
+    }
+});
+
+// ?versions=1717000000000,1717100000000
+app.get('/api/models/:name/compare', async (req, res) => {
+    const versions = String(req.query.versions || '').split(',').filter(Boolean).map(Number);
+    if (versions.length < 2 || versions.some(isNaN)) {
+        return res.status(400).json({ error: 'Invalid versions', details: ['versions must list at least two version numbers'] });
+    }
+    try {
+        res.json(await mlService.modelStore.compare(req.params.name, versions));
+    } catch (error) {
+        sendRegistryError(res, error);
+    }
+});
+
+// Holdout metrics of the deployed version, or of ?version=
+app.get('/api/models/:name/evaluation', async (req, res) => {
+    const version = req.query.version === undefined ? null : Number(req.query.version);
+    if (version !== null && !Number.isFinite(version)) {
+        return res.status(400).json({ error: 'Invalid version', details: ['version must be a number'] });
+    }
+    try {
+        res.json(await mlService.modelStore.evaluation(req.params.name, version));
+    } catch (error) {
+        sendRegistryError(res, error);
+    }
+});
+
+// Body: { version, promotedBy }
+app.post('/api/models/:name/promote', async (req, res) => {
+    const version = Number(req.body && req.body.version);
+    if (!Number.isFinite(version)) {
+        return res.status(400).json({ error: 'Invalid promotion', details: ['version must be a number'] });
+    }
+    try {
+        res.json(await mlService.promoteModel(req.params.name, version, (req.body && req.body.promotedBy) || 'api'));
+    } catch (error) {
+        sendRegistryError(res, error);
+    }
+});
+
+// Body: { promotedBy } (optional)
+app.post('/api/models/:name/rollback', async (req, res) => {
+    try {
+        res.json(await mlService.rollbackModel(req.params.name, (req.body && req.body.promotedBy) || 'api'));
+    } catch (error) {
+        sendRegistryError(res, error);
+    }
+});
+
 app.get('/api/predictions/:processId', async (req, res) => {
     try {
-        const predictions = await mlService.predictFuture(req.params.processId, 10);
+        const host = req.query.host || hostRegistry.localHost;
+        const predictions = await mlService.predictFuture(processIdentity.hostKey(host, req.params.processId), 10);
         res.json({ predictions });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/historical/:processId', async (req, res) => {
+// Build a history filter from route params and host/service/container/unit query params
+function historyFilter(req) {
+    const query = {};
+    if (req.params.processId) query.processId = req.params.processId;
+    if (req.query.host) query.host = req.query.host;
+    if (req.query.service) query.serviceKey = req.query.service;
+    if (req.query.container) query.containerId = req.query.container;
+    if (req.query.unit) query.systemdUnit = req.query.unit;
+    return query;
+}
+
+// History with optional from/to. The resolution (raw, 1m or 1h) is picked
+// from the range unless ?resolution= is given, and reported in X-Resolution.
+async function sendHistory(req, res) {
     try {
         const limit = parseInt(req.query.limit) || 100;
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        const resolution = req.query.resolution || 'auto';
+
+        const errors = [];
+        if (from && isNaN(from)) errors.push('from must be a date');
+        if (to && isNaN(to)) errors.push('to must be a date');
+        if (!['auto', 'raw', '1m', '1h'].includes(resolution)) errors.push('resolution must be auto, raw, 1m or 1h');
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid history query', details: errors });
+        }
 
-        const data = await ProcessMetrics.find({ processId: req.params.processId })
-            .sort({ timestamp: -1 })
-            .limit(limit)
-            .lean();
+        const result = await rollupService.query(historyFilter(req), { from, to, resolution, limit });
+        res.set('X-Resolution', result.resolution);
+        res.json(result.data);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
 
-        res.json(data);
+// Chart-ready series over a time range, e.g.
+// /api/history/query?from=...&to=...&step=1m&metrics=cpu,memory&name=nginx&aggregate=p95&groupBy=name
+app.get('/api/history/query', async (req, res) => {
+    try {
+        const { options, errors } = historyQuery.parse(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid history query', details: errors });
+        }
+
+        res.json(await historyQuery.run(options));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+app.get('/api/historical', sendHistory);
+app.get('/api/historical/:processId', sendHistory);
+
+// Stream metrics, alerts or models as CSV or NDJSON, e.g.
+// /api/export/metrics?format=csv&from=...&to=...&name=nginx&anomalyOnly=true
+app.get('/api/export/:dataset', async (req, res) => {
+    const { options, errors } = dataTransfer.parseExport(req.params.dataset, req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid export', details: errors });
+    }
+
+    try {
+        const filename = `${options.dataset}-${new Date().toISOString().replace(/[:.]/g, '-')}.${options.format}`;
+        res.set('Content-Type', options.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        await pipeline(Readable.from(dataTransfer.export(options)), res);
+    } catch (error) {
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        } else if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Export error:', error);
+        }
+    }
+});
+
+// Import a CSV or NDJSON request body; ?dryRun=true only validates.
+// The format follows ?format= or the Content-Type (text/csv or NDJSON).
+app.post('/api/import/:dataset', async (req, res) => {
+    const { dataset } = req.params;
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'ndjson');
+    const errors = [];
+    if (!dataTransfer.datasets.includes(dataset)) errors.push(`dataset must be one of ${dataTransfer.datasets.join(', ')}`);
+    if (!['csv', 'ndjson'].includes(format)) errors.push('format must be csv or ndjson');
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid import', details: errors });
+    }
+
+    try {
+        req.setEncoding('utf8');
+        const result = await dataTransfer.import(dataset, req, { format, dryRun: req.query.dryRun === 'true' });
+        res.status(result.error ? 400 : 200).json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Flag hosts (usually remote agents) that stopped reporting
+async function checkHosts() {
+    const staleHosts = hostRegistry.checkStale();
+    if (staleHosts.length === 0) return;
+
+    staleHosts.forEach(host => console.warn(`Host ${host.host} stopped reporting`));
+    broadcast({
+        type: 'host_status',
+        data: staleHosts,
+        timestamp: new Date().toISOString()
+    });
+
+    if (storage.isAvailable()) {
+        await alertService.checkHostStatus(staleHosts);
+    }
+}
+
+// Background rollups: 1-minute buckets every minute, 1-hour buckets and
+// raw retention every hour
+function startRollups() {
+    rollupTasks = [
+        cron.schedule('15 * * * * *', () => rollupService.run('1m')),
+        cron.schedule('30 1 * * * *', async () => {
+            await rollupService.run('1h');
+            await rollupService.pruneRaw();
+        })
+    ];
+}
+
 // Real-time monitoring with ML analysis (start after DB connects)
 function startCron() {
     if (cronTask) return cronTask;
     cronTask = cron.schedule('*/2 * * * * *', async () => {
+        const started = Date.now();
+        const stages = {};
+        const timed = async (stage, work) => {
+            const stageStart = Date.now();
+            try {
+                return await work();
+            } finally {
+                stages[stage] = Date.now() - stageStart;
+            }
+        };
+
         try {
-            const processes = await processMonitor.getProcesses();
-
-            const analyzed = await Promise.all(
-                processes.slice(0, 10).map(async (proc) => {
-                    const analysis = await mlService.analyzeProcess(proc, proc.pid);
-
-                    // Only persist if DB is connected
-                    if (mongoose.connection.readyState === 1) {
-                        const metrics = new ProcessMetrics({
-                            processId: proc.pid,
-                            processName: proc.name,
-                            pid: proc.pid,
-                            metrics: {
-                                cpu: proc.cpu,
-                                memory: proc.memory,
-                                threads: proc.threads || 1
-                            },
-                            mlAnalysis: {
-                                anomalyScore: analysis.anomaly.score,
-                                isAnomaly: analysis.anomaly.isAnomaly,
-                                classification: analysis.classification.class,
-                                confidence: analysis.classification.confidence,
-                                predictions: analysis.predictions || []
-                            }
-                        });
-
-                        await metrics.save();
-                    }
-
-                    return { ...proc, mlAnalysis: analysis };
-                })
+            const host = hostRegistry.localHost;
+            const processes = await timed('collect', () => processMonitor.getProcesses());
+            hostRegistry.touch(host, { processCount: processes.length });
+            mlService.pruneHistory(
+                new Set(processes.map(proc => processIdentity.hostKey(host, proc.processKey))),
+                processIdentity.hostKey(host, '')
             );
 
-            const stats = await processMonitor.getSystemStats();
+            const events = await Promise.all(lifecycleTracker.update(processMonitor.snapshot)
+                .map(async event => ({
+                    ...(event.type === 'restart_loop' ? await processMonitor.tagEvent(event) : event),
+                    host
+                })));
+            if (events.length > 0) {
+                broadcast({
+                    type: 'lifecycle',
+                    host,
+                    data: events,
+                    timestamp: new Date().toISOString()
+                });
+
+                if (storage.isAvailable()) {
+                    await lifecycleTracker.saveEvents(events);
+                    await alertService.checkLifecycleEvents(events);
+                }
+            }
+
+            const persistable = selectionPolicy.persistable(processes);
+            const persisted = new Set(persistable);
+            processes
+                .filter(proc => !persisted.has(proc))
+                .forEach(proc => detectionEvaluator.recordUnevaluated(processMonitor.labelFor(proc)));
+
+            const analyzed = await timed('analyze', () => metricsPipeline.analyzeAndPersist(persistable, host, {
+                labelFor: proc => processMonitor.labelFor(proc),
+                onAnalyzed: (proc, analysis, label) => detectionEvaluator.record(label, analysis.anomaly.isAnomaly)
+            }));
+            latestAnalyzed = analyzed;
+
+            const stats = await timed('system', () => processMonitor.getSystemStats());
+            metricsPipeline.persistSystemStats(stats, host);
+            prometheusExporter.recordProcesses(host, analyzed);
+            prometheusExporter.recordSystemStats(host, stats);
+            otlpExporter.recordProcesses(host, analyzed);
+            otlpExporter.recordSystemStats(host, stats);
 
             broadcast({
                 type: 'ml_update',
+                host,
                 data: {
                     processes: analyzed,
                     stats,
@@ -194,17 +706,33 @@ function startCron() {
                 },
                 timestamp: new Date().toISOString()
             });
+
+            await checkHosts();
+            prometheusExporter.recordCycle(Date.now() - started, stages);
         } catch (error) {
             console.error('Monitoring error:', error);
+            prometheusExporter.recordCycle(Date.now() - started, stages, true);
         }
     });
     return cronTask;
 }
 
+// Prometheus scrape target
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(await prometheusExporter.render());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         ml: mlService.getModelStatus(),
+        persistence: dataCollector.getStats(),
+        otlp: otlpExporter.getStats(),
         timestamp: new Date().toISOString()
     });
 });
@@ -219,6 +747,12 @@ async function gracefulShutdown(signal) {
             try { cronTask.stop(); } catch (_) { /* ignore */ }
             cronTask = null;
         }
+        rollupTasks.forEach(task => {
+            try { task.stop(); } catch (_) { /* ignore */ }
+        });
+        rollupTasks = [];
+        mlService.stopRegistrySync();
+        mlService.baselines.stop();
 
         // Stop accepting new connections
         await new Promise((resolve) => {
@@ -237,13 +771,32 @@ async function gracefulShutdown(signal) {
             } catch (_) { resolve(); }
         });
 
-        // Disconnect mongoose
+        // Flush recordings and release the metric source
         try {
-            if (mongoose.connection.readyState !== 0) {
-                await mongoose.disconnect();
-            }
+            await processMonitor.close();
+        } catch (e) {
+            console.warn('Metric source close warning:', e.message);
+        }
+
+        // Last push of queued metrics to the OpenTelemetry collector
+        try {
+            await otlpExporter.stop();
+        } catch (e) {
+            console.warn('OTLP export warning:', e.message);
+        }
+
+        // Write out buffered metrics (spilled to disk if the DB is down)
+        try {
+            await dataCollector.stopAutoFlush();
+        } catch (e) {
+            console.warn('Metrics flush warning:', e.message);
+        }
+
+        // Disconnect MongoDB / release embedded storage
+        try {
+            await storage.close();
         } catch (e) {
-            console.warn('Mongoose disconnect warning:', e.message);
+            console.warn('Storage close warning:', e.message);
         }
 
         console.log('Shutdown complete.');
@@ -1,3 +1,4 @@
+const storage = require('../storage');
 const Alert = require('../models/Alert');
 
 class AlertService {
@@ -95,19 +96,23 @@ class AlertService {
         return alerts;
     }
 
-    // Check process-specific thresholds
-    async checkProcessThresholds(process, mlAnalysis) {
+    // Check process-specific thresholds for a process sampled on host
+    async checkProcessThresholds(process, mlAnalysis, host) {
         const alerts = [];
 
         // High CPU usage
         if (process.cpu > 90) {
-            const key = `process-${process.pid}-cpu`;
+            const key = `process-${host}-${process.processKey || process.pid}-cpu`;
             if (!this.isInCooldown(key)) {
                 alerts.push(await this.createAlert({
                     type: 'warning',
                     source: 'threshold',
-                    processId: process.pid.toString(),
+                    host,
+                    processId: (process.processKey || process.pid).toString(),
                     processName: process.name,
+                    serviceKey: process.serviceKey,
+                    containerId: process.containerId || undefined,
+                    systemdUnit: process.systemdUnit || undefined,
                     metric: 'cpu',
                     message: `Process ${process.name} using ${process.cpu.toFixed(1)}% CPU`,
                     details: {
@@ -121,21 +126,29 @@ class AlertService {
 
         // ML-detected anomaly
         if (mlAnalysis && mlAnalysis.anomaly && mlAnalysis.anomaly.isAnomaly) {
-            const key = `process-${process.pid}-anomaly`;
+            const key = `process-${host}-${process.processKey || process.pid}-anomaly`;
             if (!this.isInCooldown(key)) {
                 alerts.push(await this.createAlert({
                     type: mlAnalysis.anomaly.severity === 'critical' ? 'critical' : 'warning',
                     source: 'anomaly',
-                    processId: process.pid.toString(),
+                    host,
+                    processId: (process.processKey || process.pid).toString(),
                     processName: process.name,
+                    serviceKey: process.serviceKey,
+                    containerId: process.containerId || undefined,
+                    systemdUnit: process.systemdUnit || undefined,
                     metric: 'anomaly',
-                    message: `Anomaly detected in ${process.name} (score: ${mlAnalysis.anomaly.score.toFixed(2)})`,
+                    message: `Anomaly detected in ${process.name} (score: ${mlAnalysis.anomaly.score.toFixed(2)}` +
+                        (mlAnalysis.anomaly.baseline ? `, ${mlAnalysis.anomaly.baseline.id} baseline)` : ')'),
                     details: {
                         anomalyScore: mlAnalysis.anomaly.score,
+                        baseline: mlAnalysis.anomaly.baseline?.id,
                         threshold: this.thresholds.anomalyScore.warning
                     },
                     mlDetected: true,
-                    algorithm: 'Isolation Forest'
+                    algorithm: !mlAnalysis.anomaly.baseline || mlAnalysis.anomaly.baseline.type === 'global'
+                        ? 'Isolation Forest'
+                        : 'Process baseline'
                 }));
                 this.setCooldown(key);
             }
@@ -145,13 +158,17 @@ class AlertService {
         if (mlAnalysis && mlAnalysis.predictions) {
             const avgPrediction = mlAnalysis.predictions.reduce((a, b) => a + b, 0) / mlAnalysis.predictions.length;
             if (avgPrediction > 85) {
-                const key = `process-${process.pid}-prediction`;
+                const key = `process-${host}-${process.processKey || process.pid}-prediction`;
                 if (!this.isInCooldown(key)) {
                     alerts.push(await this.createAlert({
                         type: 'warning',
                         source: 'prediction',
-                        processId: process.pid.toString(),
+                        host,
+                    processId: (process.processKey || process.pid).toString(),
                         processName: process.name,
+                        serviceKey: process.serviceKey,
+                        containerId: process.containerId || undefined,
+                        systemdUnit: process.systemdUnit || undefined,
                         metric: 'cpu',
                         message: `LSTM predicts ${process.name} will reach ${avgPrediction.toFixed(1)}% CPU`,
                         details: {
@@ -166,19 +183,71 @@ class AlertService {
             }
         }
 
-        return alerts;
+        return alerts.filter(Boolean);
+    }
+
+    // Raise alerts for process lifecycle events (restart loops)
+    async checkLifecycleEvents(events) {
+        const alerts = [];
+
+        for (const event of events) {
+            if (event.type !== 'restart_loop') continue;
+
+            const key = `service-${event.host}-${event.serviceKey}-restart-loop`;
+            if (this.isInCooldown(key)) continue;
+
+            alerts.push(await this.createAlert({
+                type: 'critical',
+                source: 'lifecycle',
+                host: event.host,
+                processId: event.processId,
+                processName: event.processName,
+                serviceKey: event.serviceKey,
+                containerId: event.containerId || undefined,
+                systemdUnit: event.systemdUnit || undefined,
+                metric: 'restarts',
+                message: `${event.processName} restarted ${event.details.restartCount} times in ${Math.round(event.details.windowMs / 60000)} minutes`,
+                details: {
+                    currentValue: event.details.restartCount
+                }
+            }));
+            this.setCooldown(key);
+        }
+
+        return alerts.filter(Boolean);
+    }
+
+    // Raise alerts for hosts that stopped reporting
+    async checkHostStatus(staleHosts) {
+        const alerts = [];
+
+        for (const host of staleHosts) {
+            const key = `host-${host.host}-stale`;
+            if (this.isInCooldown(key)) continue;
+
+            const lastSeen = host.lastSeen ? new Date(host.lastSeen).toISOString() : 'never';
+            alerts.push(await this.createAlert({
+                type: 'warning',
+                source: 'system',
+                host: host.host,
+                metric: 'heartbeat',
+                message: `Host ${host.host} stopped reporting (last seen ${lastSeen})`
+            }));
+            this.setCooldown(key);
+        }
+
+        return alerts.filter(Boolean);
     }
 
     // Create and save alert
     async createAlert(alertData) {
         try {
-            const alert = new Alert({
+            const alert = await storage.collection(Alert).insertOne({
                 alertId: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
                 severity: this.calculateSeverity(alertData.type),
                 ...alertData
             });
 
-            await alert.save();
             this.activeAlerts.set(alert.alertId, alert);
 
             return alert;
@@ -198,15 +267,16 @@ class AlertService {
         }
     }
 
-    // Get recent alerts
-    async getRecentAlerts(limit = 50, unacknowledgedOnly = false) {
+    // Get recent alerts, optionally filtered by host, service, container or systemd unit
+    async getRecentAlerts(limit = 50, unacknowledgedOnly = false, filters = {}) {
         try {
             const query = unacknowledgedOnly ? { acknowledged: false } : {};
+            if (filters.host) query.host = filters.host;
+            if (filters.serviceKey) query.serviceKey = filters.serviceKey;
+            if (filters.containerId) query.containerId = filters.containerId;
+            if (filters.systemdUnit) query.systemdUnit = filters.systemdUnit;
 
-            const alerts = await Alert.find(query)
-                .sort({ createdAt: -1 })
-                .limit(limit)
-                .lean();
+            const alerts = await storage.collection(Alert).find(query, { sort: { createdAt: -1 }, limit });
 
             return alerts;
         } catch (error) {
@@ -218,14 +288,13 @@ class AlertService {
     // Acknowledge alert
     async acknowledgeAlert(alertId, acknowledgedBy = 'system') {
         try {
-            const alert = await Alert.findOneAndUpdate(
+            const alert = await storage.collection(Alert).findOneAndUpdate(
                 { alertId },
                 {
                     acknowledged: true,
                     acknowledgedAt: new Date(),
                     acknowledgedBy
-                },
-                { new: true }
+                }
             );
 
             if (alert) {
@@ -242,13 +311,12 @@ class AlertService {
     // Resolve alert
     async resolveAlert(alertId) {
         try {
-            const alert = await Alert.findOneAndUpdate(
+            const alert = await storage.collection(Alert).findOneAndUpdate(
                 { alertId },
                 {
                     resolved: true,
                     resolvedAt: new Date()
-                },
-                { new: true }
+                }
             );
 
             if (alert) {
@@ -267,17 +335,13 @@ class AlertService {
         try {
             const since = new Date(Date.now() - timeRange);
 
-            const stats = await Alert.aggregate([
-                { $match: { createdAt: { $gte: since } } },
-                {
-                    $group: {
-                        _id: '$type',
-                        count: { $sum: 1 }
-                    }
-                }
-            ]);
+            const stats = await storage.collection(Alert).group(
+                { createdAt: { $gte: since } },
+                'type',
+                { count: ['count'] }
+            );
 
-            const mlAlerts = await Alert.countDocuments({
+            const mlAlerts = await storage.collection(Alert).countDocuments({
                 createdAt: { $gte: since },
                 mlDetected: true
             });
@@ -302,7 +366,7 @@ class AlertService {
         try {
             const cutoffDate = new Date(Date.now() - daysOld * 24 * 60 * 60 * 1000);
 
-            const result = await Alert.deleteMany({
+            const result = await storage.collection(Alert).deleteMany({
                 createdAt: { $lt: cutoffDate },
                 resolved: true
             });
@@ -0,0 +1,120 @@
+const os = require('os');
+const procReader = require('./procReader');
+
+// Container runtimes embed a 64-char hex ID in the cgroup path, e.g.
+// /system.slice/docker-<id>.scope, /docker/<id>, /kubepods/.../cri-containerd-<id>.scope
+const CONTAINER_ID_PATTERN = /^(?:docker|cri-containerd|crio|libpod)?-?([0-9a-f]{64})(?:\.scope)?$/;
+const SYSTEMD_UNIT_PATTERN = /\.(service|scope|socket|mount|swap)$/;
+
+// Metrics summed per group
+const AGGREGATE_FIELDS = ['cpu', 'memory', 'threads', 'ioRead', 'ioWrite', 'networkSent', 'networkReceived'];
+
+class CgroupService {
+    constructor() {
+        this.limitsCache = new Map(); // cgroup path -> { limits, fetchedAt }
+        this.limitsTtl = 30000; // limits rarely change; re-read every 30 seconds
+    }
+
+    // Derive container ID and systemd unit from a cgroup path
+    describe(cgroupPath) {
+        const info = { cgroup: cgroupPath, containerId: null, systemdUnit: null };
+        if (!cgroupPath) return info;
+
+        const segments = cgroupPath.split('/').filter(Boolean);
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const match = CONTAINER_ID_PATTERN.exec(segments[i]);
+            if (match) {
+                info.containerId = match[1].slice(0, 12);
+                break;
+            }
+        }
+
+        // Innermost unit that is not a container scope
+        if (!info.containerId) {
+            const unit = [...segments].reverse().find(segment => SYSTEMD_UNIT_PATTERN.test(segment));
+            info.systemdUnit = unit || null;
+        }
+
+        return info;
+    }
+
+    // Cgroup tags for a process, all null when they cannot be read
+    async getProcessCgroup(pid) {
+        const cgroup = await procReader.readCgroup(pid);
+        return this.describe(cgroup ? cgroup.path : null);
+    }
+
+    // Cached cgroup limits for a path
+    async getLimits(cgroupPath) {
+        const cached = this.limitsCache.get(cgroupPath);
+        if (cached && Date.now() - cached.fetchedAt < this.limitsTtl) {
+            return cached.limits;
+        }
+
+        const limits = await procReader.readCgroupLimits(cgroupPath);
+        this.limitsCache.set(cgroupPath, { limits, fetchedAt: Date.now() });
+        return limits;
+    }
+
+    // Group key used for aggregation: container first, then systemd unit
+    groupKey(proc) {
+        if (proc.containerId) return { kind: 'container', id: proc.containerId };
+        if (proc.systemdUnit) return { kind: 'unit', id: proc.systemdUnit };
+        return null;
+    }
+
+    // Aggregate process metrics per container / systemd unit and express
+    // usage as a percentage of the group's cgroup limits where set
+    async aggregate(processes) {
+        const groups = new Map();
+
+        processes.forEach(proc => {
+            const key = this.groupKey(proc);
+            if (!key) return;
+
+            const mapKey = `${key.kind}:${key.id}`;
+            if (!groups.has(mapKey)) {
+                const totals = {};
+                AGGREGATE_FIELDS.forEach(field => { totals[field] = 0; });
+                groups.set(mapKey, {
+                    kind: key.kind,
+                    id: key.id,
+                    cgroup: proc.cgroup,
+                    processCount: 0,
+                    unsampledProcesses: 0, // I/O and network rates not in the totals
+                    pids: [],
+                    totals
+                });
+            }
+
+            const group = groups.get(mapKey);
+            group.processCount++;
+            if (proc.sampled === false) group.unsampledProcesses++;
+            group.pids.push(proc.pid);
+            AGGREGATE_FIELDS.forEach(field => {
+                group.totals[field] += proc[field] || 0;
+            });
+        });
+
+        const cores = os.cpus().length || 1;
+
+        return Promise.all([...groups.values()].map(async group => {
+            const limits = group.cgroup ? await this.getLimits(group.cgroup) : null;
+
+            // Process CPU is a percentage of the whole host
+            const coresUsed = (group.totals.cpu / 100) * cores;
+            const memoryBytes = group.totals.memory * 1024 * 1024;
+
+            return {
+                ...group,
+                limits,
+                usage: {
+                    cpuPercentOfLimit: limits && limits.cpuCores ? (coresUsed / limits.cpuCores) * 100 : null,
+                    memoryPercentOfLimit: limits && limits.memoryBytes ? (memoryBytes / limits.memoryBytes) * 100 : null
+                }
+            };
+        }));
+    }
+}
+
+module.exports = new CgroupService();
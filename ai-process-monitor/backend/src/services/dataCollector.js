@@ -1,72 +1,264 @@
+const path = require('path');
+const storage = require('../storage');
 const ProcessMetrics = require('../models/ProcessMetrics');
+const SystemMetrics = require('../models/SystemMetrics');
+const DiskQueue = require('./diskQueue');
 
+// Collections written through the buffer
+const MODELS = { ProcessMetrics, SystemMetrics };
+
+// What enqueue() does when the buffer is full: 'spill' moves the oldest
+// batch to the disk queue, the drop policies discard one document
+const OVERFLOW_POLICIES = ['spill', 'drop_oldest', 'drop_newest'];
+
+// Errors meaning the database is unreachable rather than the batch being bad
+const RETRYABLE_ERRORS = [
+    'MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError',
+    'MongoNotConnectedError', 'MongoTopologyClosedError'
+];
+
+const DEFAULT_SPOOL_DIR = path.join(__dirname, '../../spool');
+
+// Bounded write buffer for metric documents. Documents are inserted in
+// batches; while storage is unavailable they are spilled to an on-disk
+// queue and replayed once it reconnects. Delivery is at-least-once: a
+// batch that failed mid-insert is replayed in full.
 class DataCollector {
     constructor() {
         this.collectionInterval = 2000; // 2 seconds
-        this.batchSize = 10;
-        this.buffer = [];
+        this.batchSize = parseInt(process.env.METRICS_BATCH_SIZE) || 500;
+        this.maxBuffer = parseInt(process.env.METRICS_BUFFER_SIZE) || 5000;
+        this.flushEvery = parseInt(process.env.METRICS_FLUSH_INTERVAL_MS) || 5000;
+        this.overflowPolicy = OVERFLOW_POLICIES.includes(process.env.METRICS_OVERFLOW_POLICY)
+            ? process.env.METRICS_OVERFLOW_POLICY
+            : 'spill';
+        this.highWatermark = 0.8; // buffer utilization reported as back-pressure
+        this.buffer = []; // { model, doc }
+        this.spool = new DiskQueue(process.env.METRICS_SPOOL_DIR || DEFAULT_SPOOL_DIR, {
+            maxBytes: (parseFloat(process.env.METRICS_SPOOL_MAX_MB) || 256) * 1024 * 1024
+        });
+        this.counters = {
+            enqueued: 0,
+            inserted: 0,
+            spilled: 0,
+            replayed: 0,
+            dropped: 0, // lost to overflow or a full spool
+            failed: 0 // rejected by storage, e.g. validation errors
+        };
+        this.lastFlush = null;
+        this.lastError = null;
+        this.flushing = null; // promise of the running flush
         this.isCollecting = false;
         this.flushInterval = null;
+        this.onConnected = () => this.flush();
     }
 
-    // Add metrics to buffer
-    addToBuffer(processData, mlAnalysis) {
-        const metric = {
-            processId: processData.pid.toString(),
-            processName: processData.name,
-            pid: processData.pid,
-            timestamp: new Date(),
-            metrics: {
-                cpu: processData.cpu || 0,
-                memory: processData.memory || 0,
-                threads: processData.threads || 1,
-                ioRead: processData.ioRead || 0,
-                ioWrite: processData.ioWrite || 0,
-                networkSent: processData.networkSent || 0,
-                networkReceived: processData.networkReceived || 0
-            }
-        };
-
-        if (mlAnalysis) {
-            metric.mlAnalysis = {
-                anomalyScore: mlAnalysis.anomaly?.score || 0,
-                isAnomaly: mlAnalysis.anomaly?.isAnomaly || false,
-                classification: mlAnalysis.classification?.class || 'unknown',
-                confidence: mlAnalysis.classification?.confidence || 0,
-                predictions: mlAnalysis.predictions || []
-            };
+    // Queue a document for the named model. Returns false if it was dropped.
+    enqueue(model, doc) {
+        if (!MODELS[model]) {
+            throw new Error(`Unknown metrics model: ${model}`);
         }
+        this.counters.enqueued++;
 
-        this.buffer.push(metric);
+        if (this.buffer.length >= this.maxBuffer) {
+            if (this.overflowPolicy === 'drop_newest') {
+                this.counters.dropped++;
+                return false;
+            }
+            if (this.overflowPolicy === 'drop_oldest') {
+                this.buffer.shift();
+                this.counters.dropped++;
+            } else {
+                this.spill(this.buffer.splice(0, this.batchSize));
+            }
+        }
 
+        this.buffer.push({ model, doc });
         if (this.buffer.length >= this.batchSize) {
             this.flush();
         }
+        return true;
     }
 
-    // Flush buffer to database
-    async flush() {
-        if (this.buffer.length === 0) return;
+    // Flush buffer to database; concurrent calls share one run
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushBuffer().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushBuffer() {
+        const started = Date.now();
+        let inserted = 0;
+
+        while (this.buffer.length > 0) {
+            const batch = this.buffer.splice(0, this.batchSize);
+            if (!storage.isAvailable()) {
+                await this.spill(batch);
+                continue;
+            }
+
+            try {
+                inserted += await this.insert(batch);
+            } catch (error) {
+                if (this.isRetryable(error)) {
+                    await this.spill(batch);
+                } else {
+                    inserted += this.rejected(batch, error);
+                }
+            }
+        }
+
+        if (inserted > 0) {
+            this.counters.inserted += inserted;
+            this.lastFlush = { at: new Date(), documents: inserted, durationMs: Date.now() - started };
+        }
+
+        if (this.spool.length > 0 && storage.isAvailable()) {
+            await this.replay();
+        }
+    }
+
+    // insertMany per model; resolves to the number of documents stored. If
+    // a model fails the others are still written, and the first error is
+    // thrown with insertedCount covering all of them.
+    async insert(entries) {
+        const byModel = new Map();
+        entries.forEach(({ model, doc }) => {
+            if (!byModel.has(model)) byModel.set(model, []);
+            byModel.get(model).push(doc);
+        });
+
+        let inserted = 0;
+        let failure = null;
+        for (const [model, docs] of byModel) {
+            try {
+                inserted += (await storage.collection(MODELS[model]).insertMany(docs)).length;
+            } catch (error) {
+                inserted += error.insertedCount || 0;
+                failure = failure || error;
+            }
+        }
+
+        if (failure) {
+            failure.insertedCount = inserted;
+            throw failure;
+        }
+        return inserted;
+    }
+
+    // Account for a batch that storage refused outright: only the rejected
+    // documents failed, the rest are stored. Returns the stored count.
+    rejected(batch, error) {
+        const stored = error.insertedCount || 0;
+        this.counters.failed += batch.length - stored;
+        this.recordError(error);
+        console.error('Error flushing metrics:', error.message);
+        return stored;
+    }
+
+    isRetryable(error) {
+        return !storage.isAvailable() ||
+            RETRYABLE_ERRORS.includes(error.name) ||
+            /buffering timed out/i.test(error.message);
+    }
+
+    async spill(entries) {
+        if (entries.length === 0) return;
 
         try {
-            const batch = [...this.buffer];
-            this.buffer = [];
+            if (await this.spool.append(entries)) {
+                this.counters.spilled += entries.length;
+                return;
+            }
+            console.warn(`Metrics spool full, dropping ${entries.length} documents`);
+        } catch (error) {
+            this.recordError(error);
+            console.error('Error spilling metrics to disk:', error.message);
+        }
+        this.counters.dropped += entries.length;
+    }
 
-            await ProcessMetrics.insertMany(batch, { ordered: false });
-            console.log(`Saved ${batch.length} metrics to database`);
+    // Insert spilled documents, oldest first. Documents storage rejects are
+    // counted as failed like in flushBuffer(); a retryable error stops the
+    // replay and keeps the segment, whose inserted batches are committed so
+    // the next attempt resumes after them.
+    async replay() {
+        let replayed = 0;
+        try {
+            await this.spool.drain(async (entries, commit) => {
+                for (let i = 0; i < entries.length; i += this.batchSize) {
+                    const batch = entries.slice(i, i + this.batchSize);
+                    try {
+                        replayed += await this.insert(batch);
+                    } catch (error) {
+                        if (this.isRetryable(error)) throw error;
+                        replayed += this.rejected(batch, error);
+                    }
+                    await commit(batch.length);
+                }
+            });
         } catch (error) {
-            if (error.code !== 11000) {
-                console.error('Error flushing metrics:', error.message);
-            }
+            this.recordError(error);
+            console.warn('Metrics replay interrupted:', error.message);
+        }
+
+        if (replayed > 0) {
+            this.counters.replayed += replayed;
+            console.log(`Replayed ${replayed} spilled metrics`);
         }
     }
 
+    // Whether documents are waiting in the disk queue
+    hasSpilled() {
+        return this.spool.length > 0;
+    }
+
+    recordError(error) {
+        this.lastError = { at: new Date(), message: error.message };
+    }
+
+    // Buffer, spool and throughput figures for monitoring the pipeline itself
+    getStats() {
+        const utilization = this.buffer.length / this.maxBuffer;
+        return {
+            buffered: this.buffer.length,
+            capacity: this.maxBuffer,
+            utilization,
+            backpressure: utilization >= this.highWatermark,
+            overflowPolicy: this.overflowPolicy,
+            batchSize: this.batchSize,
+            ...this.counters,
+            spool: {
+                segments: this.spool.length,
+                bytes: this.spool.bytes,
+                maxBytes: this.spool.maxBytes
+            },
+            lastFlush: this.lastFlush,
+            lastError: this.lastError
+        };
+    }
+
+    metrics() {
+        return storage.collection(ProcessMetrics);
+    }
+
     async getHistory(processId, limit = 100) {
         try {
-            return await ProcessMetrics.find({ processId })
-                .sort({ timestamp: -1 })
-                .limit(limit)
-                .lean();
+            return await this.metrics().find({ processId }, { sort: { timestamp: -1 }, limit });
+        } catch (error) {
+            console.error('Error fetching history:', error);
+            return [];
+        }
+    }
+
+    // History of a logical service across all of its process instances
+    async getServiceHistory(serviceKey, limit = 100) {
+        try {
+            return await this.metrics().find({ serviceKey }, { sort: { timestamp: -1 }, limit });
         } catch (error) {
             console.error('Error fetching history:', error);
             return [];
@@ -77,20 +269,18 @@ class DataCollector {
         try {
             const since = new Date(Date.now() - timeRange);
 
-            const metrics = await ProcessMetrics.aggregate([
-                { $match: { processName, timestamp: { $gte: since } } },
+            const metrics = await this.metrics().group(
+                { processName, timestamp: { $gte: since } },
+                null,
                 {
-                    $group: {
-                        _id: null,
-                        avgCpu: { $avg: '$metrics.cpu' },
-                        maxCpu: { $max: '$metrics.cpu' },
-                        minCpu: { $min: '$metrics.cpu' },
-                        avgMemory: { $avg: '$metrics.memory' },
-                        maxMemory: { $max: '$metrics.memory' },
-                        count: { $sum: 1 }
-                    }
+                    avgCpu: ['avg', 'metrics.cpu'],
+                    maxCpu: ['max', 'metrics.cpu'],
+                    minCpu: ['min', 'metrics.cpu'],
+                    avgMemory: ['avg', 'metrics.memory'],
+                    maxMemory: ['max', 'metrics.memory'],
+                    count: ['count']
                 }
-            ]);
+            );
 
             return metrics[0] || null;
         } catch (error) {
@@ -102,21 +292,18 @@ class DataCollector {
     async getTopProcesses(metric = 'cpu', limit = 10, timeRange = 300000) {
         try {
             const since = new Date(Date.now() - timeRange);
-            const field = `$metrics.${metric}`;
+            const field = `metrics.${metric}`;
 
-            return await ProcessMetrics.aggregate([
-                { $match: { timestamp: { $gte: since } } },
+            return await this.metrics().group(
+                { timestamp: { $gte: since } },
+                'processName',
                 {
-                    $group: {
-                        _id: '$processName',
-                        avgValue: { $avg: field },
-                        maxValue: { $max: field },
-                        count: { $sum: 1 }
-                    }
+                    avgValue: ['avg', field],
+                    maxValue: ['max', field],
+                    count: ['count']
                 },
-                { $sort: { avgValue: -1 } },
-                { $limit: limit }
-            ]);
+                { sort: { avgValue: -1 }, limit }
+            );
         } catch (error) {
             console.error('Error getting top processes:', error);
             return [];
@@ -127,18 +314,16 @@ class DataCollector {
         try {
             const since = new Date(Date.now() - timeRange);
 
-            return await ProcessMetrics.aggregate([
-                { $match: { timestamp: { $gte: since }, 'mlAnalysis.isAnomaly': true } },
+            return await this.metrics().group(
+                { timestamp: { $gte: since }, 'mlAnalysis.isAnomaly': true },
+                'processName',
                 {
-                    $group: {
-                        _id: '$processName',
-                        anomalyCount: { $sum: 1 },
-                        avgAnomalyScore: { $avg: '$mlAnalysis.anomalyScore' },
-                        maxAnomalyScore: { $max: '$mlAnalysis.anomalyScore' }
-                    }
+                    anomalyCount: ['count'],
+                    avgAnomalyScore: ['avg', 'mlAnalysis.anomalyScore'],
+                    maxAnomalyScore: ['max', 'mlAnalysis.anomalyScore']
                 },
-                { $sort: { anomalyCount: -1 } }
-            ]);
+                { sort: { anomalyCount: -1 } }
+            );
         } catch (error) {
             console.error('Error getting anomaly stats:', error);
             return [];
@@ -148,7 +333,7 @@ class DataCollector {
     async cleanOldData(daysOld = 7) {
         try {
             const cutoffDate = new Date(Date.now() - daysOld * 86400000);
-            const result = await ProcessMetrics.deleteMany({ timestamp: { $lt: cutoffDate } });
+            const result = await this.metrics().deleteMany({ timestamp: { $lt: cutoffDate } });
             console.log(`Cleaned ${result.deletedCount} old metrics`);
             return result.deletedCount;
         } catch (error) {
@@ -159,10 +344,10 @@ class DataCollector {
 
     async getDbStats() {
         try {
-            const totalDocs = await ProcessMetrics.countDocuments();
-            const oldestDoc = await ProcessMetrics.findOne().sort({ timestamp: 1 }).lean();
-            const newestDoc = await ProcessMetrics.findOne().sort({ timestamp: -1 }).lean();
-            const uniqueProcesses = await ProcessMetrics.distinct('processName');
+            const totalDocs = await this.metrics().countDocuments();
+            const oldestDoc = await this.metrics().findOne({}, { sort: { timestamp: 1 } });
+            const newestDoc = await this.metrics().findOne({}, { sort: { timestamp: -1 } });
+            const uniqueProcesses = await this.metrics().distinct('processName');
 
             return {
                 totalDocuments: totalDocs,
@@ -177,19 +362,28 @@ class DataCollector {
         }
     }
 
-    startAutoFlush() {
+    // Open the spool, flush periodically and replay spilled data on reconnect
+    async startAutoFlush() {
         if (this.isCollecting) return;
 
         this.isCollecting = true;
-        this.flushInterval = setInterval(() => this.flush(), 5000);
+        await this.spool.open();
+        if (this.spool.length > 0) {
+            console.log(`Found ${this.spool.length} spilled metric segments to replay`);
+        }
+
+        this.flushInterval = setInterval(() => this.flush(), this.flushEvery);
+        storage.onAvailable(this.onConnected);
         console.log('Data collector started with auto-flush');
     }
 
+    // Final flush; spills to disk if storage is unavailable
     async stopAutoFlush() {
         if (this.flushInterval) {
             clearInterval(this.flushInterval);
             this.flushInterval = null;
         }
+        storage.offAvailable(this.onConnected);
 
         this.isCollecting = false;
         await this.flush();
@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const storage = require('../storage');
+const ProcessMetrics = require('../models/ProcessMetrics');
+const Alert = require('../models/Alert');
+const MLModel = require('../models/MLModel');
+
+// Datasets that can be exported and imported. Imported metrics are appended;
+// alerts and models replace the existing document with the same key.
+const DATASETS = {
+    metrics: { model: ProcessMetrics, timeField: 'timestamp', keys: null, anomalyFilter: { 'mlAnalysis.isAnomaly': true } },
+    alerts: { model: Alert, timeField: 'createdAt', keys: ['alertId'], anomalyFilter: { mlDetected: true } },
+    models: { model: MLModel, timeField: 'lastTrained', keys: ['name', 'version'], anomalyFilter: null }
+};
+const FORMATS = ['csv', 'ndjson'];
+const STRUCTURED_TYPES = ['Array', 'Map', 'Mixed']; // written to CSV cells as JSON
+const MAX_REPORTED_ERRORS = 50;
+
+function parseList(value) {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+function setPath(doc, keyPath, value) {
+    const keys = keyPath.split('.');
+    let target = doc;
+    keys.slice(0, -1).forEach(key => {
+        if (target[key] === undefined) target[key] = {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+// Binary min-heap on timestamp holding at most limit documents: the root is
+// the oldest kept one, replaced whenever a newer document arrives
+function keepNewest(heap, doc, limit) {
+    const older = (i, j) => heap[i].timestamp < heap[j].timestamp;
+    const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+
+    if (heap.length < limit) {
+        heap.push(doc);
+        for (let i = heap.length - 1; i > 0 && older(i, (i - 1) >> 1); i = (i - 1) >> 1) {
+            swap(i, (i - 1) >> 1);
+        }
+        return;
+    }
+    if (doc.timestamp <= heap[0].timestamp) return;
+
+    heap[0] = doc;
+    for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let oldest = i;
+        if (left < heap.length && older(left, oldest)) oldest = left;
+        if (right < heap.length && older(right, oldest)) oldest = right;
+        if (oldest === i) return;
+        swap(i, oldest);
+        i = oldest;
+    }
+}
+
+function getPath(doc, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV rows (arrays of cells) from a text stream; quoted cells may contain
+// commas, doubled quotes and line breaks
+async function* csvRows(input) {
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+
+    for await (const chunk of input) {
+        for (const char of String(chunk)) {
+            if (quoted) {
+                if (char === '"') {
+                    quoted = false;
+                    afterQuote = true;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                if (afterQuote) field += '"';
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field);
+                yield row;
+                row = [];
+                field = '';
+            } else if (char !== '\r') {
+                field += char;
+            }
+            afterQuote = false;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        yield row;
+    }
+}
+
+// Export and import of metrics, alerts and model metadata as CSV or NDJSON.
+// Exports stream from storage, imports are validated against the mongoose
+// schemas before anything is written.
+class DataTransfer {
+    constructor() {
+        this.batchSize = parseInt(process.env.IMPORT_BATCH_SIZE) || 500;
+    }
+
+    get datasets() {
+        return Object.keys(DATASETS);
+    }
+
+    // Flattened schema paths used as CSV columns, with their schema types
+    columnsFor(dataset) {
+        const columns = [];
+        DATASETS[dataset].model.schema.eachPath((schemaPath, type) => {
+            if (schemaPath === '_id' || schemaPath === '__v' || schemaPath.includes('$')) return;
+            columns.push({ path: schemaPath, type: type.instance });
+        });
+        return columns;
+    }
+
+    formatFor(filename) {
+        return path.extname(filename || '').toLowerCase() === '.csv' ? 'csv' : 'ndjson';
+    }
+
+    // Turn export parameters into options; returns { options, errors }
+    parseExport(dataset, params) {
+        const errors = [];
+        if (!DATASETS[dataset]) errors.push(`dataset must be one of ${this.datasets.join(', ')}`);
+
+        const format = params.format || 'ndjson';
+        if (!FORMATS.includes(format)) errors.push(`format must be one of ${FORMATS.join(', ')}`);
+
+        const from = params.from ? new Date(params.from) : null;
+        const to = params.to ? new Date(params.to) : null;
+        if (from && isNaN(from)) errors.push('from must be a date');
+        if (to && isNaN(to)) errors.push('to must be a date');
+        if (from && to && !isNaN(from) && !isNaN(to) && from > to) errors.push('from must be before to');
+
+        const options = {
+            dataset,
+            format,
+            from,
+            to,
+            processIds: parseList(params.process),
+            names: parseList(params.name),
+            host: params.host || null,
+            anomalyOnly: params.anomalyOnly === true || params.anomalyOnly === 'true'
+        };
+
+        if (dataset === 'models' && (options.processIds.length || options.names.length || options.host || options.anomalyOnly)) {
+            errors.push('process, name, host and anomalyOnly filters do not apply to models');
+        }
+
+        return { options, errors };
+    }
+
+    filterFor(options) {
+        const { timeField, anomalyFilter } = DATASETS[options.dataset];
+        const filter = {};
+        if (options.from || options.to) {
+            filter[timeField] = {};
+            if (options.from) filter[timeField].$gte = options.from;
+            if (options.to) filter[timeField].$lte = options.to;
+        }
+        if (options.processIds.length > 0) filter.processId = { $in: options.processIds };
+        if (options.names.length > 0) filter.processName = { $in: options.names };
+        if (options.host) filter.host = options.host;
+        if (options.anomalyOnly) Object.assign(filter, anomalyFilter);
+        return filter;
+    }
+
+    // Lines of the export, oldest document first
+    async *export(options) {
+        const { model, timeField } = DATASETS[options.dataset];
+        const columns = this.columnsFor(options.dataset);
+        const docs = storage.collection(model).stream(this.filterFor(options), { sort: { [timeField]: 1 } });
+
+        if (options.format === 'csv') {
+            yield columns.map(column => csvCell(column.path)).join(',') + '\n';
+        }
+
+        for await (const doc of docs) {
+            if (options.format === 'csv') {
+                yield columns.map(column => csvCell(getPath(doc, column.path))).join(',') + '\n';
+            } else {
+                const { _id, __v, ...record } = doc;
+                yield JSON.stringify(record) + '\n';
+            }
+        }
+    }
+
+    // Raw records of an input stream as { record, doc } or { record, error }
+    async *records(dataset, input, format) {
+        if (format === 'ndjson') {
+            let record = 0;
+            for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                record++;
+                if (!line.trim()) continue;
+                try {
+                    yield { record, doc: JSON.parse(line) };
+                } catch (error) {
+                    yield { record, error: `invalid JSON: ${error.message}` };
+                }
+            }
+            return;
+        }
+
+        const types = new Map(this.columnsFor(dataset).map(column => [column.path, column.type]));
+        let header = null;
+        let record = 0;
+        for await (const row of csvRows(input)) {
+            if (!header) {
+                header = row.map(cell => cell.trim());
+                const unknown = header.filter(column => !types.has(column));
+                if (unknown.length > 0) throw new Error(`unknown columns: ${unknown.join(', ')}`);
+                continue;
+            }
+
+            record++;
+            if (row.length === 1 && row[0] === '') continue;
+            if (row.length !== header.length) {
+                yield { record, error: `expected ${header.length} cells, got ${row.length}` };
+                continue;
+            }
+
+            try {
+                const doc = {};
+                header.forEach((column, idx) => {
+                    const cell = row[idx];
+                    if (cell === '') return;
+                    setPath(doc, column, STRUCTURED_TYPES.includes(types.get(column)) ? JSON.parse(cell) : cell);
+                });
+                yield { record, doc };
+            } catch (error) {
+                yield { record, error: `invalid JSON cell: ${error.message}` };
+            }
+        }
+    }
+
+    // Documents of an input stream that pass schema validation. Invalid
+    // records are passed to onInvalid(record, message).
+    async *validDocuments(dataset, input, format, onInvalid) {
+        const { model } = DATASETS[dataset];
+        for await (const { record, doc, error } of this.records(dataset, input, format)) {
+            if (error) {
+                onInvalid(record, error);
+                continue;
+            }
+
+            const instance = new model(doc);
+            const invalid = instance.validateSync();
+            if (invalid) {
+                onInvalid(record, invalid.message);
+                continue;
+            }
+
+            // Imported documents get fresh ids in the target database
+            const { _id, ...prepared } = instance.toObject({ flattenMaps: true, versionKey: false });
+            yield prepared;
+        }
+    }
+
+    // Validate and store a CSV or NDJSON stream. With dryRun nothing is
+    // written. Returns counts plus the first few invalid records.
+    async import(dataset, input, { format = 'ndjson', dryRun = false } = {}) {
+        const result = { dataset, format, dryRun, processed: 0, imported: 0, invalid: 0, errors: [] };
+        const { model, keys } = DATASETS[dataset];
+        const collection = storage.collection(model);
+        const onInvalid = (record, message) => {
+            result.invalid++;
+            if (result.errors.length < MAX_REPORTED_ERRORS) result.errors.push({ record, error: message });
+        };
+
+        let batch = [];
+        const write = async () => {
+            if (!dryRun && batch.length > 0) {
+                if (keys) await collection.upsertMany(batch, keys);
+                else await collection.insertMany(batch);
+            }
+            result.imported += batch.length;
+            batch = [];
+        };
+
+        try {
+            for await (const doc of this.validDocuments(dataset, input, format, onInvalid)) {
+                batch.push(doc);
+                if (batch.length >= this.batchSize) await write();
+            }
+            await write();
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        result.processed = result.imported + result.invalid + batch.length;
+        return result;
+    }
+
+    // ProcessMetrics records from an export file for the training pipeline,
+    // newest first like ModelTrainer.fetchTrainingData. With a limit only the
+    // newest records are held while the file streams past. Returns
+    // { docs, invalid }; records without a usable timestamp (e.g. an empty
+    // cell, which casts to null) count as invalid since they cannot be ordered.
+    async loadTrainingData(file, limit) {
+        const docs = [];
+        let invalid = 0;
+        const input = fs.createReadStream(file, 'utf8');
+        for await (const doc of this.validDocuments('metrics', input, this.formatFor(file), () => invalid++)) {
+            if (!(doc.timestamp instanceof Date) || isNaN(doc.timestamp)) {
+                invalid++;
+                continue;
+            }
+            if (limit) keepNewest(docs, doc, limit);
+            else docs.push(doc);
+        }
+
+        return { docs: docs.sort((a, b) => b.timestamp - a.timestamp), invalid };
+    }
+}
+
+module.exports = new DataTransfer();
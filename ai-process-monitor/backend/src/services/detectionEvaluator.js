@@ -0,0 +1,125 @@
+// Episode IDs remembered per anomaly type to count each episode once
+const MAX_RECENT_EPISODES = 1000;
+
+// Compares anomaly detections against ground-truth labels (e.g. from the
+// workload simulator) to measure detection rates end to end. Only analyzed
+// samples can be scored; labeled samples the cycle did not analyze (outside
+// the persisted selection) are counted as unevaluated so the summary can
+// report how much of the ground truth the metrics cover.
+class DetectionEvaluator {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.counts = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+        this.unevaluated = { samples: 0, anomalous: 0 };
+        this.byType = {}; // anomaly type -> { samples, detected, unevaluated, episodes, detectedEpisodes, recent }
+        this.since = new Date();
+    }
+
+    typeStats(type) {
+        if (!this.byType[type]) {
+            this.byType[type] = {
+                samples: 0,
+                detected: 0,
+                unevaluated: 0,
+                episodes: 0,
+                detectedEpisodes: 0,
+                recent: new Map() // episodeId -> detected, oldest first
+            };
+        }
+        return this.byType[type];
+    }
+
+    // Count an episode once, and once more if it is detected. Only recent
+    // episodes are remembered so the map stays bounded.
+    recordEpisode(stats, episodeId, isAnomaly) {
+        if (!stats.recent.has(episodeId)) {
+            stats.episodes++;
+            stats.recent.set(episodeId, false);
+            if (stats.recent.size > MAX_RECENT_EPISODES) {
+                stats.recent.delete(stats.recent.keys().next().value);
+            }
+        }
+        if (isAnomaly && !stats.recent.get(episodeId)) {
+            stats.detectedEpisodes++;
+            stats.recent.set(episodeId, true);
+        }
+    }
+
+    // Record one analyzed sample. label is { anomaly: type|null, episodeId }
+    record(label, isAnomaly) {
+        if (!label) return;
+
+        if (label.anomaly) {
+            if (isAnomaly) this.counts.truePositive++;
+            else this.counts.falseNegative++;
+
+            const stats = this.typeStats(label.anomaly);
+            stats.samples++;
+            if (isAnomaly) stats.detected++;
+            this.recordEpisode(stats, label.episodeId, isAnomaly);
+        } else if (isAnomaly) {
+            this.counts.falsePositive++;
+        } else {
+            this.counts.trueNegative++;
+        }
+    }
+
+    // Record a labeled sample that was not analyzed
+    recordUnevaluated(label) {
+        if (!label) return;
+
+        this.unevaluated.samples++;
+        if (label.anomaly) {
+            this.unevaluated.anomalous++;
+            this.typeStats(label.anomaly).unevaluated++;
+        }
+    }
+
+    summary() {
+        const { truePositive: tp, falsePositive: fp, falseNegative: fn, trueNegative: tn } = this.counts;
+        const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+        const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+        const samples = tp + fp + fn + tn;
+
+        const byType = {};
+        Object.entries(this.byType).forEach(([type, stats]) => {
+            byType[type] = {
+                samples: stats.samples,
+                unevaluatedSamples: stats.unevaluated,
+                sampleDetectionRate: stats.samples > 0 ? stats.detected / stats.samples : null,
+                episodes: stats.episodes,
+                episodeDetectionRate: stats.episodes > 0 ? stats.detectedEpisodes / stats.episodes : null
+            };
+        });
+
+        return {
+            since: this.since,
+            samples,
+            counts: { ...this.counts },
+            precision,
+            recall,
+            f1Score: precision !== null && recall !== null && precision + recall > 0
+                ? (2 * precision * recall) / (precision + recall)
+                : null,
+            falsePositiveRate: fp + tn > 0 ? fp / (fp + tn) : null,
+            // Share of labeled samples, and of labeled anomalous samples,
+            // that the metrics above are based on
+            coverage: {
+                unevaluatedSamples: this.unevaluated.samples,
+                unevaluatedAnomalous: this.unevaluated.anomalous,
+                sampleCoverage: samples + this.unevaluated.samples > 0
+                    ? samples / (samples + this.unevaluated.samples)
+                    : null,
+                anomalyCoverage: tp + fn + this.unevaluated.anomalous > 0
+                    ? (tp + fn) / (tp + fn + this.unevaluated.anomalous)
+                    : null
+            },
+            byType
+        };
+    }
+}
+
+module.exports = new DetectionEvaluator();
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only queue of JSON entries in NDJSON segment files. Segments are
+// drained oldest first and deleted once their entries were handled, so
+// entries survive restarts until they are replayed. A segment's
+// <file>.offset sidecar counts the entries already handled by a drain that
+// did not finish.
+class DiskQueue {
+    constructor(dir, { maxBytes = 256 * 1024 * 1024, segmentBytes = 8 * 1024 * 1024 } = {}) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.segmentBytes = segmentBytes;
+        this.segments = []; // { file, bytes }, oldest first
+        this.bytes = 0;
+        this.sequence = 0;
+        this.lock = Promise.resolve(); // drains run one at a time
+    }
+
+    // Pick up segments left over from a previous run
+    async open() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        const names = await fs.promises.readdir(this.dir);
+        const files = names.filter(file => file.endsWith('.ndjson')).sort();
+
+        // Offsets (and their temporary files) of segments that are gone
+        await Promise.all(names
+            .filter(name => /\.offset(\.tmp)?$/.test(name) && !files.includes(name.replace(/\.offset(\.tmp)?$/, '')))
+            .map(name => fs.promises.rm(path.join(this.dir, name), { force: true })));
+
+        this.segments = await Promise.all(files.map(async file => {
+            const { size } = await fs.promises.stat(path.join(this.dir, file));
+            return { file, bytes: size, writes: new Set() };
+        }));
+        this.bytes = this.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+    }
+
+    get length() {
+        return this.segments.length;
+    }
+
+    // Append entries to the newest segment. Returns false without writing
+    // anything when the queue would exceed maxBytes. Appends may overlap
+    // each other and drain(): bytes are reserved before writing and drain()
+    // waits for the writes to a segment before reading it.
+    async append(entries) {
+        if (entries.length === 0) return true;
+
+        const content = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        const size = Buffer.byteLength(content);
+        if (this.bytes + size > this.maxBytes) return false;
+
+        let segment = this.segments[this.segments.length - 1];
+        if (!segment || segment.bytes >= this.segmentBytes || segment.draining) {
+            // Zero-padded names keep lexical order equal to creation order
+            const name = `${String(Date.now()).padStart(15, '0')}-${String(this.sequence++).padStart(6, '0')}.ndjson`;
+            segment = { file: name, bytes: 0, writes: new Set() };
+            this.segments.push(segment);
+        }
+
+        segment.bytes += size;
+        this.bytes += size;
+        const write = fs.promises.appendFile(path.join(this.dir, segment.file), content);
+        segment.writes.add(write);
+        try {
+            await write;
+        } catch (error) {
+            segment.bytes -= size;
+            this.bytes -= size;
+            throw error;
+        } finally {
+            segment.writes.delete(write);
+        }
+        return true;
+    }
+
+    // Pass entries to handler(entries, commit) segment by segment, oldest
+    // first. A segment is deleted after its handler call resolves; if the
+    // handler throws, draining stops and the segment is kept for the next
+    // attempt. commit(count) records that the next count entries were
+    // handled, so the next attempt starts after them.
+    // Resolves to the number of entries handled.
+    drain(handler) {
+        const run = this.lock.then(() => this.drainSegments(handler));
+        this.lock = run.catch(() => {});
+        return run;
+    }
+
+    async drainSegments(handler) {
+        let handled = 0;
+
+        while (this.segments.length > 0) {
+            const segment = this.segments[0];
+            segment.draining = true; // new appends go to a fresh segment
+            await Promise.allSettled([...segment.writes]);
+
+            const file = path.join(this.dir, segment.file);
+            let content;
+            try {
+                content = await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                content = '';
+            }
+
+            const entries = [];
+            const offset = await this.readOffset(file);
+            content.split('\n').forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    // a torn last line from a crash mid-append is skipped
+                }
+            });
+
+            const pending = entries.slice(offset);
+            let committed = offset;
+            const commit = async count => {
+                committed += count;
+                await this.writeOffset(file, committed);
+            };
+
+            try {
+                await handler(pending, commit);
+            } finally {
+                segment.draining = false;
+            }
+
+            await fs.promises.rm(file, { force: true });
+            await fs.promises.rm(`${file}.offset`, { force: true });
+            this.segments.shift();
+            this.bytes -= segment.bytes;
+            handled += pending.length;
+        }
+
+        return handled;
+    }
+
+    async readOffset(file) {
+        try {
+            return parseInt(await fs.promises.readFile(`${file}.offset`, 'utf8'), 10) || 0;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return 0;
+        }
+    }
+
+    // Write to a temporary file and rename, so a crash leaves the old offset
+    async writeOffset(file, offset) {
+        const tmp = `${file}.offset.tmp`;
+        await fs.promises.writeFile(tmp, String(offset));
+        await fs.promises.rename(tmp, `${file}.offset`);
+    }
+}
+
+module.exports = DiskQueue;
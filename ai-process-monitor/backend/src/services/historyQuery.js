@@ -0,0 +1,249 @@
+const rollupService = require('./rollupService');
+
+const METRICS = [
+    'cpu', 'memory', 'threads', 'ioRead', 'ioWrite', 'networkSent', 'networkReceived',
+    'connections', 'ctxSwitchesVoluntary', 'ctxSwitchesInvoluntary', 'minorFaults',
+    'majorFaults', 'fdCount', 'rss', 'vsz', 'swap', 'anomalyScore'
+];
+const AGGREGATES = ['avg', 'min', 'max', 'p95'];
+const GROUP_BY = {
+    process: doc => doc.processId,
+    name: doc => doc.processName,
+    user: doc => doc.user,
+    classification: doc => doc.mlAnalysis?.classification
+};
+const STEP_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Nearest-rank 95th percentile
+function p95(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(sorted.length * 0.95) - 1)];
+}
+
+// Time-range queries over process history, bucketed by step into chart
+// series. Buckets without samples are null so charts show gaps.
+class HistoryQuery {
+    constructor() {
+        this.targetPoints = 300; // points per series when no step is given
+        this.maxSeries = parseInt(process.env.HISTORY_MAX_SERIES) || 50;
+        this.maxDocuments = parseInt(process.env.HISTORY_MAX_DOCUMENTS) || 100000;
+    }
+
+    // "30s", "5m", "1h" or plain milliseconds
+    parseStep(step) {
+        const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(step).trim());
+        return match ? Math.round(parseFloat(match[1]) * STEP_UNITS[match[2] || 'ms']) : NaN;
+    }
+
+    // Comma-separated list or repeated query parameter
+    parseList(value) {
+        if (value === undefined) return [];
+        return (Array.isArray(value) ? value : String(value).split(','))
+            .map(item => String(item).trim())
+            .filter(Boolean);
+    }
+
+    // Turn query parameters into options; returns { options, errors }
+    parse(params) {
+        const errors = [];
+        const to = params.to ? new Date(params.to) : new Date();
+        const from = params.from ? new Date(params.from) : new Date(to.getTime() - 3600000);
+        if (isNaN(from)) errors.push('from must be a date');
+        if (isNaN(to)) errors.push('to must be a date');
+        if (!isNaN(from) && !isNaN(to) && from >= to) errors.push('from must be before to');
+
+        const metrics = this.parseList(params.metrics || 'cpu,memory');
+        metrics.filter(metric => !METRICS.includes(metric)).forEach(metric => {
+            errors.push(`unknown metric ${metric}; expected one of ${METRICS.join(', ')}`);
+        });
+
+        const aggregate = params.aggregate || 'avg';
+        if (!AGGREGATES.includes(aggregate)) errors.push(`aggregate must be one of ${AGGREGATES.join(', ')}`);
+
+        const groupBy = params.groupBy || 'process';
+        if (!GROUP_BY[groupBy]) errors.push(`groupBy must be one of ${Object.keys(GROUP_BY).join(', ')}`);
+
+        const resolution = params.resolution || 'auto';
+        if (!['auto', 'raw', '1m', '1h'].includes(resolution)) errors.push('resolution must be auto, raw, 1m or 1h');
+
+        let step = null;
+        if (params.step !== undefined) {
+            step = this.parseStep(params.step);
+            if (!(step > 0)) errors.push('step must be a duration like 500ms, 30s, 5m or 1h');
+        }
+
+        const options = {
+            from,
+            to,
+            step,
+            metrics,
+            aggregate,
+            groupBy,
+            resolution,
+            processIds: this.parseList(params.process),
+            names: this.parseList(params.name),
+            services: this.parseList(params.service),
+            users: this.parseList(params.user),
+            host: params.host || null
+        };
+
+        if (errors.length === 0) {
+            const range = to - from;
+            if (!step) options.step = Math.max(1000, Math.ceil(range / this.targetPoints / 1000) * 1000);
+            if (range / options.step > rollupService.maxPoints) {
+                errors.push(`step too small: at most ${rollupService.maxPoints} points per series`);
+            }
+        }
+
+        return { options, errors };
+    }
+
+    // Storage filter for the selected processes and time range
+    filterFor(options, resolution) {
+        const filter = { timestamp: { $gte: options.from, $lte: options.to } };
+        if (resolution !== 'raw') filter.resolution = resolution;
+        if (options.host) filter.host = options.host;
+        if (options.processIds.length > 0) filter.processId = { $in: options.processIds };
+        if (options.names.length > 0) filter.processName = { $in: options.names };
+        if (options.services.length > 0) filter.serviceKey = { $in: options.services };
+        if (options.users.length > 0) filter.user = { $in: options.users };
+        return filter;
+    }
+
+    // Value of a metric in a document. Rollup documents contribute the
+    // statistic matching the aggregate; p95 over rollups is therefore the
+    // p95 of bucket p95s, an approximation.
+    valueOf(doc, metric, aggregate, resolution) {
+        if (metric === 'anomalyScore') {
+            const analysis = doc.mlAnalysis || {};
+            const score = resolution === 'raw'
+                ? analysis.anomalyScore
+                : aggregate === 'max' || aggregate === 'p95' ? analysis.maxAnomalyScore : analysis.avgAnomalyScore;
+            return typeof score === 'number' ? { value: score, weight: doc.sampleCount || 1 } : null;
+        }
+
+        const field = doc.metrics?.[metric];
+        if (resolution === 'raw') {
+            return typeof field === 'number' ? { value: field, weight: 1 } : null;
+        }
+        if (!field) return null;
+        const value = field[aggregate];
+        return typeof value === 'number' ? { value, weight: doc.sampleCount || 1 } : null;
+    }
+
+    reduce(entries, aggregate) {
+        if (entries.length === 0) return null;
+        const values = entries.map(entry => entry.value);
+        switch (aggregate) {
+            case 'min': return Math.min(...values);
+            case 'max': return Math.max(...values);
+            case 'p95': return p95(values);
+            default: {
+                // rollup averages are weighted by their sample counts
+                const weight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+                return entries.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / weight;
+            }
+        }
+    }
+
+    fieldsFor(options, resolution) {
+        const fields = ['timestamp', 'processId', 'processName', 'pid', 'serviceKey', 'user', 'host', 'sampleCount',
+            'mlAnalysis.classification'];
+        options.metrics.forEach(metric => {
+            if (metric !== 'anomalyScore') fields.push(`metrics.${metric}`);
+            else fields.push(resolution === 'raw' ? 'mlAnalysis.anomalyScore' : 'mlAnalysis.avgAnomalyScore mlAnalysis.maxAnomalyScore');
+        });
+        return fields.join(' ');
+    }
+
+    // Run a parsed query and return chart series sharing one timestamp axis
+    async run(options) {
+        const { from, to, step, metrics, aggregate, groupBy } = options;
+        const resolution = options.resolution === 'auto'
+            ? rollupService.resolutionForStep(from.getTime(), to.getTime(), step)
+            : options.resolution;
+
+        const docs = await rollupService.collectionFor(resolution).find(this.filterFor(options, resolution), {
+            sort: { timestamp: 1 },
+            limit: this.maxDocuments + 1,
+            fields: this.fieldsFor(options, resolution)
+        });
+        const truncated = docs.length > this.maxDocuments;
+        if (truncated) docs.pop();
+
+        // Buckets are aligned to multiples of step so repeated queries line up
+        const start = Math.floor(from.getTime() / step) * step;
+        const bucketCount = Math.floor((to.getTime() - start) / step) + 1;
+        const timestamps = Array.from({ length: bucketCount }, (_, idx) => new Date(start + idx * step).toISOString());
+
+        const groups = new Map(); // group key -> { label, buckets: metric -> entries[][] }
+        docs.forEach(doc => {
+            const key = GROUP_BY[groupBy](doc) ?? 'unknown';
+            if (!groups.has(key)) {
+                const buckets = {};
+                metrics.forEach(metric => {
+                    buckets[metric] = Array.from({ length: bucketCount }, () => []);
+                });
+                groups.set(key, { label: this.labelFor(doc, groupBy, key), buckets });
+            }
+
+            const idx = Math.floor((doc.timestamp.getTime() - start) / step);
+            if (idx < 0 || idx >= bucketCount) return;
+            const group = groups.get(key);
+            metrics.forEach(metric => {
+                const entry = this.valueOf(doc, metric, aggregate, resolution);
+                if (entry) group.buckets[metric][idx].push(entry);
+            });
+        });
+
+        let series = [];
+        groups.forEach((group, key) => {
+            metrics.forEach(metric => {
+                series.push({
+                    key: String(key),
+                    metric,
+                    labels: group.label,
+                    values: group.buckets[metric].map(entries => this.reduce(entries, aggregate))
+                });
+            });
+        });
+
+        // Keep the groups with the highest average of the first metric
+        const groupCount = groups.size;
+        if (groupCount > this.maxSeries) {
+            const mean = values => {
+                const present = values.filter(value => value !== null);
+                return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : -Infinity;
+            };
+            const ranked = series
+                .filter(entry => entry.metric === metrics[0])
+                .sort((a, b) => mean(b.values) - mean(a.values))
+                .slice(0, this.maxSeries)
+                .map(entry => entry.key);
+            const keep = new Set(ranked);
+            series = series.filter(entry => keep.has(entry.key));
+        }
+
+        return {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            step,
+            resolution,
+            aggregate,
+            groupBy,
+            metrics,
+            timestamps,
+            series,
+            truncated: truncated || groupCount > this.maxSeries
+        };
+    }
+
+    labelFor(doc, groupBy, key) {
+        if (groupBy === 'process') {
+            return { processId: key, name: doc.processName, pid: doc.pid, host: doc.host, serviceKey: doc.serviceKey };
+        }
+        return { [groupBy]: key };
+    }
+}
+
+module.exports = new HistoryQuery();
@@ -0,0 +1,120 @@
+const os = require('os');
+const storage = require('../storage');
+const Host = require('../models/Host');
+
+const TRACKED_AGENTS = 8; // agent runs per host whose sequence numbers are remembered
+
+// Tracks which hosts report metrics (this server plus remote agents) and
+// flags hosts that stop reporting
+class HostRegistry {
+    constructor() {
+        this.localHost = process.env.MONITOR_HOST || os.hostname();
+        this.hosts = new Map(); // host -> state
+        this.staleAfter = parseInt(process.env.HOST_STALE_AFTER_MS) || 30000;
+    }
+
+    // Restore known hosts so stale ones are still listed after a restart
+    async load() {
+        try {
+            const stored = await storage.collection(Host).find();
+            stored.forEach(doc => {
+                this.hosts.set(doc.host, {
+                    host: doc.host,
+                    local: doc.local,
+                    agentId: doc.agentId,
+                    firstSeen: doc.firstSeen,
+                    lastSeen: doc.lastSeen,
+                    status: doc.status,
+                    batchesReceived: doc.batchesReceived || 0,
+                    lastProcessCount: doc.lastProcessCount,
+                    seqs: new Map()
+                });
+            });
+        } catch (error) {
+            console.warn('Host registry load failed. Error:', error.message);
+        }
+    }
+
+    // Record a report from a host. Returns false for a batch that was already
+    // accepted (agents retry batches whose acknowledgement got lost).
+    // Sequence numbers are tracked per agent run, so two agents reporting
+    // under one host name do not reset each other's deduplication.
+    touch(host, { agentId = null, seq = null, processCount = null } = {}) {
+        const now = new Date();
+        let state = this.hosts.get(host);
+        if (!state) {
+            state = {
+                host,
+                local: host === this.localHost,
+                agentId,
+                firstSeen: now,
+                lastSeen: null,
+                status: 'online',
+                batchesReceived: 0,
+                lastProcessCount: null,
+                seqs: new Map()
+            };
+            this.hosts.set(host, state);
+        }
+
+        if (seq !== null) {
+            const lastSeq = state.seqs.has(agentId) ? state.seqs.get(agentId) : -1;
+            if (seq <= lastSeq) return false;
+
+            // Most recently reporting agent last; forget the oldest runs
+            state.seqs.delete(agentId);
+            state.seqs.set(agentId, seq);
+            if (state.seqs.size > TRACKED_AGENTS) {
+                state.seqs.delete(state.seqs.keys().next().value);
+            }
+        }
+        state.agentId = agentId;
+
+        state.lastSeen = now;
+        state.status = 'online';
+        state.batchesReceived++;
+        if (processCount !== null) state.lastProcessCount = processCount;
+
+        this.persist(state);
+        return true;
+    }
+
+    persist(state) {
+        if (!storage.isAvailable()) return;
+
+        const { seqs, ...doc } = state;
+        storage.collection(Host).findOneAndUpdate({ host: state.host }, doc, { upsert: true })
+            .catch(error => console.error('Error saving host:', error.message));
+    }
+
+    // Mark hosts that have not reported within staleAfter and return the
+    // ones that just went stale
+    checkStale() {
+        const now = Date.now();
+        const newlyStale = [];
+
+        this.hosts.forEach(state => {
+            const lastSeen = state.lastSeen ? new Date(state.lastSeen).getTime() : 0;
+            if (state.status === 'online' && now - lastSeen > this.staleAfter) {
+                state.status = 'stale';
+                newlyStale.push({ ...state });
+                this.persist(state);
+            }
+        });
+
+        return newlyStale;
+    }
+
+    list() {
+        return [...this.hosts.values()]
+            .map(({ seqs, ...state }) => ({
+                ...state,
+                secondsSinceLastSeen: state.lastSeen
+                    ? Math.round((Date.now() - new Date(state.lastSeen).getTime()) / 1000)
+                    : null
+            }))
+            .sort((a, b) => a.host.localeCompare(b.host));
+    }
+}
+
+module.exports = new HostRegistry();
@@ -0,0 +1,148 @@
+const storage = require('../storage');
+const ProcessEvent = require('../models/ProcessEvent');
+
+class LifecycleTracker {
+    constructor() {
+        this.known = new Map(); // instance key -> { identity, firstSeen }
+        this.recentExits = new Map(); // service key -> timestamps of exits
+        this.recentRestarts = new Map(); // service key -> timestamps of restarts
+        this.loopReported = new Map(); // service key -> time of last restart_loop event
+        this.restartThreshold = 3; // restarts within the window that make a loop
+        this.restartWindow = 5 * 60 * 1000; // 5 minutes
+        this.initialized = false;
+    }
+
+    // Keep only timestamps inside the restart window
+    recent(map, key, now) {
+        const times = (map.get(key) || []).filter(t => now - t <= this.restartWindow);
+        if (times.length > 0) {
+            map.set(key, times);
+        } else {
+            map.delete(key);
+        }
+        return times;
+    }
+
+    event(type, identity, now, details = {}) {
+        return {
+            type,
+            processId: identity.processKey,
+            serviceKey: identity.serviceKey,
+            processName: identity.name,
+            pid: identity.pid,
+            parentPid: identity.parentPid,
+            command: identity.command,
+            containerId: identity.containerId,
+            systemdUnit: identity.systemdUnit,
+            details,
+            timestamp: new Date(now)
+        };
+    }
+
+    // Diff a snapshot against the previous one and return lifecycle events.
+    // The first snapshot only establishes the baseline.
+    update(snapshot) {
+        if (!snapshot) return [];
+
+        const now = snapshot.time;
+        const events = [];
+        const current = new Map(snapshot.processes.map(identity => [identity.processKey, identity]));
+
+        if (!this.initialized) {
+            current.forEach((identity, key) => this.known.set(key, { identity, firstSeen: now }));
+            this.initialized = true;
+            return events;
+        }
+
+        // Exits first, so a restart in the same snapshot is recognised
+        for (const [key, entry] of this.known) {
+            if (current.has(key)) continue;
+
+            this.known.delete(key);
+            events.push(this.event('process_exited', entry.identity, now, {
+                lifetimeMs: now - entry.firstSeen
+            }));
+
+            const exits = this.recent(this.recentExits, entry.identity.serviceKey, now);
+            exits.push(now);
+            this.recentExits.set(entry.identity.serviceKey, exits);
+        }
+
+        for (const [key, identity] of current) {
+            if (this.known.has(key)) continue;
+
+            this.known.set(key, { identity, firstSeen: now });
+
+            const restart = this.recent(this.recentExits, identity.serviceKey, now).length > 0;
+            events.push(this.event('process_started', identity, now, { restart }));
+
+            if (restart) {
+                const loop = this.trackRestart(identity, now);
+                if (loop) events.push(loop);
+            }
+        }
+
+        this.prune(now);
+        return events;
+    }
+
+    // Drop per-service state that has aged out of the restart window
+    prune(now) {
+        [this.recentExits, this.recentRestarts].forEach(map => {
+            for (const key of [...map.keys()]) {
+                this.recent(map, key, now);
+            }
+        });
+        for (const [key, reportedAt] of this.loopReported) {
+            if (now - reportedAt >= this.restartWindow) {
+                this.loopReported.delete(key);
+            }
+        }
+    }
+
+    // Record a restart and return a restart_loop event when the threshold is hit
+    trackRestart(identity, now) {
+        const restarts = this.recent(this.recentRestarts, identity.serviceKey, now);
+        restarts.push(now);
+        this.recentRestarts.set(identity.serviceKey, restarts);
+
+        if (restarts.length < this.restartThreshold) return null;
+
+        // Report each loop at most once per window
+        const lastReported = this.loopReported.get(identity.serviceKey);
+        if (lastReported && now - lastReported < this.restartWindow) return null;
+
+        this.loopReported.set(identity.serviceKey, now);
+        return this.event('restart_loop', identity, now, {
+            restartCount: restarts.length,
+            windowMs: this.restartWindow
+        });
+    }
+
+    // Persist events; failures are logged and do not interrupt monitoring
+    async saveEvents(events) {
+        if (events.length === 0) return;
+
+        try {
+            await storage.collection(ProcessEvent).insertMany(events);
+        } catch (error) {
+            console.error('Error saving lifecycle events:', error.message);
+        }
+    }
+
+    async getRecentEvents(limit = 100, filters = {}) {
+        try {
+            const query = {};
+            if (filters.type) query.type = filters.type;
+            if (filters.host) query.host = filters.host;
+            if (filters.serviceKey) query.serviceKey = filters.serviceKey;
+
+            return await storage.collection(ProcessEvent).find(query, { sort: { timestamp: -1 }, limit });
+        } catch (error) {
+            console.error('Error fetching lifecycle events:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new LifecycleTracker();
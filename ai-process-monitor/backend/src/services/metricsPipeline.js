@@ -0,0 +1,87 @@
+const storage = require('../storage');
+const mlService = require('./mlService');
+const alertService = require('./alertService');
+const rollupService = require('./rollupService');
+const dataCollector = require('./dataCollector');
+const processIdentity = require('./processIdentity');
+
+// Metric fields copied from a process sample into ProcessMetrics.metrics
+const METRIC_FIELDS = [
+    'ioRead', 'ioWrite', 'networkSent', 'networkReceived', 'connections',
+    'ctxSwitchesVoluntary', 'ctxSwitchesInvoluntary', 'minorFaults', 'majorFaults',
+    'fdCount', 'rss', 'vsz', 'swap'
+];
+
+// Shared analyze-and-persist path for samples from this host and from agents
+class MetricsPipeline {
+    // Build a ProcessMetrics document from a sample and its ML analysis.
+    // label is the source's ground truth, if it has any (the simulator).
+    toMetricsDocument(proc, analysis, host, timestamp, label = null) {
+        const metrics = {
+            cpu: proc.cpu,
+            memory: proc.memory,
+            threads: proc.threads || 1
+        };
+        METRIC_FIELDS.forEach(field => {
+            metrics[field] = proc[field] || 0;
+        });
+
+        return {
+            processId: proc.processKey,
+            serviceKey: proc.serviceKey,
+            processName: proc.name,
+            pid: proc.pid,
+            user: proc.user || undefined,
+            host,
+            timestamp,
+            cgroup: proc.cgroup || undefined,
+            containerId: proc.containerId || undefined,
+            systemdUnit: proc.systemdUnit || undefined,
+            metrics,
+            mlAnalysis: {
+                anomalyScore: analysis.anomaly.score,
+                isAnomaly: analysis.anomaly.isAnomaly,
+                baseline: analysis.anomaly.baseline?.id,
+                classification: analysis.classification.class,
+                confidence: analysis.classification.confidence,
+                predictions: analysis.predictions || []
+            },
+            anomalyLabel: label ? Boolean(label.anomaly) : undefined
+        };
+    }
+
+    // Run ML analysis on each process, raise its threshold and anomaly
+    // alerts and queue the result for persistence.
+    // labelFor(proc) returns a sample's ground truth, stored as anomalyLabel;
+    // onAnalyzed(proc, analysis, label) is called for every sample; timestamp
+    // is the sample time (agents send batches after the fact).
+    async analyzeAndPersist(processes, host, { labelFor = null, onAnalyzed = null, timestamp = new Date() } = {}) {
+        if (processes.length > 0) rollupService.noteSample(timestamp);
+        return Promise.all(processes.map(async (proc) => {
+            const label = labelFor ? labelFor(proc) : null;
+            const analysis = await mlService.analyzeProcess(proc, processIdentity.hostKey(host, proc.processKey));
+            if (onAnalyzed) onAnalyzed(proc, analysis, label);
+            if (storage.isAvailable()) await alertService.checkProcessThresholds(proc, analysis, host);
+
+            dataCollector.enqueue('ProcessMetrics', this.toMetricsDocument(proc, analysis, host, timestamp, label));
+
+            return { ...proc, host, mlAnalysis: analysis };
+        }));
+    }
+
+    persistSystemStats(stats, host) {
+        if (!stats) return;
+
+        dataCollector.enqueue('SystemMetrics', {
+            host,
+            timestamp: stats.timestamp ? new Date(stats.timestamp) : new Date(),
+            cpu: stats.cpu,
+            memory: stats.memory,
+            swap: stats.swap,
+            filesystems: stats.disk?.filesystems || [],
+            interfaces: stats.network?.interfaces || []
+        });
+    }
+}
+
+module.exports = new MetricsPipeline();
@@ -2,6 +2,23 @@ const IsolationForest = require('../ml/anomalyDetector');
 const LSTMPredictor = require('../ml/timeSeriesPredictor');
 const ProcessClassifier = require('../ml/processClassifier');
 const DataPreprocessor = require('../ml/dataPreprocessor');
+const FeaturePipeline = require('../ml/featurePipeline');
+const ModelStore = require('../ml/modelStore');
+const ProcessBaselines = require('../ml/processBaselines');
+
+// Process fields kept in metricsHistory for the feature pipelines' rolling
+// windows, rates and trends
+const HISTORY_FIELDS = [
+    'cpu', 'memory', 'threads', 'ioRead', 'ioWrite', 'networkSent', 'networkReceived',
+    'ctxSwitchesVoluntary', 'ctxSwitchesInvoluntary', 'minorFaults', 'majorFaults', 'fdCount', 'swap'
+];
+
+// Model registry name -> MLService field running it
+const MODEL_FIELDS = {
+    anomaly_detector: 'anomalyDetector',
+    lstm_predictor: 'predictor',
+    process_classifier: 'classifier'
+};
 
 class MLService {
     constructor() {
@@ -9,37 +26,56 @@ class MLService {
         this.predictor = new LSTMPredictor(10, 50);
         this.classifier = new ProcessClassifier();
         this.preprocessor = new DataPreprocessor();
+        this.baselines = new ProcessBaselines();
+        this.modelStore = new ModelStore();
+        this.modelInfo = {}; // model name -> { source: 'loaded' | 'trained', version }
+        this.registryPollInterval = parseInt(process.env.ML_REGISTRY_POLL_MS) || 60000;
+        this.registryTimer = null;
+        this.failedVersions = new Map(); // model name -> deployed version that failed to load
 
-        this.metricsHistory = new Map();
+        this.metricsHistory = new Map(); // "<host>/<instance key>" -> recent metrics
         this.maxHistorySize = 100;
         this.isTraining = false;
     }
 
-    // Initialize and train models
+    // Load the models saved by modelTrainer; any model that cannot be
+    // loaded is trained here instead, from recent ProcessMetrics records
     async initialize(historicalData) {
         console.log('Initializing ML models...');
 
         try {
+            const loaded = {
+                anomaly_detector: await this.loadModel('anomaly_detector'),
+                lstm_predictor: await this.loadModel('lstm_predictor'),
+                process_classifier: await this.loadModel('process_classifier')
+            };
+            if (loaded.anomaly_detector) this.anomalyDetector = loaded.anomaly_detector;
+            if (loaded.lstm_predictor) this.predictor = loaded.lstm_predictor;
+            if (loaded.process_classifier) this.classifier = loaded.process_classifier;
+
+            const series = [...FeaturePipeline.processSeries(historicalData).values()];
+
             // Train anomaly detector
-            if (historicalData.length > 50) {
-                const features = historicalData.map(data => [
-                    data.cpu || 0,
-                    data.memory || 0,
-                    data.ioRead || 0,
-                    data.ioWrite || 0
-                ]);
-                this.anomalyDetector.fit(features);
+            if (!loaded.anomaly_detector && historicalData.length > 50) {
+                const { pipeline } = this.anomalyDetector;
+                const rows = series.flatMap(samples => pipeline.withHistory(samples));
+                this.anomalyDetector.fit(pipeline.fitTransform(rows));
+                this.modelInfo.anomaly_detector = { source: 'trained', version: null };
             }
 
-            // Train LSTM predictor
-            if (historicalData.length > 50) {
-                const cpuData = historicalData.map(d => d.cpu || 0);
-                await this.predictor.train(cpuData, 30, 16);
+            // Train LSTM predictor on the longest series of a single process
+            const longest = series.reduce((a, b) => (b.length > a.length ? b : a), []);
+            if (!loaded.lstm_predictor && longest.length > 50) {
+                await this.predictor.train(longest, 30, 16);
+                this.modelInfo.lstm_predictor = { source: 'trained', version: null };
             }
 
             // Train classifier with synthetic data (in production, use real labeled data)
-            const trainingData = this.generateTrainingData();
-            this.classifier.train(trainingData);
+            if (!loaded.process_classifier) {
+                const trainingData = this.generateTrainingData();
+                this.classifier.train(trainingData);
+                this.modelInfo.process_classifier = { source: 'trained', version: null };
+            }
 
             console.log('ML models initialized successfully');
         } catch (error) {
@@ -47,6 +83,72 @@ class MLService {
         }
     }
 
+    // A saved model, or null (with the reason logged) when it is missing,
+    // does not match its MLModel metadata or fails to deserialize
+    async loadModel(name) {
+        try {
+            const { model, version } = await this.modelStore.load(name);
+            this.modelInfo[name] = { source: 'loaded', version };
+            console.log(`Loaded ${name} version ${version}`);
+            return model;
+        } catch (error) {
+            console.warn(`Not using saved ${name} (${error.message}), training at startup`);
+            return null;
+        }
+    }
+
+    // Swap in a loaded model. Analyses already running finish on the old one.
+    activate(name, model, version) {
+        const field = MODEL_FIELDS[name];
+        const previous = this[field];
+        this[field] = model;
+        this.modelInfo[name] = { source: 'loaded', version };
+        if (previous !== model) this.modelStore.dispose(previous);
+    }
+
+    // Deploy a registered version and switch to it without a restart
+    async promoteModel(name, version, by) {
+        const result = await this.modelStore.promote(name, version, { by });
+        this.activate(name, result.model, result.version);
+        return { name, version: result.version, previousVersion: result.previousVersion };
+    }
+
+    async rollbackModel(name, by) {
+        const result = await this.modelStore.rollback(name, { by });
+        this.activate(name, result.model, result.version);
+        return { name, version: result.version, previousVersion: result.previousVersion };
+    }
+
+    // Follow deployments made elsewhere, e.g. by modelTrainer --promote
+    async syncDeployed() {
+        for (const name of Object.keys(MODEL_FIELDS)) {
+            try {
+                const deployed = await this.modelStore.deployed(name);
+                if (!deployed || deployed.version === this.modelInfo[name]?.version) continue;
+                if (this.failedVersions.get(name) === deployed.version) continue;
+
+                const { model, version } = await this.modelStore.load(name, deployed.version);
+                this.activate(name, model, version);
+                console.log(`Switched ${name} to deployed version ${version}`);
+            } catch (error) {
+                const deployed = await this.modelStore.deployed(name).catch(() => null);
+                if (deployed) this.failedVersions.set(name, deployed.version);
+                console.error(`Could not switch ${name} to its deployed version:`, error.message);
+            }
+        }
+    }
+
+    startRegistrySync() {
+        if (this.registryTimer) return;
+        this.registryTimer = setInterval(() => this.syncDeployed(), this.registryPollInterval);
+        this.registryTimer.unref();
+    }
+
+    stopRegistrySync() {
+        clearInterval(this.registryTimer);
+        this.registryTimer = null;
+    }
+
     // Generate synthetic training data for classifier
     generateTrainingData() {
         const data = [];
@@ -62,7 +164,12 @@ class MLService {
                     ioRead: 100 + Math.random() * 200,
                     ioWrite: 50 + Math.random() * 100,
                     networkSent: 500 + Math.random() * 1000,
-                    networkReceived: 1000 + Math.random() * 2000
+                    networkReceived: 1000 + Math.random() * 2000,
+                    ctxSwitchesVoluntary: 200 + Math.random() * 800,
+                    ctxSwitchesInvoluntary: 5 + Math.random() * 20,
+                    minorFaults: 50 + Math.random() * 200,
+                    majorFaults: Math.random() * 2,
+                    fdCount: 100 + Math.random() * 900
                 },
                 label: 'web-server'
             });
@@ -79,7 +186,12 @@ class MLService {
                     ioRead: 1000 + Math.random() * 2000,
                     ioWrite: 500 + Math.random() * 1000,
                     networkSent: 200 + Math.random() * 300,
-                    networkReceived: 300 + Math.random() * 500
+                    networkReceived: 300 + Math.random() * 500,
+                    ctxSwitchesVoluntary: 500 + Math.random() * 1500,
+                    ctxSwitchesInvoluntary: 20 + Math.random() * 80,
+                    minorFaults: 200 + Math.random() * 800,
+                    majorFaults: 1 + Math.random() * 10,
+                    fdCount: 200 + Math.random() * 1800
                 },
                 label: 'database'
             });
@@ -96,7 +208,12 @@ class MLService {
                     ioRead: 500 + Math.random() * 500,
                     ioWrite: 200 + Math.random() * 300,
                     networkSent: 50 + Math.random() * 100,
-                    networkReceived: 50 + Math.random() * 100
+                    networkReceived: 50 + Math.random() * 100,
+                    ctxSwitchesVoluntary: 10 + Math.random() * 50,
+                    ctxSwitchesInvoluntary: 100 + Math.random() * 400,
+                    minorFaults: 1000 + Math.random() * 5000,
+                    majorFaults: Math.random() * 5,
+                    fdCount: 20 + Math.random() * 80
                 },
                 label: 'ml-training'
             });
@@ -123,29 +240,62 @@ class MLService {
         }
     }
 
-    // Detect anomalies
-    detectAnomalies(process) {
-        try {
-            const features = [
-                process.cpu || 0,
-                process.memory || 0,
-                process.ioRead || 0,
-                process.ioWrite || 0
-            ];
+    // Drop history of process instances that are no longer running. Only keys
+    // starting with prefix (one host's processes) are considered.
+    pruneHistory(activeKeys, prefix = '') {
+        for (const key of this.metricsHistory.keys()) {
+            if (key.startsWith(prefix) && !activeKeys.has(key)) {
+                this.metricsHistory.delete(key);
+            }
+        }
+    }
 
-            const anomalyScore = this.anomalyDetector.predict(features);
+    // Score of the global forest, on the features its pipeline was fitted for
+    globalAnomalyScore(process, history) {
+        if (!this.anomalyDetector.trained) return 0;
+        return this.anomalyDetector.predict(this.anomalyDetector.pipeline.transform(process, history));
+    }
+
+    // Detect anomalies against the process's own baseline, its class's, or
+    // the global forest; the result names the baseline that was used.
+    // history holds the process's earlier samples, oldest first.
+    detectAnomalies(process, className = null, history = []) {
+        try {
+            const baseline = process.name ? this.baselines.lookup(process.name, className) : null;
+            const anomalyScore = baseline
+                ? baseline.profile.predict(this.preprocessor.anomalyFeatures(process))
+                : this.globalAnomalyScore(process, history);
 
             return {
                 isAnomaly: anomalyScore > 0.6,
                 score: anomalyScore,
-                severity: anomalyScore > 0.8 ? 'critical' : anomalyScore > 0.6 ? 'warning' : 'normal'
+                severity: anomalyScore > 0.8 ? 'critical' : anomalyScore > 0.6 ? 'warning' : 'normal',
+                baseline: baseline
+                    ? { id: `${baseline.type}:${baseline.name}`, type: baseline.type, name: baseline.name, trainedAt: new Date(baseline.trainedAt) }
+                    : { id: 'global', type: 'global', name: 'anomaly_detector', version: this.modelInfo.anomaly_detector?.version ?? null }
             };
         } catch (error) {
             console.error('Anomaly detection error:', error);
-            return { isAnomaly: false, score: 0, severity: 'normal' };
+            return { isAnomaly: false, score: 0, severity: 'normal', baseline: null };
         }
     }
 
+    // Score every process and every subtree of a process tree. Aggregated
+    // subtree metrics expose forking servers whose workers look normal alone.
+    analyzeTree(nodes) {
+        let anomalousProcesses = 0;
+
+        nodes.forEach(node => {
+            node.anomaly = this.detectAnomalies(node);
+            node.subtree.anomaly = this.detectAnomalies(node.subtree);
+            node.subtree.anomalousProcesses = this.analyzeTree(node.children) +
+                (node.anomaly.isAnomaly ? 1 : 0);
+            anomalousProcesses += node.subtree.anomalousProcesses;
+        });
+
+        return anomalousProcesses;
+    }
+
     // Predict future values
     async predictFuture(processId, steps = 5) {
         try {
@@ -155,15 +305,11 @@ class MLService {
             }
 
             const history = this.metricsHistory.get(processId);
-            if (!history || history.length < 10) {
+            if (!history || history.length < this.predictor.inputShape) {
                 return null;
             }
 
-            const cpuHistory = history.map(m => m.cpu || 0);
-            const predictions = await this.predictor.predictMultiStep(
-                cpuHistory.slice(-10),
-                steps
-            );
+            const predictions = await this.predictor.predictMultiStep(history, steps);
 
             return predictions;
         } catch (error) {
@@ -173,9 +319,9 @@ class MLService {
     }
 
     // Classify process
-    classifyProcess(process) {
+    classifyProcess(process, history = []) {
         try {
-            return this.classifier.predict(process);
+            return this.classifier.predict(process, history);
         } catch (error) {
             console.error('Classification error:', error);
             return { class: 'unknown', confidence: 0, probabilities: {} };
@@ -185,16 +331,15 @@ class MLService {
     // Analyze process with all ML models
     async analyzeProcess(process, processId) {
         // Store current metrics
-        this.storeMetrics(processId, {
-            cpu: process.cpu,
-            memory: process.memory,
-            ioRead: process.ioRead || 0,
-            ioWrite: process.ioWrite || 0
-        });
+        this.storeMetrics(processId, Object.fromEntries(HISTORY_FIELDS.map(field => [field, process[field] || 0])));
+        const history = this.metricsHistory.get(processId);
+        const current = { ...process, timestamp: history[history.length - 1].timestamp };
+        const earlier = history.slice(0, -1);
 
-        // Run all analyses
-        const anomalyResult = this.detectAnomalies(process);
-        const classification = this.classifyProcess(process);
+        // Run all analyses; the class picks the fallback baseline
+        const classification = this.classifyProcess(current, earlier);
+        const anomalyResult = this.detectAnomalies(current, classification.class, earlier);
+        this.baselines.record(process.name, classification.class, this.preprocessor.anomalyFeatures(process));
         const predictions = await this.predictFuture(processId, 5);
 
         return {
@@ -210,16 +355,23 @@ class MLService {
         return {
             anomalyDetector: {
                 trained: this.anomalyDetector.trained,
-                numTrees: this.anomalyDetector.numTrees
+                numTrees: this.anomalyDetector.numTrees,
+                features: this.anomalyDetector.pipeline.names,
+                ...this.modelInfo.anomaly_detector
             },
             predictor: {
                 trained: this.predictor.trained,
-                inputShape: this.predictor.inputShape
+                inputShape: this.predictor.inputShape,
+                features: this.predictor.pipeline.names,
+                ...this.modelInfo.lstm_predictor
             },
             classifier: {
                 trained: this.classifier.trained,
-                classes: this.classifier.classes
-            }
+                classes: this.classifier.classes,
+                features: this.classifier.pipeline.names,
+                ...this.modelInfo.process_classifier
+            },
+            baselines: this.baselines.status()
         };
     }
 }
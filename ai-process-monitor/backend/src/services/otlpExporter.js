@@ -0,0 +1,336 @@
+const { version } = require('../../../package.json');
+
+const MB = 1024 * 1024;
+const RETRYABLE_STATUS = [429, 502, 503, 504]; // per the OTLP/HTTP spec
+const MAX_BACKOFF_MS = 30000;
+
+// "key1=value1,key2=value2" as used by OTEL_EXPORTER_OTLP_HEADERS
+function parseHeaders(value) {
+    const headers = {};
+    (value || '').split(',').forEach(pair => {
+        const idx = pair.indexOf('=');
+        if (idx > 0) headers[pair.slice(0, idx).trim()] = decodeURIComponent(pair.slice(idx + 1).trim());
+    });
+    return headers;
+}
+
+// OTLP/JSON attribute list; empty values are left out
+function attributes(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => {
+            if (typeof value === 'number') {
+                return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+            }
+            if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+            return { key, value: { stringValue: String(value) } };
+        });
+}
+
+// One metric with its data points; kind is 'gauge' or 'sum' (non-monotonic,
+// i.e. an UpDownCounter). Points without a finite value are skipped.
+function metric(name, unit, description, kind, points, timeUnixNano) {
+    const dataPoints = points
+        .filter(point => Number.isFinite(point.value))
+        .map(point => ({
+            attributes: attributes(point.attributes || {}),
+            timeUnixNano,
+            asDouble: point.value
+        }));
+    if (dataPoints.length === 0) return null;
+
+    const data = kind === 'sum'
+        ? { sum: { aggregationTemporality: 2, isMonotonic: false, dataPoints } } // cumulative
+        : { gauge: { dataPoints } };
+    return { name, unit, description, ...data };
+}
+
+// Pushes process metrics, ML outputs and system stats to an OpenTelemetry
+// collector over OTLP/HTTP with JSON encoding. Samples are queued and sent
+// in batches on an interval; retryable failures back off exponentially and
+// leave the batch queued for the next round.
+class OtlpExporter {
+    constructor() {
+        const base = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+        this.endpoint = process.env.OTEL_EXPORTER_OTLP_METRICS_ENDPOINT
+            || (base ? `${base.replace(/\/$/, '')}/v1/metrics` : null);
+        this.headers = parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS);
+        this.timeout = parseInt(process.env.OTEL_EXPORTER_OTLP_TIMEOUT) || 10000;
+        this.serviceName = process.env.OTEL_SERVICE_NAME || 'ai-process-monitor';
+        this.interval = parseInt(process.env.OTLP_EXPORT_INTERVAL_MS) || 10000;
+        this.batchSize = parseInt(process.env.OTLP_BATCH_SIZE) || 200; // resources per request
+        this.maxQueue = parseInt(process.env.OTLP_MAX_QUEUE) || 5000;
+        this.maxRetries = parseInt(process.env.OTLP_MAX_RETRIES) || 5;
+        this.retryBaseDelay = parseInt(process.env.OTLP_RETRY_BASE_MS) || 1000;
+
+        this.queue = []; // ResourceMetrics waiting to be sent
+        this.inFlight = 0; // resources taken from the queue by the running send
+        this.timer = null;
+        this.flushing = null; // the running flush, if any
+        this.counters = {
+            exported: 0, // resources accepted by the collector
+            dropped: 0, // lost to a full queue or rejected as invalid
+            retries: 0,
+            failedRequests: 0,
+            rejectedDataPoints: 0 // reported by the collector as partial success
+        };
+        this.lastError = null;
+    }
+
+    get enabled() {
+        return Boolean(this.endpoint);
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return;
+        this.timer = setInterval(() => this.flush(), this.interval);
+        console.log(`OTLP export to ${this.endpoint} every ${this.interval}ms`);
+    }
+
+    // Stop the interval, let a running flush finish and make one last
+    // attempt to send what is queued
+    async stop() {
+        if (!this.timer) return;
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.flushing) await this.flushing;
+        await this.flush({ retry: false });
+        if (this.queue.length > 0) {
+            console.warn(`OTLP export stopped with ${this.queue.length} resources unsent`);
+        }
+    }
+
+    // Queue the latest analyzed processes of a host (output of analyzeAndPersist)
+    recordProcesses(host, processes, timestamp = new Date()) {
+        if (!this.enabled) return;
+        const time = this.timeUnixNano(timestamp);
+        processes.forEach(proc => this.enqueue(this.processResource(host, proc, time)));
+    }
+
+    recordSystemStats(host, stats) {
+        if (!this.enabled || !stats) return;
+        const time = this.timeUnixNano(stats.timestamp ? new Date(stats.timestamp) : new Date());
+        this.enqueue(this.systemResource(host, stats, time));
+    }
+
+    timeUnixNano(date) {
+        return (BigInt(date.getTime()) * 1000000n).toString();
+    }
+
+    enqueue(resourceMetrics) {
+        if (resourceMetrics.scopeMetrics[0].metrics.length === 0) return;
+        this.queue.push(resourceMetrics);
+        this.trim();
+    }
+
+    // Drop the oldest queued samples rather than growing without bound. The
+    // batch being sent is out of the queue but still counts towards the limit.
+    trim() {
+        const excess = Math.min(this.queue.length, this.queue.length + this.inFlight - this.maxQueue);
+        if (excess > 0) {
+            this.queue.splice(0, excess);
+            this.counters.dropped += excess;
+        }
+    }
+
+    resourceMetrics(resource, metrics) {
+        return {
+            resource: {
+                attributes: attributes({ 'service.name': this.serviceName, 'service.version': version, ...resource })
+            },
+            scopeMetrics: [{
+                scope: { name: 'ai-process-monitor', version },
+                metrics: metrics.filter(Boolean)
+            }]
+        };
+    }
+
+    // Process resource following the OTel process and host semantic conventions
+    processResource(host, proc, time) {
+        const analysis = proc.mlAnalysis || {};
+        const resource = {
+            'host.name': host,
+            'process.pid': proc.pid,
+            'process.parent_pid': proc.parentPid,
+            'process.executable.name': proc.name,
+            'process.command': proc.command,
+            'process.owner': proc.user,
+            'container.id': proc.containerId,
+            'process_monitor.process_key': proc.processKey,
+            'process_monitor.service_key': proc.serviceKey,
+            'process_monitor.systemd_unit': proc.systemdUnit
+        };
+        const value = field => (typeof proc[field] === 'number' ? proc[field] : undefined);
+
+        return this.resourceMetrics(resource, [
+            metric('process.cpu.utilization', '1', 'CPU usage as a fraction of one core', 'gauge',
+                [{ value: proc.cpu / 100 }], time),
+            metric('process.memory.usage', 'By', 'Resident memory', 'sum',
+                [{ value: proc.memory * MB }], time),
+            metric('process.memory.virtual', 'By', 'Virtual memory', 'sum',
+                [{ value: value('vsz') * MB }], time),
+            metric('process.thread.count', '{thread}', 'Threads', 'sum',
+                [{ value: proc.threads }], time),
+            metric('process.open_file_descriptor.count', '{count}', 'Open file descriptors', 'sum',
+                [{ value: value('fdCount') }], time),
+            metric('process_monitor.process.disk.io.rate', 'By/s', 'Disk I/O rate', 'gauge', [
+                { value: value('ioRead'), attributes: { 'disk.io.direction': 'read' } },
+                { value: value('ioWrite'), attributes: { 'disk.io.direction': 'write' } }
+            ], time),
+            metric('process_monitor.process.network.io.rate', 'By/s', 'Network I/O rate', 'gauge', [
+                { value: value('networkReceived'), attributes: { 'network.io.direction': 'receive' } },
+                { value: value('networkSent'), attributes: { 'network.io.direction': 'transmit' } }
+            ], time),
+            metric('process_monitor.anomaly.score', '1', 'Anomaly score from the isolation forest', 'gauge',
+                [{ value: analysis.anomaly?.score }], time),
+            metric('process_monitor.anomaly.detected', '1', '1 when the process is flagged as anomalous', 'gauge',
+                analysis.anomaly ? [{ value: analysis.anomaly.isAnomaly ? 1 : 0 }] : [], time),
+            metric('process_monitor.classification.confidence', '1', 'Confidence of the ML classification', 'gauge',
+                analysis.classification ? [{
+                    value: analysis.classification.confidence,
+                    attributes: { 'process_monitor.classification': analysis.classification.class }
+                }] : [], time)
+        ]);
+    }
+
+    // Host resource with system metrics named like the collector's hostmetrics receiver
+    systemResource(host, stats, time) {
+        const memoryFree = stats.memory ? stats.memory.total - stats.memory.used : undefined;
+        const filesystems = stats.disk?.filesystems || [];
+        const interfaces = stats.network?.interfaces || [];
+
+        return this.resourceMetrics({ 'host.name': host }, [
+            metric('system.cpu.utilization', '1', 'System CPU usage', 'gauge',
+                [{ value: stats.cpu?.usage / 100 }], time),
+            metric('system.cpu.logical.count', '{cpu}', 'Logical CPUs', 'sum',
+                [{ value: stats.cpu?.cores }], time),
+            ...['1m', '5m', '15m'].map(period => metric(`system.cpu.load_average.${period}`, '{thread}',
+                `Load average over ${period}`, 'gauge', [{ value: stats.cpu?.loadAverage?.[period] }], time)),
+            metric('system.memory.usage', 'By', 'Memory in use', 'sum', [
+                { value: stats.memory?.used, attributes: { 'system.memory.state': 'used' } },
+                { value: memoryFree, attributes: { 'system.memory.state': 'free' } }
+            ], time),
+            metric('system.memory.utilization', '1', 'Fraction of memory in use', 'gauge',
+                [{ value: stats.memory?.usage / 100 }], time),
+            metric('system.paging.usage', 'By', 'Swap in use', 'sum',
+                [{ value: stats.swap?.used, attributes: { 'system.paging.state': 'used' } }], time),
+            metric('system.filesystem.usage', 'By', 'Filesystem space', 'sum', filesystems.flatMap(fs => {
+                const device = { 'system.device': fs.fs, 'system.filesystem.mountpoint': fs.mount, 'system.filesystem.type': fs.type };
+                return [
+                    { value: fs.used, attributes: { ...device, 'system.filesystem.state': 'used' } },
+                    { value: fs.size - fs.used, attributes: { ...device, 'system.filesystem.state': 'free' } }
+                ];
+            }), time),
+            metric('process_monitor.system.network.io.rate', 'By/s', 'Interface I/O rate', 'gauge', interfaces.flatMap(iface => [
+                { value: iface.received, attributes: { 'network.interface.name': iface.iface, 'network.io.direction': 'receive' } },
+                { value: iface.sent, attributes: { 'network.interface.name': iface.iface, 'network.io.direction': 'transmit' } }
+            ]), time)
+        ]);
+    }
+
+    // Send queued resources in batches, oldest first. Concurrent calls share
+    // the running flush.
+    flush(options) {
+        if (!this.enabled) return Promise.resolve();
+        if (!this.flushing) {
+            this.flushing = this.sendQueued(options).finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    // Each batch is taken out of the queue while it is sent, so samples
+    // queued (and trimmed) meanwhile are not mistaken for it. A batch that
+    // could not be sent goes back to the front of the queue.
+    async sendQueued({ retry = true } = {}) {
+        while (this.queue.length > 0) {
+            const batch = this.queue.splice(0, this.batchSize);
+            this.inFlight = batch.length;
+            let outcome;
+            try {
+                outcome = await this.send(batch, retry ? this.maxRetries : 0);
+            } finally {
+                this.inFlight = 0;
+            }
+
+            if (outcome === 'retry') {
+                this.queue.unshift(...batch);
+                this.trim();
+                break;
+            }
+            if (outcome === 'sent') this.counters.exported += batch.length;
+            else this.counters.dropped += batch.length;
+        }
+    }
+
+    // POST one export request. Returns 'sent', 'rejected' (not retryable)
+    // or 'retry' once retries are used up.
+    async send(resourceMetrics, retries) {
+        for (let attempt = 0; ; attempt++) {
+            let delay = null;
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'content-type': 'application/json', ...this.headers },
+                    body: JSON.stringify({ resourceMetrics }),
+                    signal: AbortSignal.timeout(this.timeout)
+                });
+
+                if (response.ok) {
+                    await this.readPartialSuccess(response);
+                    return 'sent';
+                }
+
+                this.counters.failedRequests++;
+                this.lastError = { at: new Date(), message: `collector responded with status ${response.status}` };
+                if (!RETRYABLE_STATUS.includes(response.status)) {
+                    console.error(`OTLP export rejected (${response.status}), dropping ${resourceMetrics.length} resources`);
+                    return 'rejected';
+                }
+
+                const retryAfter = parseInt(response.headers.get('retry-after'));
+                if (retryAfter > 0) delay = retryAfter * 1000;
+            } catch (error) {
+                // network errors and timeouts are retryable
+                this.counters.failedRequests++;
+                this.lastError = { at: new Date(), message: error.message };
+            }
+
+            if (attempt >= retries) {
+                console.error(`OTLP export failed (${this.queue.length + this.inFlight} resources queued):`, this.lastError.message);
+                return 'retry';
+            }
+            this.counters.retries++;
+            const backoff = Math.min(MAX_BACKOFF_MS, this.retryBaseDelay * 2 ** attempt);
+            await new Promise(resolve => setTimeout(resolve, delay ?? backoff * (0.5 + Math.random() / 2)));
+        }
+    }
+
+    async readPartialSuccess(response) {
+        try {
+            const body = await response.json();
+            const rejected = parseInt(body?.partialSuccess?.rejectedDataPoints) || 0;
+            if (rejected > 0) {
+                this.counters.rejectedDataPoints += rejected;
+                console.warn(`OTLP collector rejected ${rejected} data points: ${body.partialSuccess.errorMessage || 'no reason given'}`);
+            }
+        } catch (error) {
+            // an empty or non-JSON body means full success
+        }
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            endpoint: this.endpoint,
+            queued: this.queue.length + this.inFlight,
+            maxQueue: this.maxQueue,
+            batchSize: this.batchSize,
+            ...this.counters,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = new OtlpExporter();
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+
+// Errors meaning the process exited or is not ours to inspect
+const IGNORED_ERRORS = ['ENOENT', 'ESRCH', 'EACCES', 'EPERM'];
+
+// Thin reader over Linux procfs. Every method resolves to null when the file
+// is missing (process exited, non-Linux host) or not readable by us.
+class ProcReader {
+    constructor(procRoot = '/proc', cgroupRoot = '/sys/fs/cgroup') {
+        this.procRoot = procRoot;
+        this.cgroupRoot = cgroupRoot;
+        this.supported = process.platform === 'linux';
+    }
+
+    // Run an fs call against a /proc path, null if it is gone or access is denied
+    async access(operation, segments, ...args) {
+        return this.accessUnder(this.procRoot, operation, segments, ...args);
+    }
+
+    // Same as access() but relative to another pseudo-filesystem root
+    async accessUnder(root, operation, segments, ...args) {
+        if (!this.supported) return null;
+
+        try {
+            return await operation(path.join(root, ...segments.map(String)), ...args);
+        } catch (error) {
+            if (IGNORED_ERRORS.includes(error.code)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Read a file under /proc
+    async readFile(...segments) {
+        return this.access(fs.promises.readFile, segments, 'utf8');
+    }
+
+    // Fields of /proc/<pid>/stat after the command name, so that index 0 is
+    // field 3 (state) of proc(5). The name is skipped because it may contain spaces.
+    async readStat(pid) {
+        const content = await this.readFile(pid, 'stat');
+        if (!content) return null;
+
+        const end = content.lastIndexOf(')');
+        if (end === -1) return null;
+        return content.slice(end + 2).trim().split(/\s+/);
+    }
+
+    // Process start time in clock ticks since boot (field 22) and thread
+    // count (field 20)
+    async readStartAndThreads(pid) {
+        const stat = await this.readStat(pid);
+        return stat ? { startTime: parseInt(stat[19], 10), threads: parseInt(stat[17], 10) } : null;
+    }
+
+    // Counters and gauges from /proc/<pid>/status, /proc/<pid>/stat and
+    // /proc/<pid>/fd. Fields that cannot be read are null.
+    async readKernelStats(pid) {
+        const [statusContent, stat, fds] = await Promise.all([
+            this.readFile(pid, 'status'),
+            this.readStat(pid),
+            this.readDir(pid, 'fd')
+        ]);
+        if (!statusContent && !stat) return null;
+
+        const status = statusContent ? this.parseKeyValues(statusContent) : {};
+        const field = key => (status[key] !== undefined ? status[key] : null);
+
+        return {
+            voluntaryCtxSwitches: field('voluntary_ctxt_switches'),
+            involuntaryCtxSwitches: field('nonvoluntary_ctxt_switches'),
+            // stat fields 10 (minflt) and 12 (majflt)
+            minorFaults: stat ? parseInt(stat[7], 10) : null,
+            majorFaults: stat ? parseInt(stat[9], 10) : null,
+            fdCount: fds ? fds.length : null,
+            threads: field('Threads'),
+            rssKb: field('VmRSS'),
+            vszKb: field('VmSize'),
+            swapKb: field('VmSwap')
+        };
+    }
+
+    // Resolve a symlink under /proc
+    async readLink(...segments) {
+        return this.access(fs.promises.readlink, segments);
+    }
+
+    // List entries of a directory under /proc
+    async readDir(...segments) {
+        return this.access(fs.promises.readdir, segments);
+    }
+
+    // Parse "key: value" lines into an object of numbers
+    parseKeyValues(content) {
+        const result = {};
+        content.split('\n').forEach(line => {
+            const idx = line.indexOf(':');
+            if (idx === -1) return;
+            const value = parseInt(line.slice(idx + 1).trim(), 10);
+            if (!isNaN(value)) {
+                result[line.slice(0, idx).trim()] = value;
+            }
+        });
+        return result;
+    }
+
+    // Cumulative storage I/O counters from /proc/<pid>/io
+    async readIo(pid) {
+        const content = await this.readFile(pid, 'io');
+        if (!content) return null;
+
+        const io = this.parseKeyValues(content);
+        if (io.read_bytes === undefined || io.write_bytes === undefined) {
+            return null;
+        }
+
+        return {
+            readBytes: io.read_bytes,
+            writeBytes: io.write_bytes
+        };
+    }
+
+    // Network namespace identifier, e.g. "net:[4026531992]"
+    async readNetNamespace(pid) {
+        return this.readLink(pid, 'ns', 'net');
+    }
+
+    // Inodes of all sockets held open by the process
+    async readSocketInodes(pid) {
+        const fds = await this.readDir(pid, 'fd');
+        if (!fds) return null;
+
+        const targets = await Promise.all(fds.map(fd => this.readLink(pid, 'fd', fd)));
+        const inodes = [];
+        targets.forEach(target => {
+            const match = target && /^socket:\[(\d+)\]$/.exec(target);
+            if (match) {
+                inodes.push(match[1]);
+            }
+        });
+        return inodes;
+    }
+
+    // Interface byte counters of the process's network namespace (loopback excluded)
+    async readNetDev(pid) {
+        const content = await this.readFile(pid, 'net', 'dev');
+        if (!content) return null;
+
+        const totals = { rxBytes: 0, txBytes: 0 };
+        content.split('\n').slice(2).forEach(line => {
+            const idx = line.indexOf(':');
+            if (idx === -1) return;
+
+            const iface = line.slice(0, idx).trim();
+            if (iface === 'lo') return;
+
+            const fields = line.slice(idx + 1).trim().split(/\s+/).map(Number);
+            totals.rxBytes += fields[0] || 0;
+            totals.txBytes += fields[8] || 0;
+        });
+        return totals;
+    }
+
+    // Inodes of sockets carrying traffic in the process's namespace:
+    // established TCP connections and bound UDP sockets
+    async readActiveSocketInodes(pid) {
+        const tables = await Promise.all([
+            this.readFile(pid, 'net', 'tcp'),
+            this.readFile(pid, 'net', 'tcp6'),
+            this.readFile(pid, 'net', 'udp'),
+            this.readFile(pid, 'net', 'udp6')
+        ]);
+        if (tables.every(table => table === null)) return null;
+
+        const active = new Set();
+        tables.forEach((table, idx) => {
+            if (!table) return;
+            const isTcp = idx < 2;
+
+            table.split('\n').slice(1).forEach(line => {
+                const fields = line.trim().split(/\s+/);
+                if (fields.length < 10) return;
+
+                // TCP state 01 is ESTABLISHED
+                if (isTcp && fields[3] !== '01') return;
+                if (fields[9] !== '0') {
+                    active.add(fields[9]);
+                }
+            });
+        });
+        return active;
+    }
+
+    // Cgroup path of the process. Prefers the cgroup v2 unified entry and
+    // falls back to the v1 systemd/memory hierarchies.
+    async readCgroup(pid) {
+        const content = await this.readFile(pid, 'cgroup');
+        if (!content) return null;
+
+        const hierarchies = new Map();
+        content.split('\n').forEach(line => {
+            const match = /^\d+:([^:]*):(.*)$/.exec(line.trim());
+            if (match) {
+                hierarchies.set(match[1], match[2]);
+            }
+        });
+
+        const unified = hierarchies.get('');
+        if (unified && unified !== '/') {
+            return { path: unified, version: 2 };
+        }
+
+        const legacy = hierarchies.get('name=systemd') || hierarchies.get('memory');
+        if (legacy) {
+            return { path: legacy, version: 1 };
+        }
+
+        return unified ? { path: unified, version: 2 } : null;
+    }
+
+    // CPU and memory limits of a cgroup. cpuCores and memoryBytes are null
+    // when the group is unlimited or the files are missing. Cgroup v1 keeps
+    // each controller in its own hierarchy under the root (memory/, cpu/),
+    // so its files are read when the v2 ones are not there.
+    async readCgroupLimits(cgroupPath) {
+        const segments = cgroupPath.split('/').filter(Boolean);
+        const read = (...file) => this.accessUnder(this.cgroupRoot, fs.promises.readFile, file, 'utf8');
+
+        const [cpuMax, memoryMax, memoryCurrent] = await Promise.all([
+            read(...segments, 'cpu.max'),
+            read(...segments, 'memory.max'),
+            read(...segments, 'memory.current')
+        ]);
+        if (cpuMax || memoryMax || memoryCurrent) {
+            return this.cgroupV2Limits(cpuMax, memoryMax, memoryCurrent);
+        }
+
+        const [quota, period, memoryLimit, memoryUsage] = await Promise.all([
+            read('cpu', ...segments, 'cpu.cfs_quota_us'),
+            read('cpu', ...segments, 'cpu.cfs_period_us'),
+            read('memory', ...segments, 'memory.limit_in_bytes'),
+            read('memory', ...segments, 'memory.usage_in_bytes')
+        ]);
+        return this.cgroupV1Limits(quota, period, memoryLimit, memoryUsage);
+    }
+
+    // cpu.max is "<quota> <period>" or "max <period>"; memory.max is bytes or "max"
+    cgroupV2Limits(cpuMax, memoryMax, memoryCurrent) {
+        let cpuCores = null;
+        if (cpuMax) {
+            const [quota, period] = cpuMax.trim().split(/\s+/);
+            if (quota !== 'max' && Number(period) > 0) {
+                cpuCores = Number(quota) / Number(period);
+            }
+        }
+
+        const memoryBytes = memoryMax && memoryMax.trim() !== 'max' ? Number(memoryMax.trim()) : null;
+
+        return {
+            cpuCores,
+            memoryBytes,
+            memoryCurrentBytes: memoryCurrent ? Number(memoryCurrent.trim()) : null
+        };
+    }
+
+    // A quota of -1 means unlimited; an unlimited memory.limit_in_bytes is a
+    // page-aligned LONG_MAX
+    cgroupV1Limits(quota, period, memoryLimit, memoryUsage) {
+        const quotaUs = quota ? Number(quota.trim()) : -1;
+        const periodUs = period ? Number(period.trim()) : 0;
+        const limit = memoryLimit ? Number(memoryLimit.trim()) : null;
+
+        return {
+            cpuCores: quotaUs > 0 && periodUs > 0 ? quotaUs / periodUs : null,
+            memoryBytes: limit !== null && limit < 2 ** 62 ? limit : null,
+            memoryCurrentBytes: memoryUsage ? Number(memoryUsage.trim()) : null
+        };
+    }
+}
+
+module.exports = new ProcReader();
@@ -0,0 +1,290 @@
+const os = require('os');
+const crypto = require('crypto');
+const storage = require('../storage');
+const ProcessAction = require('../models/ProcessAction');
+const procReader = require('./procReader');
+const processIdentity = require('./processIdentity');
+const processMonitor = require('./processMonitor');
+const hostRegistry = require('./hostRegistry');
+
+const SIGNALS = ['SIGTERM', 'SIGKILL', 'SIGSTOP', 'SIGCONT'];
+const NICE_RANGE = { min: -20, max: 19 };
+const DEFAULT_PROTECTED_NAMES = 'init,systemd,sshd,mongod';
+
+// Sends signals to and renices processes on this host. A real action takes
+// two steps: request() checks the target and hands out a short-lived
+// confirmation token, confirm() executes it. Every outcome is audited.
+// Disabled unless PROCESS_CONTROL_ENABLED=true and PROCESS_CONTROL_TOKEN is
+// set; callers send that token in the X-Control-Token header.
+class ProcessControl {
+    constructor() {
+        this.enabled = process.env.PROCESS_CONTROL_ENABLED === 'true';
+        this.secret = process.env.PROCESS_CONTROL_TOKEN || null;
+        // Browser origins allowed to call the control routes; none by default
+        this.allowedOrigins = (process.env.PROCESS_CONTROL_ORIGINS || '')
+            .split(',').map(origin => origin.trim()).filter(Boolean);
+        this.protectedNames = new Set(
+            (process.env.PROCESS_CONTROL_PROTECTED_NAMES || DEFAULT_PROTECTED_NAMES)
+                .split(',').map(name => name.trim()).filter(Boolean)
+        );
+        this.forceDryRun = process.env.PROCESS_CONTROL_DRY_RUN === 'true';
+        this.tokenTtl = parseInt(process.env.PROCESS_CONTROL_TOKEN_TTL_MS) || 60000;
+        this.pending = new Map(); // token -> { action, target, expiresAt }
+    }
+
+    // Why a caller may not use process control, null if it may
+    authorize(secret) {
+        if (!this.enabled) {
+            return { status: 403, error: 'Process control is disabled (PROCESS_CONTROL_ENABLED)' };
+        }
+        if (!this.secret) {
+            return { status: 503, error: 'Process control has no PROCESS_CONTROL_TOKEN configured' };
+        }
+
+        const expected = Buffer.from(this.secret);
+        const given = Buffer.from(typeof secret === 'string' ? secret : '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { status: 401, error: 'Invalid process control token' };
+        }
+        return null;
+    }
+
+    // Accept "TERM" as well as "SIGTERM"
+    normalizeSignal(signal) {
+        if (typeof signal !== 'string') return null;
+        const name = signal.toUpperCase();
+        return name.startsWith('SIG') ? name : `SIG${name}`;
+    }
+
+    // Validate an action request and return a list of problems
+    validate(action) {
+        const errors = [];
+
+        if (action.type === 'signal') {
+            if (!SIGNALS.includes(this.normalizeSignal(action.signal))) {
+                errors.push(`signal must be one of ${SIGNALS.map(s => s.slice(3)).join(', ')}`);
+            }
+        } else if (action.type === 'renice') {
+            if (!Number.isInteger(action.nice) || action.nice < NICE_RANGE.min || action.nice > NICE_RANGE.max) {
+                errors.push(`nice must be an integer between ${NICE_RANGE.min} and ${NICE_RANGE.max}`);
+            }
+        } else {
+            errors.push('action must be signal or renice');
+        }
+        if (action.dryRun !== undefined && typeof action.dryRun !== 'boolean') {
+            errors.push('dryRun must be a boolean');
+        }
+
+        return errors;
+    }
+
+    // Current identity of a PID, read fresh from procfs. Falls back to the
+    // last process snapshot where procfs is not available.
+    async resolve(pid) {
+        if (procReader.supported) {
+            const [stat, comm] = await Promise.all([
+                procReader.readStat(pid),
+                procReader.readFile(pid, 'comm')
+            ]);
+            if (!stat) return null;
+
+            return {
+                pid,
+                processKey: processIdentity.instanceKey(pid, parseInt(stat[19], 10)),
+                name: comm ? comm.trim() : 'unknown',
+                parentPid: parseInt(stat[1], 10)
+            };
+        }
+
+        const known = processMonitor.snapshot
+            ? processMonitor.snapshot.processes.find(proc => proc.pid === pid)
+            : null;
+        return known ? { pid, processKey: known.processKey, name: known.name, parentPid: known.parentPid } : null;
+    }
+
+    // Why a target must not be touched, null if it may be
+    protectionReason(target) {
+        if (target.pid === 1) return 'PID 1 is protected';
+        if (target.pid === 2 || target.parentPid === 2) return 'kernel threads are protected';
+        if (target.pid === process.pid) return 'the monitor itself is protected';
+        if (target.pid === process.ppid) return "the monitor's parent process is protected";
+        if (this.protectedNames.has(target.name)) return `${target.name} is on the protected process list`;
+        return null;
+    }
+
+    // Check a requested action against its target. Returns a dry-run report,
+    // a confirmation token, or a rejection with a code saying why.
+    async request(pid, action, requestedBy) {
+        this.expireTokens();
+
+        const normalized = {
+            type: action.type,
+            signal: action.type === 'signal' ? this.normalizeSignal(action.signal) : undefined,
+            nice: action.type === 'renice' ? action.nice : undefined
+        };
+        const dryRun = this.forceDryRun || action.dryRun === true;
+
+        if (!processMonitor.isLocal()) {
+            return this.reject({ pid }, normalized, dryRun, requestedBy, 'not_local',
+                'process control is only available when monitoring the live host');
+        }
+
+        const target = await this.resolve(pid);
+        if (!target) {
+            return this.reject({ pid }, normalized, dryRun, requestedBy, 'not_found', 'process not found');
+        }
+
+        const reason = this.protectionReason(target);
+        if (reason) {
+            return this.reject(target, normalized, dryRun, requestedBy, 'protected', reason);
+        }
+
+        if (!dryRun && !storage.isAvailable()) {
+            return this.reject(target, normalized, dryRun, requestedBy, 'audit_unavailable',
+                'storage is unavailable, the action could not be audited');
+        }
+
+        if (dryRun) {
+            await this.audit(target, normalized, { dryRun, status: 'dry_run', requestedBy });
+            return {
+                status: 'dry_run',
+                target,
+                action: normalized,
+                currentNice: this.getNice(pid)
+            };
+        }
+
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = Date.now() + this.tokenTtl;
+        this.pending.set(token, { action: normalized, target, expiresAt });
+
+        await this.audit(target, normalized, { status: 'confirmation_required', requestedBy });
+        return {
+            status: 'confirmation_required',
+            target,
+            action: normalized,
+            token,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    // Execute a previously requested action. Tokens are single use and the
+    // target must still be the same process instance (PIDs get reused).
+    async confirm(token, requestedBy) {
+        this.expireTokens();
+
+        const pending = this.pending.get(token);
+        if (!pending) {
+            return { status: 'rejected', code: 'invalid_token', reason: 'unknown or expired confirmation token' };
+        }
+        this.pending.delete(token);
+
+        const { action, target } = pending;
+        const current = await this.resolve(target.pid);
+        if (!current || current.processKey !== target.processKey) {
+            return this.reject(target, action, false, requestedBy, 'process_changed',
+                'process exited or its PID was reused since the request');
+        }
+
+        const reason = this.protectionReason(current);
+        if (reason) {
+            return this.reject(current, action, false, requestedBy, 'protected', reason);
+        }
+
+        // An action that cannot be audited is not executed
+        if (!(await this.audit(current, action, { status: 'confirmed', requestedBy }))) {
+            return {
+                status: 'rejected',
+                code: 'audit_unavailable',
+                reason: 'the action could not be written to the audit log',
+                target: current,
+                action
+            };
+        }
+
+        try {
+            const result = this.execute(current.pid, action);
+            await this.audit(current, action, { ...result, status: 'executed', requestedBy });
+            return { status: 'executed', target: current, action, ...result };
+        } catch (error) {
+            await this.audit(current, action, { status: 'failed', reason: error.message, requestedBy });
+            return { status: 'failed', target: current, action, reason: error.message };
+        }
+    }
+
+    execute(pid, action) {
+        if (action.type === 'signal') {
+            process.kill(pid, action.signal);
+            return {};
+        }
+
+        const previousNice = this.getNice(pid);
+        os.setPriority(pid, action.nice);
+        return { previousNice };
+    }
+
+    getNice(pid) {
+        try {
+            return os.getPriority(pid);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async reject(target, action, dryRun, requestedBy, code, reason) {
+        await this.audit(target, action, { dryRun, status: 'rejected', reason, requestedBy });
+        return { status: 'rejected', code, reason, target, action };
+    }
+
+    expireTokens() {
+        const now = Date.now();
+        for (const [token, pending] of this.pending) {
+            if (pending.expiresAt <= now) {
+                this.pending.delete(token);
+            }
+        }
+    }
+
+    // Write an audit record and say whether it was stored; the console log
+    // is written either way
+    async audit(target, action, outcome) {
+        const entry = {
+            action: action.type,
+            signal: action.signal,
+            nice: action.nice,
+            pid: target.pid,
+            processId: target.processKey,
+            processName: target.name,
+            host: hostRegistry.localHost,
+            ...outcome
+        };
+
+        console.log(`Process action ${entry.status}: ${entry.action} ${entry.signal || entry.nice} pid ${entry.pid}` +
+            (entry.reason ? ` (${entry.reason})` : ''));
+
+        if (!storage.isAvailable()) return false;
+
+        try {
+            await storage.collection(ProcessAction).insertOne(entry);
+            return true;
+        } catch (error) {
+            console.error('Error saving process action:', error);
+            return false;
+        }
+    }
+
+    async getRecentActions(limit = 100, filters = {}) {
+        try {
+            const query = {};
+            if (filters.pid) query.pid = filters.pid;
+            if (filters.status) query.status = filters.status;
+
+            return await storage.collection(ProcessAction).find(query, { sort: { timestamp: -1 }, limit });
+        } catch (error) {
+            console.error('Error getting process actions:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new ProcessControl();
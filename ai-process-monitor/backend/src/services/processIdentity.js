@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Identities for a process:
+//  - instance key "<pid>:<start>" is unique per process lifetime, so a reused
+//    PID never inherits another process's history
+//  - service key "<name>:<command hash>" stays the same across restarts
+//  - host key "<host>/<instance key>" scopes in-memory state in multi-host setups
+class ProcessIdentity {
+    // Instance key from PID and kernel start time (clock ticks since boot),
+    // falling back to the wall-clock start reported by systeminformation
+    instanceKey(pid, startTicks, started) {
+        if (startTicks !== null && startTicks !== undefined) {
+            return `${pid}:${startTicks}`;
+        }
+        const startedAt = Date.parse(started);
+        return `${pid}:${isNaN(startedAt) ? 0 : Math.floor(startedAt / 1000)}`;
+    }
+
+    // Logical key from process name and full command line
+    serviceKey(name, command = '', params = '') {
+        const commandLine = `${command} ${params}`.trim();
+        const hash = crypto.createHash('sha1').update(commandLine).digest('hex').slice(0, 12);
+        return `${name || 'unknown'}:${hash}`;
+    }
+
+    // Instance key qualified by host, so PIDs of different hosts never collide
+    hostKey(host, key) {
+        return `${host}/${key}`;
+    }
+}
+
+module.exports = new ProcessIdentity();
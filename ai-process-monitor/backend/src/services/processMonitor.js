@@ -1,39 +1,187 @@
+const fs = require('fs');
+const os = require('os');
 const si = require('systeminformation');
+const procReader = require('./procReader');
+const cgroupService = require('./cgroupService');
+const processIdentity = require('./processIdentity');
+const selectionPolicy = require('./selectionPolicy');
+const { createSource } = require('./sources');
 
 class ProcessMonitor {
     constructor() {
         this.metricsHistory = new Map();
         this.maxHistorySize = 100;
         this.lastUpdate = null;
+        this.snapshot = null; // identities of every process seen by the last getProcesses()
+        this.latest = []; // processes returned by the last getProcesses(), the current frame
+        this.source = createSource(this); // live host until configureSource() says otherwise
+        this.ioSamples = new Map(); // instance key -> last /proc/<pid>/io counters
+        this.netSamples = new Map(); // network namespace -> last interface counters
+        this.kernelSamples = new Map(); // instance key -> last context switch / fault counters
     }
 
-    async getProcesses() {
-        try {
-            const { list } = await si.processes();
-
-            const processes = list
-                .filter(p => p.cpu > 0 || p.mem_rss > 0)
-                .slice(0, 50)
-                .map(p => ({
-                    id: p.pid,
-                    name: p.name || 'unknown',
-                    pid: p.pid,
-                    cpu: p.cpu || 0,
-                    memory: Math.round(p.mem_rss / 1024 / 1024) || 0,
-                    status: this.determineStatus(p),
-                    priority: p.priority || 0,
-                    threads: p.threads || 1,
-                    user: p.user || 'system',
-                    command: p.command || '',
-                    parentPid: p.parentPid || 0,
-                    started: p.started || new Date().toISOString(),
-                    state: p.state || 'running',
-                    ioRead: 0,
-                    ioWrite: 0,
-                    networkSent: 0,
-                    networkReceived: 0
-                }));
+    // Compute read/write bytes per second from the delta to the previous sample
+    async sampleIo(pid, key, now) {
+        const counters = await procReader.readIo(pid);
+        if (!counters) {
+            this.ioSamples.delete(key);
+            return { ioRead: 0, ioWrite: 0, ioAvailable: false };
+        }
+
+        const previous = this.ioSamples.get(key);
+        this.ioSamples.set(key, { ...counters, time: now });
+
+        if (!previous || now <= previous.time) {
+            return { ioRead: 0, ioWrite: 0, ioAvailable: true };
+        }
+
+        const seconds = (now - previous.time) / 1000;
+        return {
+            ioRead: Math.max(0, counters.readBytes - previous.readBytes) / seconds,
+            ioWrite: Math.max(0, counters.writeBytes - previous.writeBytes) / seconds,
+            ioAvailable: true
+        };
+    }
+
+    // Context switch and page fault rates (per second), fd count, thread
+    // count and memory sizes (MB). Unreadable values are reported as 0.
+    async sampleKernel(pid, key, now) {
+        const stats = await procReader.readKernelStats(pid);
+        const toMb = kb => (kb !== null && kb !== undefined ? Math.round(kb / 1024) : 0);
+
+        const result = {
+            ctxSwitchesVoluntary: 0,
+            ctxSwitchesInvoluntary: 0,
+            minorFaults: 0,
+            majorFaults: 0,
+            fdCount: stats && stats.fdCount !== null ? stats.fdCount : 0,
+            threads: stats ? stats.threads : null,
+            rss: toMb(stats && stats.rssKb),
+            vsz: toMb(stats && stats.vszKb),
+            swap: toMb(stats && stats.swapKb),
+            kernelStatsAvailable: Boolean(stats)
+        };
+
+        if (!stats) {
+            this.kernelSamples.delete(key);
+            return result;
+        }
+
+        const previous = this.kernelSamples.get(key);
+        this.kernelSamples.set(key, { ...stats, time: now });
+
+        if (previous && now > previous.time) {
+            const seconds = (now - previous.time) / 1000;
+            const rate = field => (stats[field] !== null && previous[field] !== null
+                ? Math.max(0, stats[field] - previous[field]) / seconds
+                : 0);
+
+            result.ctxSwitchesVoluntary = rate('voluntaryCtxSwitches');
+            result.ctxSwitchesInvoluntary = rate('involuntaryCtxSwitches');
+            result.minorFaults = rate('minorFaults');
+            result.majorFaults = rate('majorFaults');
+        }
+
+        return result;
+    }
+
+    // Attribute network throughput to processes. Linux keeps no per-process
+    // byte counters, so each namespace's interface traffic is split across the
+    // monitored processes by their share of its active TCP/UDP sockets.
+    async sampleNetwork(pids, now) {
+        const empty = { networkSent: 0, networkReceived: 0, connections: 0, networkAvailable: false };
+
+        const [namespaces, socketInodes] = await Promise.all([
+            Promise.all(pids.map(pid => procReader.readNetNamespace(pid))),
+            Promise.all(pids.map(pid => procReader.readSocketInodes(pid)))
+        ]);
+
+        // Group readable processes by network namespace
+        const groups = new Map();
+        pids.forEach((pid, idx) => {
+            if (!namespaces[idx] || !socketInodes[idx]) return;
+            if (!groups.has(namespaces[idx])) {
+                groups.set(namespaces[idx], []);
+            }
+            groups.get(namespaces[idx]).push(idx);
+        });
 
+        const results = pids.map(() => ({ ...empty }));
+
+        for (const [namespace, members] of groups) {
+            // Any member can read the namespace-wide tables
+            const reader = pids[members[0]];
+            const [counters, active] = await Promise.all([
+                procReader.readNetDev(reader),
+                procReader.readActiveSocketInodes(reader)
+            ]);
+            if (!counters || !active) continue;
+
+            const previous = this.netSamples.get(namespace);
+            this.netSamples.set(namespace, { ...counters, time: now });
+
+            let rxRate = 0;
+            let txRate = 0;
+            if (previous && now > previous.time) {
+                const seconds = (now - previous.time) / 1000;
+                rxRate = Math.max(0, counters.rxBytes - previous.rxBytes) / seconds;
+                txRate = Math.max(0, counters.txBytes - previous.txBytes) / seconds;
+            }
+
+            const connections = members.map(idx =>
+                socketInodes[idx].filter(inode => active.has(inode)).length
+            );
+            const totalConnections = connections.reduce((a, b) => a + b, 0);
+
+            members.forEach((idx, i) => {
+                const share = totalConnections ? connections[i] / totalConnections : 0;
+                results[idx] = {
+                    networkSent: txRate * share,
+                    networkReceived: rxRate * share,
+                    connections: connections[i],
+                    networkAvailable: true
+                };
+            });
+        }
+
+        this.pruneSamples(this.netSamples, new Set(groups.keys()));
+        return results;
+    }
+
+    // Forget samples of processes (or namespaces) that are no longer present
+    pruneSamples(samples, liveKeys) {
+        for (const key of samples.keys()) {
+            if (!liveKeys.has(key)) {
+                samples.delete(key);
+            }
+        }
+    }
+
+    // Switch where processes and system stats come from (live, record, replay)
+    async configureSource(options = {}) {
+        await this.close();
+        this.source = createSource(this, options);
+        if (typeof this.source.open === 'function') {
+            await this.source.open();
+        }
+        console.log(`Metric source: ${this.source.describe()}`);
+    }
+
+    // Release the current source (flushes recordings)
+    async close() {
+        if (this.source && typeof this.source.close === 'function') {
+            await this.source.close();
+        }
+    }
+
+    // Processes chosen by the selection policy; limit overrides its top-N.
+    // Only the monitoring cycle calls this: it updates the rate samples and
+    // moves replayed and simulated sources forward. Readers use latest.
+    async getProcesses(limit) {
+        try {
+            const { processes, snapshot } = await this.source.getProcesses(limit);
+            this.snapshot = snapshot || null;
+            this.latest = processes;
             this.lastUpdate = new Date();
             return processes;
         } catch (error) {
@@ -42,6 +190,163 @@ class ProcessMonitor {
         }
     }
 
+    // Every process of the last monitoring cycle for ad-hoc views (process
+    // tree, groups). Built from the cycle's snapshot so that nothing is
+    // sampled again; processes the cycle selected carry its full metrics.
+    // Snapshot entries have CPU, memory and threads; where they lack I/O and
+    // network rates the process is flagged sampled: false so totals can say
+    // how many processes they miss. Cgroups the cycle did not read are read
+    // here on the live host.
+    async listProcesses() {
+        if (!this.snapshot) return this.latest.map(proc => ({ ...proc, sampled: true }));
+
+        const latest = new Map(this.latest.map(proc => [proc.processKey, proc]));
+        const local = this.isLocal();
+        return Promise.all(this.snapshot.processes.map(async identity => {
+            if (latest.has(identity.processKey)) return { ...latest.get(identity.processKey), sampled: true };
+
+            const tags = identity.cgroup === undefined && local
+                ? await cgroupService.getProcessCgroup(identity.pid)
+                : {};
+            return { id: identity.pid, ...identity, ...tags, sampled: identity.ioRead !== undefined };
+        }));
+    }
+
+    async getSystemStats() {
+        try {
+            return await this.source.getSystemStats();
+        } catch (error) {
+            console.error('Error getting system stats:', error);
+            return null;
+        }
+    }
+
+    // Whether reported PIDs are real processes on this host (not replayed or simulated)
+    isLocal() {
+        return typeof this.source.isLocal === 'function' && this.source.isLocal();
+    }
+
+    // Ground-truth labels for a process when the source provides them (simulator)
+    labelFor(proc) {
+        return typeof this.source.labelFor === 'function' ? this.source.labelFor(proc) : undefined;
+    }
+
+    // All injected anomaly episodes, null for sources without ground truth
+    getLabels() {
+        return typeof this.source.getLabels === 'function' ? this.source.getLabels() : null;
+    }
+
+    // Read processes from the live host
+    async collectProcesses(limit) {
+        const { list } = await si.processes();
+        const now = Date.now();
+
+        // Identify every process, not only the selected ones, so that
+        // lifecycle tracking and listProcesses() see the whole process table
+        const stats = await Promise.all(list.map(p => procReader.readStartAndThreads(p.pid)));
+        const identities = list.map((p, idx) => ({
+            pid: p.pid,
+            processKey: processIdentity.instanceKey(p.pid, stats[idx] && stats[idx].startTime, p.started),
+            serviceKey: processIdentity.serviceKey(p.name, p.command, p.params),
+            name: p.name || 'unknown',
+            command: p.command || '',
+            parentPid: p.parentPid || 0,
+            user: p.user || 'system',
+            cpu: p.cpu || 0,
+            memory: Math.round((p.memRss || 0) / 1024), // memRss is in KB
+            threads: (stats[idx] && stats[idx].threads) || p.threads || 1
+        }));
+        const snapshot = { time: now, processes: identities };
+
+        // Cgroup paths are only read for every process when a rule needs them
+        const candidateCgroups = selectionPolicy.needsCgroup()
+            ? await Promise.all(list.map(p => cgroupService.getProcessCgroup(p.pid)))
+            : null;
+        const candidates = list.map((p, idx) => ({
+            idx,
+            name: p.name || 'unknown',
+            command: `${p.command || ''} ${p.params || ''}`.trim(),
+            user: p.user || '',
+            cgroup: candidateCgroups ? candidateCgroups[idx].cgroup : null,
+            cpu: p.cpu || 0,
+            memory: p.memRss || 0
+        }));
+
+        const selection = selectionPolicy.select(candidates, limit);
+        const selectedIdx = selection.map(item => item.proc.idx);
+        const selected = selectedIdx.map(idx => list[idx]);
+        const keys = selectedIdx.map(idx => identities[idx].processKey);
+
+        const ioRates = await Promise.all(selected.map((p, idx) => this.sampleIo(p.pid, keys[idx], now)));
+        const kernelStats = await Promise.all(selected.map((p, idx) => this.sampleKernel(p.pid, keys[idx], now)));
+        const netRates = await this.sampleNetwork(selected.map(p => p.pid), now);
+        const cgroups = candidateCgroups
+            ? selectedIdx.map(idx => candidateCgroups[idx])
+            : await Promise.all(selected.map(p => cgroupService.getProcessCgroup(p.pid)));
+
+        // Lifecycle events carry the container and unit where they were read
+        (candidateCgroups || []).forEach((info, idx) => this.tagIdentity(identities[idx], info));
+        selectedIdx.forEach((listIdx, idx) => this.tagIdentity(identities[listIdx], cgroups[idx]));
+        this.pruneSamples(this.ioSamples, new Set(keys));
+        this.pruneSamples(this.kernelSamples, new Set(keys));
+
+        const processes = selected
+            .map((p, idx) => ({
+                id: p.pid,
+                name: p.name || 'unknown',
+                pid: p.pid,
+                processKey: keys[idx],
+                serviceKey: identities[selectedIdx[idx]].serviceKey,
+                cpu: p.cpu || 0,
+                memory: Math.round((p.memRss || 0) / 1024), // memRss is in KB
+                watched: selection[idx].watched,
+                status: this.determineStatus(p),
+                priority: p.priority || 0,
+                threads: kernelStats[idx].threads || p.threads || 1,
+                user: p.user || 'system',
+                command: p.command || '',
+                parentPid: p.parentPid || 0,
+                started: p.started || new Date().toISOString(),
+                state: p.state || 'running',
+                ioRead: ioRates[idx].ioRead,
+                ioWrite: ioRates[idx].ioWrite,
+                ioAvailable: ioRates[idx].ioAvailable,
+                networkSent: netRates[idx].networkSent,
+                networkReceived: netRates[idx].networkReceived,
+                connections: netRates[idx].connections,
+                networkAvailable: netRates[idx].networkAvailable,
+                ctxSwitchesVoluntary: kernelStats[idx].ctxSwitchesVoluntary,
+                ctxSwitchesInvoluntary: kernelStats[idx].ctxSwitchesInvoluntary,
+                minorFaults: kernelStats[idx].minorFaults,
+                majorFaults: kernelStats[idx].majorFaults,
+                fdCount: kernelStats[idx].fdCount,
+                rss: kernelStats[idx].rss,
+                vsz: kernelStats[idx].vsz,
+                swap: kernelStats[idx].swap,
+                kernelStatsAvailable: kernelStats[idx].kernelStatsAvailable,
+                cgroup: cgroups[idx].cgroup,
+                containerId: cgroups[idx].containerId,
+                systemdUnit: cgroups[idx].systemdUnit
+            }));
+
+        return { processes, snapshot };
+    }
+
+    tagIdentity(identity, { cgroup, containerId, systemdUnit }) {
+        identity.cgroup = cgroup || null;
+        identity.containerId = containerId || undefined;
+        identity.systemdUnit = systemdUnit || undefined;
+    }
+
+    // Container and unit of a lifecycle event's process, read on demand for
+    // processes whose cgroup was not sampled (only on the live host)
+    async tagEvent(event) {
+        if (event.containerId || event.systemdUnit || !this.isLocal()) return event;
+
+        const { containerId, systemdUnit } = await cgroupService.getProcessCgroup(event.pid);
+        return { ...event, containerId: containerId || undefined, systemdUnit: systemdUnit || undefined };
+    }
+
     determineStatus(proc) {
         if (proc.state === 'sleeping') return 'idle';
         if (proc.state === 'stopped') return 'stopped';
@@ -50,40 +355,90 @@ class ProcessMonitor {
         return 'running';
     }
 
-    async getSystemStats() {
+    // Inode usage of a mounted filesystem, null where statfs is unavailable
+    async getInodeUsage(mount) {
+        if (typeof fs.promises.statfs !== 'function') return null;
+
         try {
-            const [cpu, mem, disk, network] = await Promise.all([
-                si.currentLoad(),
-                si.mem(),
-                si.fsSize(),
-                si.networkStats()
-            ]);
+            const stats = await fs.promises.statfs(mount);
+            if (!stats.files) return null;
 
+            const used = stats.files - stats.ffree;
             return {
-                cpu: {
-                    usage: cpu.currentLoad || 0,
-                    cores: cpu.cpus?.length || 1,
-                    temperature: cpu.cpus?.[0]?.temperature || 0
-                },
-                memory: {
-                    total: mem.total || 0,
-                    used: mem.used || 0,
-                    usage: mem.total ? (mem.used / mem.total) * 100 : 0
-                },
-                disk: {
-                    usage: disk[0]?.use || 0
-                },
-                network: {
-                    sent: network[0]?.tx_sec || 0,
-                    received: network[0]?.rx_sec || 0
-                },
-                timestamp: new Date().toISOString()
+                total: stats.files,
+                used,
+                free: stats.ffree,
+                usage: (used / stats.files) * 100
             };
         } catch (error) {
-            console.error('Error getting system stats:', error);
             return null;
         }
     }
+
+    // Read system-wide stats from the live host
+    async collectSystemStats() {
+        const [cpu, mem, disks, network] = await Promise.all([
+            si.currentLoad(),
+            si.mem(),
+            si.fsSize(),
+            si.networkStats('*')
+        ]);
+
+        const inodes = await Promise.all(disks.map(d => this.getInodeUsage(d.mount)));
+        const [load1, load5, load15] = os.loadavg();
+        const interfaces = network.filter(n => n.iface !== 'lo');
+
+        return {
+            cpu: {
+                usage: cpu.currentLoad || 0,
+                cores: cpu.cpus?.length || 1,
+                temperature: cpu.cpus?.[0]?.temperature || 0,
+                perCore: (cpu.cpus || []).map(core => core.load || 0),
+                loadAverage: {
+                    '1m': load1,
+                    '5m': load5,
+                    '15m': load15
+                }
+            },
+            memory: {
+                total: mem.total || 0,
+                used: mem.used || 0,
+                usage: mem.total ? (mem.used / mem.total) * 100 : 0
+            },
+            swap: {
+                total: mem.swaptotal || 0,
+                used: mem.swapused || 0,
+                usage: mem.swaptotal ? (mem.swapused / mem.swaptotal) * 100 : 0
+            },
+            disk: {
+                usage: disks[0]?.use || 0,
+                filesystems: disks.map((d, idx) => ({
+                    fs: d.fs,
+                    type: d.type,
+                    mount: d.mount,
+                    size: d.size || 0,
+                    used: d.used || 0,
+                    usage: d.use || 0,
+                    inodes: inodes[idx]
+                }))
+            },
+            network: {
+                sent: interfaces.reduce((sum, n) => sum + (n.tx_sec || 0), 0),
+                received: interfaces.reduce((sum, n) => sum + (n.rx_sec || 0), 0),
+                interfaces: network.map(n => ({
+                    iface: n.iface,
+                    operstate: n.operstate,
+                    sent: n.tx_sec || 0,
+                    received: n.rx_sec || 0,
+                    rxErrors: n.rx_errors || 0,
+                    txErrors: n.tx_errors || 0,
+                    rxDropped: n.rx_dropped || 0,
+                    txDropped: n.tx_dropped || 0
+                }))
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
 }
 
 module.exports = new ProcessMonitor();
@@ -0,0 +1,62 @@
+// Metrics summed over a subtree
+const ROLLUP_FIELDS = ['cpu', 'memory', 'threads', 'ioRead', 'ioWrite', 'networkSent', 'networkReceived'];
+
+class ProcessTree {
+    // Build parent/child hierarchy from a flat process list.
+    // Processes whose parent is not in the list become roots.
+    build(processes) {
+        const nodes = new Map();
+        processes.forEach(proc => {
+            nodes.set(proc.pid, { ...proc, children: [] });
+        });
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.parentPid !== node.pid ? nodes.get(node.parentPid) : null;
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        roots.forEach(root => this.rollUp(root));
+        return roots;
+    }
+
+    // Attach totals of the node and all its descendants as node.subtree.
+    // unsampledProcesses counts processes flagged sampled: false, whose I/O
+    // and network rates are missing from the totals.
+    rollUp(node) {
+        const totals = { processCount: 1, unsampledProcesses: node.sampled === false ? 1 : 0 };
+        ROLLUP_FIELDS.forEach(field => {
+            totals[field] = node[field] || 0;
+        });
+
+        node.children.forEach(child => {
+            this.rollUp(child);
+            ROLLUP_FIELDS.forEach(field => {
+                totals[field] += child.subtree[field];
+            });
+            totals.processCount += child.subtree.processCount;
+            totals.unsampledProcesses += child.subtree.unsampledProcesses;
+        });
+
+        node.children.sort((a, b) => b.subtree.cpu - a.subtree.cpu);
+        node.subtree = totals;
+        return totals;
+    }
+
+    // Depth-first search for the node with the given PID
+    find(roots, pid) {
+        const stack = [...roots];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.pid === pid) return node;
+            stack.push(...node.children);
+        }
+        return null;
+    }
+}
+
+module.exports = new ProcessTree();
@@ -0,0 +1,280 @@
+const storage = require('../storage');
+const alertService = require('./alertService');
+const dataCollector = require('./dataCollector');
+const hostRegistry = require('./hostRegistry');
+const mlService = require('./mlService');
+
+// Labels a process series may carry; PROMETHEUS_PROCESS_LABELS picks a subset
+const PROCESS_LABELS = {
+    host: (proc, host) => host,
+    name: proc => proc.name,
+    user: proc => proc.user,
+    service: proc => proc.serviceKey,
+    pid: proc => proc.pid
+};
+const CYCLE_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5];
+const MB = 1024 * 1024;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels || {}).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Serves the latest monitoring state in the Prometheus text format. Process
+// series are aggregated by the configured labels and capped, so scraping a
+// busy host cannot flood Prometheus with one series per PID.
+class PrometheusExporter {
+    constructor() {
+        const labels = (process.env.PROMETHEUS_PROCESS_LABELS || 'host,name')
+            .split(',').map(label => label.trim()).filter(Boolean);
+        const unknown = labels.filter(label => !PROCESS_LABELS[label]);
+        if (unknown.length > 0) {
+            console.warn(`Ignoring unknown PROMETHEUS_PROCESS_LABELS: ${unknown.join(', ')}`);
+        }
+        this.processLabels = labels.filter(label => PROCESS_LABELS[label]);
+        this.maxProcessSeries = parseInt(process.env.PROMETHEUS_MAX_PROCESS_SERIES) || 100;
+        this.maxHosts = parseInt(process.env.PROMETHEUS_MAX_HOSTS) || 20;
+        this.maxDevices = parseInt(process.env.PROMETHEUS_MAX_DEVICES) || 20; // filesystems and interfaces per host
+        this.alertWindow = parseInt(process.env.PROMETHEUS_ALERT_WINDOW_MS) || 24 * 60 * 60 * 1000;
+
+        this.hosts = new Map(); // host -> { processes, stats, updatedAt }
+        this.cycles = {
+            count: 0,
+            errors: 0,
+            sum: 0,
+            buckets: CYCLE_BUCKETS.map(() => 0),
+            stages: {} // stage -> seconds of the last cycle
+        };
+    }
+
+    // Latest analyzed processes of a host (output of analyzeAndPersist)
+    recordProcesses(host, processes) {
+        this.hostState(host).processes = processes;
+    }
+
+    recordSystemStats(host, stats) {
+        if (stats) this.hostState(host).stats = stats;
+    }
+
+    // Timing of one monitoring cycle; stages maps stage name to milliseconds
+    recordCycle(durationMs, stages = {}, failed = false) {
+        const seconds = durationMs / 1000;
+        this.cycles.count++;
+        this.cycles.sum += seconds;
+        CYCLE_BUCKETS.forEach((bound, idx) => {
+            if (seconds <= bound) this.cycles.buckets[idx]++;
+        });
+        if (failed) this.cycles.errors++;
+        Object.entries(stages).forEach(([stage, ms]) => {
+            this.cycles.stages[stage] = ms / 1000;
+        });
+    }
+
+    hostState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { processes: [], stats: null, updatedAt: 0 });
+        }
+        const state = this.hosts.get(host);
+        state.updatedAt = Date.now();
+        return state;
+    }
+
+    // Hosts that reported recently, this host first, capped at maxHosts.
+    // Hosts that stop reporting drop out so their series go stale.
+    activeHosts() {
+        const cutoff = Date.now() - hostRegistry.staleAfter;
+        for (const [host, state] of this.hosts) {
+            if (state.updatedAt < cutoff) this.hosts.delete(host);
+        }
+        return [...this.hosts.keys()]
+            .sort((a, b) => (b === hostRegistry.localHost) - (a === hostRegistry.localHost) || a.localeCompare(b))
+            .slice(0, this.maxHosts);
+    }
+
+    // Sum processes sharing the configured labels and keep the series with
+    // the highest CPU. Returns { series, dropped }.
+    processSeries(hosts) {
+        const groups = new Map();
+        hosts.forEach(host => {
+            this.hosts.get(host).processes.forEach(proc => {
+                const labels = {};
+                this.processLabels.forEach(label => {
+                    labels[label] = PROCESS_LABELS[label](proc, host) ?? 'unknown';
+                });
+                const key = JSON.stringify(labels);
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        labels, count: 0, cpu: 0, memory: 0, threads: 0,
+                        anomalyScore: null, anomalous: 0, classifications: {}
+                    });
+                }
+
+                const group = groups.get(key);
+                const analysis = proc.mlAnalysis || {};
+                group.count++;
+                group.cpu += proc.cpu || 0;
+                group.memory += proc.memory || 0;
+                group.threads += proc.threads || 1;
+                if (typeof analysis.anomaly?.score === 'number') {
+                    group.anomalyScore = Math.max(group.anomalyScore ?? 0, analysis.anomaly.score);
+                }
+                if (analysis.anomaly?.isAnomaly) group.anomalous++;
+                const classification = analysis.classification?.class;
+                if (classification) {
+                    group.classifications[classification] = (group.classifications[classification] || 0) + 1;
+                }
+            });
+        });
+
+        const series = [...groups.values()].sort((a, b) => b.cpu - a.cpu);
+        return {
+            series: series.slice(0, this.maxProcessSeries),
+            dropped: Math.max(0, series.length - this.maxProcessSeries)
+        };
+    }
+
+    systemFamilies(hosts) {
+        const families = {
+            cpu: [], cores: [], load: [], memTotal: [], memUsed: [], swapTotal: [], swapUsed: [],
+            fsSize: [], fsUsed: [], netSent: [], netReceived: []
+        };
+
+        hosts.forEach(host => {
+            const stats = this.hosts.get(host).stats;
+            if (!stats) return;
+
+            families.cpu.push({ labels: { host }, value: stats.cpu?.usage });
+            families.cores.push({ labels: { host }, value: stats.cpu?.cores });
+            Object.entries(stats.cpu?.loadAverage || {}).forEach(([period, value]) => {
+                families.load.push({ labels: { host, period }, value });
+            });
+            families.memTotal.push({ labels: { host }, value: stats.memory?.total });
+            families.memUsed.push({ labels: { host }, value: stats.memory?.used });
+            families.swapTotal.push({ labels: { host }, value: stats.swap?.total });
+            families.swapUsed.push({ labels: { host }, value: stats.swap?.used });
+
+            (stats.disk?.filesystems || []).slice(0, this.maxDevices).forEach(fs => {
+                families.fsSize.push({ labels: { host, mount: fs.mount }, value: fs.size });
+                families.fsUsed.push({ labels: { host, mount: fs.mount }, value: fs.used });
+            });
+            (stats.network?.interfaces || []).slice(0, this.maxDevices).forEach(iface => {
+                families.netSent.push({ labels: { host, iface: iface.iface }, value: iface.sent });
+                families.netReceived.push({ labels: { host, iface: iface.iface }, value: iface.received });
+            });
+        });
+
+        return [
+            ['process_monitor_system_cpu_usage_percent', 'gauge', 'System CPU usage', families.cpu],
+            ['process_monitor_system_cpu_cores', 'gauge', 'Number of CPU cores', families.cores],
+            ['process_monitor_system_load_average', 'gauge', 'System load average', families.load],
+            ['process_monitor_system_memory_total_bytes', 'gauge', 'Total memory', families.memTotal],
+            ['process_monitor_system_memory_used_bytes', 'gauge', 'Used memory', families.memUsed],
+            ['process_monitor_system_swap_total_bytes', 'gauge', 'Total swap', families.swapTotal],
+            ['process_monitor_system_swap_used_bytes', 'gauge', 'Used swap', families.swapUsed],
+            ['process_monitor_filesystem_size_bytes', 'gauge', 'Filesystem size', families.fsSize],
+            ['process_monitor_filesystem_used_bytes', 'gauge', 'Filesystem space used', families.fsUsed],
+            ['process_monitor_network_sent_bytes_per_second', 'gauge', 'Interface transmit rate', families.netSent],
+            ['process_monitor_network_received_bytes_per_second', 'gauge', 'Interface receive rate', families.netReceived]
+        ];
+    }
+
+    processFamilies(hosts) {
+        const { series, dropped } = this.processSeries(hosts);
+        const gauge = field => series.map(group => ({ labels: group.labels, value: group[field] }));
+        const classifications = [];
+        series.forEach(group => {
+            Object.entries(group.classifications).forEach(([classification, count]) => {
+                classifications.push({ labels: { ...group.labels, classification }, value: count });
+            });
+        });
+
+        return [
+            ['process_monitor_process_count', 'gauge', 'Monitored processes in the series', gauge('count')],
+            ['process_monitor_process_cpu_percent', 'gauge', 'Process CPU usage', gauge('cpu')],
+            ['process_monitor_process_memory_bytes', 'gauge', 'Process resident memory',
+                series.map(group => ({ labels: group.labels, value: group.memory * MB }))],
+            ['process_monitor_process_threads', 'gauge', 'Process thread count', gauge('threads')],
+            ['process_monitor_process_anomaly_score', 'gauge', 'Highest latest anomaly score in the series',
+                series.filter(group => group.anomalyScore !== null).map(group => ({ labels: group.labels, value: group.anomalyScore }))],
+            ['process_monitor_process_anomalous', 'gauge', 'Processes flagged as anomalous', gauge('anomalous')],
+            ['process_monitor_process_classification', 'gauge', 'Processes per ML classification', classifications],
+            ['process_monitor_process_series_dropped', 'gauge', 'Process series left out by PROMETHEUS_MAX_PROCESS_SERIES',
+                [{ value: dropped }]]
+        ];
+    }
+
+    async alertFamilies() {
+        if (!storage.isAvailable()) return [];
+        const stats = await alertService.getAlertStats(this.alertWindow);
+        if (!stats) return [];
+
+        return [
+            ['process_monitor_alerts', 'gauge', `Alerts raised in the last ${this.alertWindow / 1000}s by type`,
+                Object.entries(stats.byType).map(([type, count]) => ({ labels: { type }, value: count }))]
+        ];
+    }
+
+    selfFamilies() {
+        const cycles = this.cycles;
+        const histogram = CYCLE_BUCKETS.map((bound, idx) => ({
+            suffix: '_bucket', labels: { le: bound }, value: cycles.buckets[idx]
+        }));
+        histogram.push(
+            { suffix: '_bucket', labels: { le: '+Inf' }, value: cycles.count },
+            { suffix: '_sum', value: cycles.sum },
+            { suffix: '_count', value: cycles.count }
+        );
+
+        const persistence = dataCollector.getStats();
+        const documents = ['enqueued', 'inserted', 'spilled', 'replayed', 'dropped', 'failed']
+            .map(outcome => ({ labels: { outcome }, value: persistence[outcome] }));
+        const models = Object.entries(mlService.getModelStatus())
+            .map(([model, status]) => ({ labels: { model }, value: status.trained ? 1 : 0 }));
+
+        return [
+            ['process_monitor_cycle_duration_seconds', 'histogram', 'Duration of monitoring cycles', histogram],
+            ['process_monitor_cycle_stage_duration_seconds', 'gauge', 'Duration of each stage in the last monitoring cycle',
+                Object.entries(cycles.stages).map(([stage, value]) => ({ labels: { stage }, value }))],
+            ['process_monitor_cycle_errors_total', 'counter', 'Monitoring cycles that failed', [{ value: cycles.errors }]],
+            ['process_monitor_persistence_buffered', 'gauge', 'Documents waiting in the write buffer',
+                [{ value: persistence.buffered }]],
+            ['process_monitor_persistence_spool_bytes', 'gauge', 'Bytes spilled to disk awaiting replay',
+                [{ value: persistence.spool.bytes }]],
+            ['process_monitor_persistence_documents_total', 'counter', 'Metric documents by write outcome', documents],
+            ['process_monitor_ml_model_trained', 'gauge', 'Whether each ML model is trained', models],
+            ['process_monitor_hosts', 'gauge', 'Hosts known to the monitor by status',
+                ['online', 'stale'].map(status => ({
+                    labels: { status },
+                    value: hostRegistry.list().filter(host => host.status === status).length
+                }))]
+        ];
+    }
+
+    // Render all metric families in the text exposition format
+    async render() {
+        const hosts = this.activeHosts();
+        const families = [
+            ...this.systemFamilies(hosts),
+            ...this.processFamilies(hosts),
+            ...(await this.alertFamilies()),
+            ...this.selfFamilies()
+        ];
+
+        const lines = [];
+        families.forEach(([name, type, help, samples]) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            samples.forEach(sample => {
+                const value = Number(sample.value);
+                if (!Number.isFinite(value)) return;
+                lines.push(`${name}${sample.suffix || ''}${formatLabels(sample.labels)} ${value}`);
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = new PrometheusExporter();
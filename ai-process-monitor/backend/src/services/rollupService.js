@@ -0,0 +1,355 @@
+const storage = require('../storage');
+const ProcessMetrics = require('../models/ProcessMetrics');
+const ProcessMetricsRollup = require('../models/ProcessMetricsRollup');
+const dataCollector = require('./dataCollector');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Metrics aggregated per bucket
+const METRIC_FIELDS = [
+    'cpu', 'memory', 'threads', 'ioRead', 'ioWrite', 'networkSent', 'networkReceived',
+    'connections', 'ctxSwitchesVoluntary', 'ctxSwitchesInvoluntary', 'minorFaults',
+    'majorFaults', 'fdCount', 'rss', 'vsz', 'swap'
+];
+
+// Nearest-rank 95th percentile of an ascending array
+function p95(sorted) {
+    return sorted[Math.max(0, Math.ceil(sorted.length * 0.95) - 1)];
+}
+
+// Builds 1-minute aggregates from raw ProcessMetrics and 1-hour aggregates
+// from the 1-minute ones, and keeps each tier (raw included) within its own
+// retention. Raw retention is enforced by pruneRaw() alone. Samples that
+// arrive after their bucket may have closed (agents send buffered batches
+// with their original timestamps) are reported through noteSample(), and
+// the next runs roll their buckets up again.
+class RollupService {
+    constructor() {
+        this.rawInterval = 2000; // raw samples are written every 2 seconds
+        this.rawRetention = (parseFloat(process.env.METRICS_RAW_RETENTION_HOURS) || 168) * HOUR;
+        this.tiers = {
+            '1m': {
+                source: 'raw',
+                bucketMs: MINUTE,
+                retention: (parseFloat(process.env.METRICS_1M_RETENTION_DAYS) || 30) * DAY
+            },
+            '1h': {
+                source: '1m', // hourly buckets stay rebuildable after raw samples expire
+                bucketMs: HOUR,
+                retention: (parseFloat(process.env.METRICS_1H_RETENTION_DAYS) || 365) * DAY
+            }
+        };
+        this.chunkMs = HOUR; // source documents read per query while catching up
+        this.settleDelay = 30000; // wait for buffered writes before closing a bucket
+        this.maxPoints = parseInt(process.env.HISTORY_MAX_POINTS) || 1000;
+        this.watermarks = new Map(); // resolution -> start of the next bucket to roll up
+        this.late = new Map(Object.keys(this.tiers).map(resolution => [resolution, []])); // { from, notedAt } to roll up again
+        this.running = new Set();
+    }
+
+    // Start of the bucket containing a time
+    bucketStart(time, bucketMs) {
+        return Math.floor(time / bucketMs) * bucketMs;
+    }
+
+    retentionOf(resolution) {
+        return resolution === 'raw' ? this.rawRetention : this.tiers[resolution].retention;
+    }
+
+    // Filter on a resolution's collection; rollup tiers share one
+    resolutionFilter(resolution, filter = {}) {
+        return resolution === 'raw' ? filter : { ...filter, resolution };
+    }
+
+    // First bucket not rolled up yet: after the newest stored rollup, else
+    // at the oldest source document still kept
+    async resolveWatermark(resolution) {
+        if (this.watermarks.has(resolution)) return this.watermarks.get(resolution);
+
+        const { source, bucketMs } = this.tiers[resolution];
+        const latest = await storage.collection(ProcessMetricsRollup)
+            .findOne({ resolution }, { sort: { timestamp: -1 }, fields: 'timestamp' });
+        if (latest) return latest.timestamp.getTime() + bucketMs;
+
+        const oldest = await this.collectionFor(source)
+            .findOne(this.resolutionFilter(source), { sort: { timestamp: 1 }, fields: 'timestamp' });
+        return oldest ? this.bucketStart(oldest.timestamp.getTime(), bucketMs) : null;
+    }
+
+    // Note a sample stored with its own timestamp. One older than the settle
+    // delay may belong to a bucket that was already rolled up. Marks noted
+    // within the same minute are merged so the list stays short.
+    noteSample(timestamp, now = Date.now()) {
+        const time = new Date(timestamp).getTime();
+        if (!(time < now - this.settleDelay)) return;
+
+        const marks = this.late.get('1m');
+        const last = marks[marks.length - 1];
+        if (last && this.bucketStart(last.notedAt, MINUTE) === this.bucketStart(now, MINUTE)) {
+            last.from = Math.min(last.from, time);
+            last.notedAt = now;
+        } else {
+            marks.push({ from: time, notedAt: now });
+        }
+    }
+
+    // Earliest late time of a tier noted at least settleDelay ago, so that
+    // the buffered writes of those samples have landed; null if none
+    takeLate(resolution, now) {
+        const ready = this.late.get(resolution).filter(mark => now - mark.notedAt >= this.settleDelay);
+        if (ready.length === 0) return null;
+
+        this.late.set(resolution, this.late.get(resolution).filter(mark => !ready.includes(mark)));
+        return ready.reduce((earliest, mark) => Math.min(earliest, mark.from), Infinity);
+    }
+
+    // Tiers built from a resolution have to be rolled up again from `from`
+    propagateLate(resolution, from) {
+        Object.entries(this.tiers).forEach(([tier, { source }]) => {
+            if (source === resolution) this.late.get(tier).push({ from, notedAt: 0 });
+        });
+    }
+
+    // Roll up every complete bucket since the last run. Returns the number
+    // of rollup documents written. Waits while spilled metrics are pending
+    // so that buckets are not closed before their samples are replayed, and
+    // never closes a bucket its source tier has not fully rolled up.
+    async run(resolution, now = Date.now()) {
+        if (!storage.isAvailable() || this.running.has(resolution)) return 0;
+        if (dataCollector.hasSpilled()) return 0;
+        this.running.add(resolution);
+
+        let late = null;
+        try {
+            const { source, bucketMs, retention } = this.tiers[resolution];
+            let end = this.bucketStart(now - this.settleDelay, bucketMs);
+            if (source !== 'raw') {
+                const sourceDone = await this.resolveWatermark(source);
+                if (sourceDone === null) return 0;
+                end = Math.min(end, this.bucketStart(sourceDone, bucketMs));
+            }
+            let start = await this.resolveWatermark(resolution);
+            if (start === null) return 0;
+            late = this.takeLate(resolution, now);
+            if (late !== null) start = Math.min(start, this.bucketStart(late, bucketMs));
+            start = Math.max(start, this.bucketStart(now - this.retentionOf(source), bucketMs));
+
+            let written = 0;
+            for (let from = start; from < end; from += Math.max(this.chunkMs, bucketMs)) {
+                const to = Math.min(from + Math.max(this.chunkMs, bucketMs), end);
+                const docs = await this.collectionFor(source).find(
+                    this.resolutionFilter(source, { timestamp: { $gte: new Date(from), $lt: new Date(to) } }),
+                    { sort: { timestamp: 1 } }
+                );
+
+                const rollups = this.aggregate(docs, resolution, source, bucketMs, retention);
+                if (rollups.length > 0) {
+                    await storage.collection(ProcessMetricsRollup)
+                        .upsertMany(rollups, ['resolution', 'processId', 'host', 'timestamp']);
+                    written += rollups.length;
+                }
+                this.watermarks.set(resolution, to);
+            }
+            if (late !== null && start < end) this.propagateLate(resolution, start);
+
+            if (written > 0) {
+                console.log(`Rolled up ${written} ${resolution} buckets`);
+            }
+            return written;
+        } catch (error) {
+            // Keep late buckets for the next run
+            if (late !== null) this.late.get(resolution).push({ from: late, notedAt: 0 });
+            console.error(`Error rolling up ${resolution} metrics:`, error);
+            return 0;
+        } finally {
+            this.running.delete(resolution);
+        }
+    }
+
+    // Group source documents (raw samples or finer rollups) by process, host
+    // and bucket and summarize each group
+    aggregate(docs, resolution, source, bucketMs, retention) {
+        const groups = new Map();
+        docs.forEach(doc => {
+            const bucket = this.bucketStart(doc.timestamp.getTime(), bucketMs);
+            const key = `${doc.host || ''}|${doc.processId}|${bucket}`;
+            if (!groups.has(key)) groups.set(key, { bucket, docs: [] });
+            groups.get(key).docs.push(doc);
+        });
+
+        return [...groups.values()].map(({ bucket, docs: group }) => {
+            const last = group[group.length - 1];
+            const { sampleCount, metrics, mlAnalysis } = source === 'raw'
+                ? this.summarizeSamples(group)
+                : this.mergeRollups(group);
+
+            return {
+                resolution,
+                processId: last.processId,
+                serviceKey: last.serviceKey,
+                processName: last.processName,
+                pid: last.pid,
+                user: last.user,
+                host: last.host,
+                containerId: last.containerId,
+                systemdUnit: last.systemdUnit,
+                timestamp: new Date(bucket),
+                sampleCount,
+                metrics,
+                mlAnalysis,
+                expiresAt: new Date(bucket + bucketMs + retention)
+            };
+        });
+    }
+
+    summarizeSamples(samples) {
+        const metrics = {};
+        METRIC_FIELDS.forEach(field => {
+            const values = samples
+                .map(sample => sample.metrics?.[field])
+                .filter(value => typeof value === 'number')
+                .sort((a, b) => a - b);
+            if (values.length === 0) return;
+
+            metrics[field] = {
+                min: values[0],
+                max: values[values.length - 1],
+                avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+                p95: p95(values)
+            };
+        });
+
+        return { sampleCount: samples.length, metrics, mlAnalysis: this.summarizeAnalysis(samples) };
+    }
+
+    // Combine finer rollups: min and max are exact, averages are weighted by
+    // sample count and p95 is approximated by the 95th percentile of the
+    // finer buckets' p95s
+    mergeRollups(rollups) {
+        const weight = rollup => rollup.sampleCount || 1;
+        const totalWeight = items => items.reduce((sum, rollup) => sum + weight(rollup), 0);
+        const weightedAvg = (items, value) =>
+            items.reduce((sum, rollup) => sum + value(rollup) * weight(rollup), 0) / totalWeight(items);
+
+        const metrics = {};
+        METRIC_FIELDS.forEach(field => {
+            const parts = rollups.filter(rollup => rollup.metrics?.[field]);
+            if (parts.length === 0) return;
+
+            metrics[field] = {
+                min: Math.min(...parts.map(rollup => rollup.metrics[field].min)),
+                max: Math.max(...parts.map(rollup => rollup.metrics[field].max)),
+                avg: weightedAvg(parts, rollup => rollup.metrics[field].avg),
+                p95: p95(parts.map(rollup => rollup.metrics[field].p95).sort((a, b) => a - b))
+            };
+        });
+
+        let mlAnalysis;
+        const analyzed = rollups.filter(rollup => rollup.mlAnalysis);
+        if (analyzed.length > 0) {
+            const classes = new Map();
+            analyzed.forEach(rollup => {
+                const cls = rollup.mlAnalysis.classification;
+                if (cls) classes.set(cls, (classes.get(cls) || 0) + weight(rollup));
+            });
+            const classification = [...classes.entries()].sort((a, b) => b[1] - a[1])[0];
+
+            mlAnalysis = {
+                anomalyCount: analyzed.reduce((sum, rollup) => sum + (rollup.mlAnalysis.anomalyCount || 0), 0),
+                avgAnomalyScore: weightedAvg(analyzed, rollup => rollup.mlAnalysis.avgAnomalyScore || 0),
+                maxAnomalyScore: Math.max(...analyzed.map(rollup => rollup.mlAnalysis.maxAnomalyScore || 0)),
+                classification: classification ? classification[0] : undefined
+            };
+        }
+
+        return { sampleCount: totalWeight(rollups), metrics, mlAnalysis };
+    }
+
+    summarizeAnalysis(samples) {
+        const analyzed = samples.filter(sample => sample.mlAnalysis);
+        if (analyzed.length === 0) return undefined;
+
+        const scores = analyzed.map(sample => sample.mlAnalysis.anomalyScore || 0);
+        const classes = new Map();
+        analyzed.forEach(sample => {
+            const cls = sample.mlAnalysis.classification;
+            if (cls) classes.set(cls, (classes.get(cls) || 0) + 1);
+        });
+        const classification = [...classes.entries()].sort((a, b) => b[1] - a[1])[0];
+
+        return {
+            anomalyCount: analyzed.filter(sample => sample.mlAnalysis.isAnomaly).length,
+            avgAnomalyScore: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+            maxAnomalyScore: Math.max(...scores),
+            classification: classification ? classification[0] : undefined
+        };
+    }
+
+    // Delete raw samples past METRICS_RAW_RETENTION_HOURS
+    async pruneRaw(now = Date.now()) {
+        if (!storage.isAvailable()) return 0;
+
+        try {
+            const result = await storage.collection(ProcessMetrics)
+                .deleteMany({ timestamp: { $lt: new Date(now - this.rawRetention) } });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('Error pruning raw metrics:', error);
+            return 0;
+        }
+    }
+
+    // Finest resolution that still holds data at `from` and returns at most
+    // maxPoints points per process over the range
+    pickResolution(from, to = Date.now()) {
+        const age = Date.now() - from;
+        const range = Math.max(0, to - from);
+
+        if (age <= this.rawRetention && range / this.rawInterval <= this.maxPoints) return 'raw';
+        if (age <= this.tiers['1m'].retention && range / MINUTE <= this.maxPoints) return '1m';
+        return '1h';
+    }
+
+    // Automatic resolution for a range, refined while its buckets are
+    // coarser than the requested step and a finer tier still covers `from`
+    resolutionForStep(from, to, step) {
+        const order = ['raw', '1m', '1h'];
+        const bucketMs = resolution => (resolution === 'raw' ? this.rawInterval : this.tiers[resolution].bucketMs);
+
+        let idx = order.indexOf(this.pickResolution(from, to));
+        while (idx > 0 && bucketMs(order[idx]) > step && Date.now() - from <= this.retentionOf(order[idx - 1])) {
+            idx--;
+        }
+        return order[idx];
+    }
+
+    // Collection holding documents of a resolution
+    collectionFor(resolution) {
+        return storage.collection(resolution === 'raw' ? ProcessMetrics : ProcessMetricsRollup);
+    }
+
+    // History documents for a filter. Without a time range the latest raw
+    // samples are returned; with one the resolution is picked automatically
+    // unless given explicitly ('raw', '1m' or '1h').
+    async query(filter, { from, to, resolution = 'auto', limit = 100 } = {}) {
+        const range = {};
+        if (from) range.$gte = from;
+        if (to) range.$lte = to;
+
+        if (resolution === 'auto') {
+            resolution = from ? this.pickResolution(from.getTime(), to ? to.getTime() : Date.now()) : 'raw';
+        }
+
+        const query = { ...filter };
+        if (from || to) query.timestamp = range;
+
+        if (resolution !== 'raw') query.resolution = resolution;
+        const data = await this.collectionFor(resolution).find(query, { sort: { timestamp: -1 }, limit });
+
+        return { resolution, data };
+    }
+}
+
+module.exports = new RollupService();
@@ -0,0 +1,184 @@
+const storage = require('../storage');
+const MonitoringPolicy = require('../models/MonitoringPolicy');
+
+const RULE_FIELDS = ['name', 'command', 'user', 'cgroup'];
+const SORT_FIELDS = ['cpu', 'memory'];
+const MAX_PATTERN_LENGTH = 200;
+const MAX_SUBJECT_LENGTH = 4096; // longer command lines are matched on their start
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*x)*,
+// can backtrack exponentially and stall every monitoring tick
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
+
+const DEFAULT_POLICY = {
+    sortBy: 'cpu',
+    topN: 50,
+    persistTopN: 10,
+    watchlist: [],
+    exclude: []
+};
+
+// Decides which processes are monitored (top-N plus watchlist, minus
+// excludes) and which of them are analyzed and persisted every tick
+class SelectionPolicy {
+    constructor() {
+        this.policy = { ...DEFAULT_POLICY };
+        this.compiled = { watchlist: [], exclude: [] };
+    }
+
+    // Load persisted policy; keeps defaults if none is stored
+    async load() {
+        try {
+            const stored = await storage.collection(MonitoringPolicy).findOne({ name: 'default' });
+            if (stored) {
+                this.apply(stored);
+                console.log('Loaded process selection policy');
+            }
+        } catch (error) {
+            console.warn('Selection policy load failed, using defaults. Error:', error.message);
+        }
+    }
+
+    // Validate a (partial) policy and return a list of problems
+    validate(changes) {
+        const errors = [];
+
+        if (changes.sortBy !== undefined && !SORT_FIELDS.includes(changes.sortBy)) {
+            errors.push(`sortBy must be one of ${SORT_FIELDS.join(', ')}`);
+        }
+        ['topN', 'persistTopN'].forEach(field => {
+            if (changes[field] !== undefined && !(Number.isInteger(changes[field]) && changes[field] >= 0)) {
+                errors.push(`${field} must be a non-negative integer`);
+            }
+        });
+        ['watchlist', 'exclude'].forEach(list => {
+            if (changes[list] === undefined) return;
+            if (!Array.isArray(changes[list])) {
+                errors.push(`${list} must be an array of rules`);
+                return;
+            }
+            changes[list].forEach((rule, idx) => {
+                if (!rule || !RULE_FIELDS.includes(rule.field)) {
+                    errors.push(`${list}[${idx}].field must be one of ${RULE_FIELDS.join(', ')}`);
+                }
+                if (!rule || typeof rule.pattern !== 'string' || rule.pattern === '') {
+                    errors.push(`${list}[${idx}].pattern must be a non-empty string`);
+                } else if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+                    errors.push(`${list}[${idx}].pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+                } else if (rule.regex) {
+                    try {
+                        new RegExp(rule.pattern);
+                        if (NESTED_QUANTIFIER.test(rule.pattern)) {
+                            errors.push(`${list}[${idx}].pattern must not repeat a group that contains a quantifier`);
+                        }
+                    } catch (error) {
+                        errors.push(`${list}[${idx}].pattern is not a valid regex: ${error.message}`);
+                    }
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // Merge changes into the active policy and persist it. Returns the policy
+    // and whether it was stored; when storage is down it only lasts until
+    // the next restart.
+    async update(changes) {
+        const next = { ...this.policy };
+        ['sortBy', 'topN', 'persistTopN', 'watchlist', 'exclude'].forEach(field => {
+            if (changes[field] !== undefined) next[field] = changes[field];
+        });
+        this.apply(next);
+
+        let persisted = false;
+        if (storage.isAvailable()) {
+            try {
+                await storage.collection(MonitoringPolicy).findOneAndUpdate(
+                    { name: 'default' },
+                    { ...this.policy, name: 'default', updatedAt: new Date() },
+                    { upsert: true }
+                );
+                persisted = true;
+            } catch (error) {
+                console.error('Error saving selection policy:', error.message);
+            }
+        }
+
+        return { policy: this.getPolicy(), persisted };
+    }
+
+    apply(policy) {
+        const normalizeRules = rules => (rules || []).map(rule => ({
+            field: rule.field,
+            pattern: rule.pattern,
+            regex: Boolean(rule.regex)
+        }));
+
+        this.policy = {
+            sortBy: policy.sortBy || DEFAULT_POLICY.sortBy,
+            topN: policy.topN ?? DEFAULT_POLICY.topN,
+            persistTopN: policy.persistTopN ?? DEFAULT_POLICY.persistTopN,
+            watchlist: normalizeRules(policy.watchlist),
+            exclude: normalizeRules(policy.exclude)
+        };
+        this.compiled = {
+            watchlist: this.policy.watchlist.map(rule => this.compile(rule)),
+            exclude: this.policy.exclude.map(rule => this.compile(rule))
+        };
+    }
+
+    // Turn a rule into a predicate over process fields
+    compile(rule) {
+        if (rule.regex) {
+            const regex = new RegExp(rule.pattern);
+            return proc => regex.test((proc[rule.field] || '').slice(0, MAX_SUBJECT_LENGTH));
+        }
+        return proc => (proc[rule.field] || '') === rule.pattern;
+    }
+
+    getPolicy() {
+        return JSON.parse(JSON.stringify(this.policy));
+    }
+
+    // Whether any rule needs the cgroup path of candidate processes
+    needsCgroup() {
+        return [...this.policy.watchlist, ...this.policy.exclude].some(rule => rule.field === 'cgroup');
+    }
+
+    isExcluded(proc) {
+        return this.compiled.exclude.some(matches => matches(proc));
+    }
+
+    isWatched(proc) {
+        return this.compiled.watchlist.some(matches => matches(proc));
+    }
+
+    // Pick monitored processes from candidates carrying name/command/user/
+    // cgroup/cpu/memory. Returns watched processes first, then the top-N
+    // active ones by the sort metric, each flagged with `watched`.
+    select(candidates, limit = this.policy.topN) {
+        const included = candidates.filter(proc => !this.isExcluded(proc));
+        const watched = included.filter(proc => this.isWatched(proc));
+        const watchedSet = new Set(watched);
+
+        const sortBy = this.policy.sortBy;
+        const top = included
+            .filter(proc => !watchedSet.has(proc) && (proc.cpu > 0 || proc.memory > 0))
+            .sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0))
+            .slice(0, limit);
+
+        return [
+            ...watched.map(proc => ({ proc, watched: true })),
+            ...top.map(proc => ({ proc, watched: false }))
+        ];
+    }
+
+    // Processes to analyze and persist: every watched one plus the top persistTopN
+    persistable(processes) {
+        const watched = processes.filter(proc => proc.watched);
+        const others = processes.filter(proc => !proc.watched).slice(0, this.policy.persistTopN);
+        return [...watched, ...others];
+    }
+}
+
+module.exports = new SelectionPolicy();
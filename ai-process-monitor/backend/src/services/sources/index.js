@@ -0,0 +1,45 @@
+const path = require('path');
+const LiveSource = require('./liveSource');
+const RecordingSource = require('./recordingSource');
+const ReplaySource = require('./replaySource');
+const SimulatedSource = require('./simulatedSource');
+
+const DEFAULT_TRACE = path.join(__dirname, '../../../traces/trace.ndjson');
+
+// Build the metric source for a mode: 'live' (default), 'record', 'replay' or 'simulate'
+function createSource(monitor, options = {}) {
+    const { mode = 'live', file = DEFAULT_TRACE, speed = 1, loop = false } = options;
+
+    switch (mode) {
+        case 'live':
+            return new LiveSource(monitor);
+        case 'record':
+            return new RecordingSource(new LiveSource(monitor), file);
+        case 'replay':
+            return new ReplaySource(file, { speed, loop });
+        case 'simulate':
+            return new SimulatedSource({
+                seed: options.seed,
+                anomalyRate: options.anomalyRate,
+                labelsFile: options.labelsFile
+            });
+        default:
+            throw new Error(`Unknown metric source mode: ${mode}`);
+    }
+}
+
+// Source options from MONITOR_* environment variables
+function sourceOptionsFromEnv(env = process.env) {
+    const replaySpeed = env.MONITOR_REPLAY_SPEED || '1';
+    return {
+        mode: env.MONITOR_SOURCE || 'live',
+        file: env.MONITOR_TRACE_FILE || undefined,
+        speed: replaySpeed === 'step' ? 'step' : parseFloat(replaySpeed) || 1,
+        loop: env.MONITOR_REPLAY_LOOP === 'true',
+        seed: parseInt(env.MONITOR_SIM_SEED) || 42,
+        anomalyRate: parseFloat(env.MONITOR_SIM_ANOMALY_RATE) || 0.05,
+        labelsFile: env.MONITOR_SIM_LABELS_FILE || null
+    };
+}
+
+module.exports = { createSource, sourceOptionsFromEnv };
@@ -0,0 +1,25 @@
+// Reads the host this server runs on through systeminformation and procfs
+class LiveSource {
+    constructor(monitor) {
+        this.monitor = monitor;
+    }
+
+    describe() {
+        return 'live';
+    }
+
+    // PIDs reported by this source belong to the host the server runs on
+    isLocal() {
+        return true;
+    }
+
+    async getProcesses(limit) {
+        return this.monitor.collectProcesses(limit);
+    }
+
+    async getSystemStats() {
+        return this.monitor.collectSystemStats();
+    }
+}
+
+module.exports = LiveSource;
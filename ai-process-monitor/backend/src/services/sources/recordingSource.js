@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// Passes another source through and appends every sample to an NDJSON trace.
+// Each line is { type: 'processes' | 'stats', time, ... } with time in ms.
+class RecordingSource {
+    constructor(inner, file) {
+        this.inner = inner;
+        this.file = file;
+        this.stream = null;
+    }
+
+    describe() {
+        return `record (${this.inner.describe()} -> ${this.file})`;
+    }
+
+    isLocal() {
+        return this.inner.isLocal();
+    }
+
+    async open() {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    }
+
+    write(frame) {
+        if (this.stream) {
+            this.stream.write(JSON.stringify(frame) + '\n');
+        }
+    }
+
+    async getProcesses(limit) {
+        const result = await this.inner.getProcesses(limit);
+
+        // Only regular policy-driven samples are recorded; calls that override
+        // the top-N would otherwise interleave with them
+        if (limit === undefined) {
+            this.write({
+                type: 'processes',
+                time: Date.now(),
+                processes: result.processes,
+                snapshot: result.snapshot
+            });
+        }
+
+        return result;
+    }
+
+    async getSystemStats() {
+        const stats = await this.inner.getSystemStats();
+        this.write({ type: 'stats', time: Date.now(), stats });
+        return stats;
+    }
+
+    async close() {
+        if (!this.stream) return;
+
+        const stream = this.stream;
+        this.stream = null;
+        await new Promise(resolve => stream.end(resolve));
+    }
+}
+
+module.exports = RecordingSource;
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const readline = require('readline');
+
+const TYPES = ['processes', 'stats'];
+
+// Serves samples from an NDJSON trace written by RecordingSource.
+// speed is a time multiplier (2 = twice as fast); 'step' advances one
+// recorded sample per monitoring cycle regardless of wall-clock time.
+// Only the cycle calls getProcesses() and getSystemStats(); HTTP readers
+// get the frame it last served (ProcessMonitor.latest).
+// Frames are streamed from the file, one reader per sample type, so a
+// long trace is never held in memory; looping reopens the reader.
+class ReplaySource {
+    constructor(file, { speed = 1, loop = false } = {}) {
+        this.file = file;
+        this.speed = speed;
+        this.loop = loop;
+        this.counts = { processes: 0, stats: 0 };
+        this.lastTime = { processes: null, stats: null };
+        this.readers = {}; // type -> { lines, current, next }
+        this.startedAt = null;
+        this.traceStart = null;
+    }
+
+    describe() {
+        return `replay (${this.file}, speed ${this.speed}${this.loop ? ', loop' : ''})`;
+    }
+
+    // Frames of the trace in file order, optionally of one type only
+    async *frames(type = null) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.file),
+            crlfDelay: Infinity
+        });
+
+        try {
+            let lineNumber = 0;
+            for await (const line of lines) {
+                lineNumber++;
+                if (!line.trim()) continue;
+
+                let frame;
+                try {
+                    frame = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid trace line ${lineNumber} in ${this.file}: ${error.message}`);
+                }
+                if (type ? frame.type === type : TYPES.includes(frame.type)) {
+                    yield frame;
+                }
+            }
+        } finally {
+            lines.close();
+        }
+    }
+
+    // Validate the trace and find where it starts and ends
+    async open() {
+        for await (const frame of this.frames()) {
+            this.counts[frame.type]++;
+            this.lastTime[frame.type] = frame.time;
+            if (this.traceStart === null || frame.time < this.traceStart) {
+                this.traceStart = frame.time;
+            }
+        }
+
+        if (this.traceStart === null) {
+            throw new Error(`Trace ${this.file} contains no samples`);
+        }
+        this.startedAt = Date.now();
+        console.log(`Loaded trace with ${this.counts.processes} process and ${this.counts.stats} stats samples`);
+    }
+
+    async close() {
+        await Promise.all(TYPES.map(type => this.closeReader(type)));
+    }
+
+    async closeReader(type) {
+        const reader = this.readers[type];
+        delete this.readers[type];
+        if (reader) await reader.lines.return();
+    }
+
+    // Start reading a type from the beginning of the trace
+    async rewind(type) {
+        await this.closeReader(type);
+        const lines = this.frames(type);
+        const first = await lines.next();
+        this.readers[type] = { lines, current: null, next: first.done ? null : first.value };
+        return this.readers[type];
+    }
+
+    // Move a reader to its next frame
+    async advance(reader) {
+        reader.current = reader.next;
+        const next = await reader.lines.next();
+        reader.next = next.done ? null : next.value;
+    }
+
+    // The frame to serve for the given stream
+    async nextFrame(type) {
+        if (this.counts[type] === 0) return null;
+        let reader = this.readers[type] || await this.rewind(type);
+
+        if (this.speed === 'step') {
+            if (!reader.next && reader.current && this.loop) {
+                reader = await this.rewind(type);
+            }
+            if (reader.next) await this.advance(reader);
+            return reader.current;
+        }
+
+        const duration = this.lastTime[type] - this.traceStart;
+        let elapsed = (Date.now() - this.startedAt) * this.speed;
+        if (this.loop && duration > 0) {
+            elapsed %= duration + 1;
+        }
+
+        // Latest frame recorded at or before the replay position; the first
+        // frame until the position reaches it
+        const position = this.traceStart + elapsed;
+        if (reader.current && reader.current.time > position) {
+            reader = await this.rewind(type);
+        }
+        while (reader.next && (!reader.current || reader.next.time <= position)) {
+            await this.advance(reader);
+        }
+        return reader.current;
+    }
+
+    async getProcesses(limit) {
+        const frame = await this.nextFrame('processes');
+        if (!frame) return { processes: [], snapshot: null };
+
+        const processes = Number.isFinite(limit) ? frame.processes.slice(0, limit) : frame.processes;
+        return { processes, snapshot: frame.snapshot };
+    }
+
+    async getSystemStats() {
+        const frame = await this.nextFrame('stats');
+        return frame ? frame.stats : null;
+    }
+}
+
+module.exports = ReplaySource;
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const processIdentity = require('../processIdentity');
+const selectionPolicy = require('../selectionPolicy');
+
+// Metric ranges per workload profile. CPU is a percentage of the host like
+// systeminformation reports it, rates are per second, memory in MB.
+const PROFILES = {
+    'web-server': {
+        name: 'nginx',
+        command: '/usr/sbin/nginx',
+        user: 'www-data',
+        unit: 'nginx.service',
+        label: 'web-server',
+        cpu: [5, 30], memory: [50, 200], threads: [1, 4],
+        ioRead: [0, 200e3], ioWrite: [10e3, 500e3],
+        networkSent: [500e3, 5e6], networkReceived: [100e3, 1e6], connections: [20, 200],
+        ctxSwitchesVoluntary: [200, 1000], ctxSwitchesInvoluntary: [5, 30],
+        minorFaults: [50, 300], majorFaults: [0, 1], fdCount: [100, 1000]
+    },
+    database: {
+        name: 'postgres',
+        command: '/usr/lib/postgresql/15/bin/postgres -D /var/lib/postgresql/15/main',
+        user: 'postgres',
+        unit: 'postgresql.service',
+        label: 'database',
+        cpu: [10, 40], memory: [500, 2000], threads: [1, 2],
+        ioRead: [1e6, 20e6], ioWrite: [500e3, 10e6],
+        networkSent: [100e3, 1e6], networkReceived: [100e3, 500e3], connections: [5, 50],
+        ctxSwitchesVoluntary: [500, 2000], ctxSwitchesInvoluntary: [20, 100],
+        minorFaults: [200, 1000], majorFaults: [1, 10], fdCount: [200, 2000]
+    },
+    cache: {
+        name: 'redis-server',
+        command: '/usr/bin/redis-server 127.0.0.1:6379',
+        user: 'redis',
+        unit: 'redis-server.service',
+        label: 'cache',
+        cpu: [2, 15], memory: [200, 800], threads: [4, 6],
+        ioRead: [0, 10e3], ioWrite: [0, 100e3],
+        networkSent: [200e3, 2e6], networkReceived: [200e3, 2e6], connections: [10, 100],
+        ctxSwitchesVoluntary: [100, 500], ctxSwitchesInvoluntary: [1, 10],
+        minorFaults: [10, 100], majorFaults: [0, 0.5], fdCount: [50, 500]
+    },
+    batch: {
+        name: 'python3',
+        command: '/usr/bin/python3 /opt/jobs/etl_job.py',
+        user: 'etl',
+        unit: 'etl-job.service',
+        label: 'application',
+        cpu: [20, 60], memory: [300, 1500], threads: [1, 8],
+        ioRead: [1e6, 5e6], ioWrite: [200e3, 2e6],
+        networkSent: [0, 50e3], networkReceived: [0, 50e3], connections: [0, 2],
+        ctxSwitchesVoluntary: [10, 50], ctxSwitchesInvoluntary: [100, 400],
+        minorFaults: [1000, 5000], majorFaults: [0, 5], fdCount: [20, 100]
+    }
+};
+
+const RATE_FIELDS = [
+    'ioRead', 'ioWrite', 'networkSent', 'networkReceived', 'connections',
+    'ctxSwitchesVoluntary', 'ctxSwitchesInvoluntary', 'minorFaults', 'majorFaults', 'fdCount'
+];
+
+const ANOMALY_TYPES = ['cpu_spike', 'memory_leak', 'io_storm', 'fork_bomb'];
+
+// Deterministic PRNG (mulberry32) so a seed reproduces the same run
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Generates a population of web servers, databases, caches and batch jobs
+// and injects labeled anomalies. Every getProcesses() call advances the
+// simulation by one tick.
+class SimulatedSource {
+    constructor({ seed = 42, anomalyRate = 0.05, labelsFile = null, cores = 8, memoryTotal = 32 * 1024 } = {}) {
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.anomalyRate = anomalyRate; // chance per tick of starting a new anomaly
+        this.labelsFile = labelsFile;
+        this.cores = cores;
+        this.memoryTotal = memoryTotal; // MB
+        this.tick = 0;
+        this.nextPid = 1000;
+        this.processes = new Map(); // pid -> simulated process
+        this.episodes = []; // injected anomalies, the ground truth
+        this.maxEpisodes = 1000; // finished episodes kept in memory
+        this.episodeCount = 0;
+        this.current = { processes: [], snapshot: null };
+        this.labelsStream = null;
+    }
+
+    describe() {
+        return `simulate (seed ${this.seed}, anomaly rate ${this.anomalyRate})`;
+    }
+
+    async open() {
+        if (this.labelsFile) {
+            this.labelsStream = fs.createWriteStream(this.labelsFile, { flags: 'a' });
+        }
+
+        // Long-running services: master processes with workers
+        const nginx = this.spawn('web-server', 1);
+        for (let i = 0; i < 4; i++) this.spawn('web-server', nginx.pid);
+        const postgres = this.spawn('database', 1);
+        for (let i = 0; i < 3; i++) this.spawn('database', postgres.pid);
+        this.spawn('cache', 1);
+    }
+
+    between([min, max]) {
+        return min + this.random() * (max - min);
+    }
+
+    spawn(profileName, parentPid, overrides = {}) {
+        const profile = PROFILES[profileName];
+        const pid = this.nextPid++;
+        const proc = {
+            pid,
+            parentPid,
+            profile: profileName,
+            name: profile.name,
+            command: profile.command,
+            user: profile.user,
+            startTick: this.tick,
+            started: new Date().toISOString(),
+            baseMemory: this.between(profile.memory),
+            leakedMemory: 0,
+            episode: null,
+            exitTick: null,
+            ...overrides
+        };
+        this.processes.set(pid, proc);
+        return proc;
+    }
+
+    // Advance the simulation by one tick
+    step() {
+        this.tick++;
+
+        // Batch jobs come and go
+        if (this.random() < 0.1) {
+            this.spawn('batch', 1, { exitTick: this.tick + 10 + Math.floor(this.random() * 30) });
+        }
+        for (const [pid, proc] of this.processes) {
+            if (proc.exitTick !== null && proc.exitTick <= this.tick) {
+                this.processes.delete(pid);
+            }
+        }
+
+        this.endEpisodes();
+        if (this.random() < this.anomalyRate) {
+            this.inject(ANOMALY_TYPES[Math.floor(this.random() * ANOMALY_TYPES.length)]);
+        }
+        this.progressEpisodes();
+    }
+
+    // Start an anomaly episode on a random healthy process
+    inject(type) {
+        const healthy = [...this.processes.values()].filter(proc => !proc.episode && proc.exitTick === null);
+        if (healthy.length === 0) return null;
+
+        const target = healthy[Math.floor(this.random() * healthy.length)];
+        const episode = {
+            id: `${this.seed}-${++this.episodeCount}`,
+            type,
+            target: target.pid,
+            name: target.name,
+            profile: target.profile,
+            pids: [target.pid],
+            processKeys: [this.keyOf(target)],
+            startTick: this.tick,
+            endTick: this.tick + 5 + Math.floor(this.random() * 10),
+            startTime: new Date().toISOString(),
+            endTime: null
+        };
+        target.episode = episode;
+        this.episodes.push(episode);
+        return episode;
+    }
+
+    // Fork bombs keep spawning labeled children while active
+    progressEpisodes() {
+        this.episodes
+            .filter(episode => episode.endTime === null && episode.type === 'fork_bomb')
+            .forEach(episode => {
+                const parent = this.processes.get(episode.target);
+                if (!parent) return;
+                for (let i = 0; i < 5; i++) {
+                    const child = this.spawn(parent.profile, parent.pid, {
+                        episode,
+                        exitTick: episode.endTick
+                    });
+                    episode.pids.push(child.pid);
+                    episode.processKeys.push(this.keyOf(child));
+                }
+            });
+    }
+
+    endEpisodes() {
+        this.episodes
+            .filter(episode => episode.endTime === null && episode.endTick <= this.tick)
+            .forEach(episode => {
+                episode.endTime = new Date().toISOString();
+                episode.pids.forEach(pid => {
+                    const proc = this.processes.get(pid);
+                    if (proc && proc.episode === episode) {
+                        proc.episode = null;
+                        proc.leakedMemory = 0;
+                    }
+                });
+                this.writeLabel(episode);
+            });
+
+        if (this.episodes.length > this.maxEpisodes) {
+            this.episodes = this.episodes.slice(-this.maxEpisodes);
+        }
+    }
+
+    writeLabel(episode) {
+        if (this.labelsStream) {
+            this.labelsStream.write(JSON.stringify({ type: 'label', ...episode }) + '\n');
+        }
+    }
+
+    keyOf(proc) {
+        return processIdentity.instanceKey(proc.pid, proc.startTick, proc.started);
+    }
+
+    // Metrics for one simulated process at the current tick
+    sample(proc) {
+        const profile = PROFILES[proc.profile];
+        const metrics = {
+            cpu: this.between(profile.cpu),
+            memory: proc.baseMemory * (0.95 + this.random() * 0.1),
+            threads: Math.round(this.between(profile.threads))
+        };
+        RATE_FIELDS.forEach(field => {
+            metrics[field] = this.between(profile[field]);
+        });
+        metrics.connections = Math.round(metrics.connections);
+        metrics.fdCount = Math.round(metrics.fdCount);
+
+        switch (proc.episode && proc.episode.type) {
+            case 'cpu_spike':
+                metrics.cpu = this.between([90, 100]);
+                metrics.ctxSwitchesInvoluntary *= 10;
+                break;
+            case 'memory_leak':
+                proc.leakedMemory += proc.baseMemory * 0.1;
+                metrics.memory += proc.leakedMemory;
+                metrics.minorFaults *= 5;
+                break;
+            case 'io_storm':
+                metrics.ioRead = this.between([50e6, 200e6]);
+                metrics.ioWrite = this.between([50e6, 200e6]);
+                metrics.majorFaults *= 20;
+                break;
+            case 'fork_bomb':
+                metrics.cpu = this.between([20, 50]);
+                metrics.threads = 1;
+                break;
+            default:
+                break;
+        }
+
+        return metrics;
+    }
+
+    toProcess(proc, metrics) {
+        const profile = PROFILES[proc.profile];
+        return {
+            id: proc.pid,
+            name: proc.name,
+            pid: proc.pid,
+            processKey: this.keyOf(proc),
+            serviceKey: processIdentity.serviceKey(proc.name, proc.command),
+            ...metrics,
+            status: metrics.cpu > 80 ? 'critical' : metrics.cpu > 50 ? 'warning' : 'running',
+            priority: 20,
+            user: proc.user,
+            command: proc.command,
+            parentPid: proc.parentPid,
+            started: proc.started,
+            state: 'running',
+            ioAvailable: true,
+            networkAvailable: true,
+            rss: Math.round(metrics.memory),
+            vsz: Math.round(metrics.memory * 3),
+            swap: 0,
+            kernelStatsAvailable: true,
+            cgroup: `/system.slice/${profile.unit}`,
+            containerId: null,
+            systemdUnit: profile.unit
+        };
+    }
+
+    async getProcesses(limit) {
+        this.step();
+
+        const all = [...this.processes.values()].map(proc => this.toProcess(proc, this.sample(proc)));
+        this.current = {
+            processes: all,
+            snapshot: {
+                time: Date.now(),
+                processes: all.map(proc => ({
+                    pid: proc.pid,
+                    processKey: proc.processKey,
+                    serviceKey: proc.serviceKey,
+                    name: proc.name,
+                    command: proc.command,
+                    parentPid: proc.parentPid,
+                    user: proc.user,
+                    cpu: proc.cpu,
+                    memory: proc.memory,
+                    threads: proc.threads,
+                    ioRead: proc.ioRead,
+                    ioWrite: proc.ioWrite,
+                    networkSent: proc.networkSent,
+                    networkReceived: proc.networkReceived,
+                    cgroup: proc.cgroup,
+                    systemdUnit: proc.systemdUnit
+                }))
+            }
+        };
+
+        const selection = selectionPolicy.select(all, limit);
+        return {
+            processes: selection.map(item => ({ ...item.proc, watched: item.watched })),
+            snapshot: this.current.snapshot
+        };
+    }
+
+    async getSystemStats() {
+        const processes = this.current.processes;
+        const sum = field => processes.reduce((total, proc) => total + (proc[field] || 0), 0);
+        const cpuUsage = Math.min(100, sum('cpu'));
+        const memoryUsed = Math.min(this.memoryTotal, sum('memory'));
+        const load = (cpuUsage / 100) * this.cores;
+
+        return {
+            cpu: {
+                usage: cpuUsage,
+                cores: this.cores,
+                temperature: 0,
+                perCore: Array(this.cores).fill(cpuUsage),
+                loadAverage: { '1m': load, '5m': load, '15m': load }
+            },
+            memory: {
+                total: this.memoryTotal * 1024 * 1024,
+                used: memoryUsed * 1024 * 1024,
+                usage: (memoryUsed / this.memoryTotal) * 100
+            },
+            swap: { total: 0, used: 0, usage: 0 },
+            disk: {
+                usage: 40,
+                filesystems: []
+            },
+            network: {
+                sent: sum('networkSent'),
+                received: sum('networkReceived'),
+                interfaces: []
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Ground truth for a process at the current tick
+    labelFor(proc) {
+        const simulated = this.processes.get(proc.pid);
+        if (!simulated) return null;
+
+        return {
+            anomaly: simulated.episode ? simulated.episode.type : null,
+            episodeId: simulated.episode ? simulated.episode.id : null,
+            class: PROFILES[simulated.profile].label
+        };
+    }
+
+    getLabels() {
+        return this.episodes;
+    }
+
+    async close() {
+        // Record episodes that were still running
+        this.episodes.filter(episode => episode.endTime === null).forEach(episode => this.writeLabel(episode));
+
+        if (this.labelsStream) {
+            const stream = this.labelsStream;
+            this.labelsStream = null;
+            await new Promise(resolve => stream.end(resolve));
+        }
+    }
+}
+
+module.exports = SimulatedSource;
@@ -0,0 +1,605 @@
+const fs = require('fs');
+const path = require('path');
+const { matches, sorter, project, group, applyUpdate, equalityFields, getPath } = require('./query');
+
+const HOUR = 60 * 60 * 1000;
+
+// Time-series collections are split into segments by this field; the
+// others live in a single segment
+const TIME_FIELDS = {
+    ProcessMetrics: 'timestamp',
+    ProcessMetricsRollup: 'timestamp',
+    SystemMetrics: 'timestamp',
+    ProcessEvent: 'timestamp',
+    ProcessAction: 'timestamp',
+    Alert: 'createdAt'
+};
+
+const SINGLE_SEGMENT = 'all';
+
+function setPath(doc, keyPath, value) {
+    const keys = keyPath.split('.');
+    let target = doc;
+    for (const key of keys.slice(0, -1)) {
+        if (target[key] === null || typeof target[key] !== 'object') return;
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+// One collection stored as append-only NDJSON segment files. Each line is a
+// full document version or a tombstone ({ _id, _deleted: true }); the last
+// line for an _id wins. Time-series segments cover segmentMs each and are
+// named after their start, which doubles as the time index used to skip
+// segments outside a queried range.
+class EmbeddedCollection {
+    constructor(model, dir, { segmentMs, cacheSegments }) {
+        this.model = model;
+        this.dir = dir;
+        this.timeField = TIME_FIELDS[model.modelName] || null;
+        this.segmentMs = segmentMs;
+        this.cacheSegments = cacheSegments;
+        this.segments = new Map(); // key -> { key, start, lines, docs, version }
+        this.recentlyUsed = []; // keys of loaded segments, least recent first
+        this.lock = Promise.resolve();
+        this.opening = null;
+
+        this.datePaths = [];
+        model.schema.eachPath((schemaPath, type) => {
+            if (type.instance === 'Date') this.datePaths.push(schemaPath);
+        });
+
+        // TTL indexes of the schema, applied per document or per segment
+        this.ttlRules = model.schema.indexes()
+            .filter(([fields, options]) => options.expireAfterSeconds !== undefined && Object.keys(fields).length === 1)
+            .map(([fields, options]) => ({
+                field: Object.keys(fields)[0],
+                ttl: options.expireAfterSeconds * 1000,
+                partial: options.partialFilterExpression || null
+            }));
+        // Documents expiring on their own, not with their time segment
+        this.perDocumentTtl = this.ttlRules.some(rule => rule.field !== this.timeField || rule.partial);
+        // key -> { min, max }: earliest and latest document expiry in a time
+        // segment, kept in expiry.json so maintenance need not read every
+        // segment; segments without an entry are read once to build one
+        this.expiry = new Map();
+    }
+
+    ready() {
+        if (!this.opening) this.opening = this.open();
+        return this.opening;
+    }
+
+    async open() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const files = await fs.promises.readdir(this.dir);
+        files.filter(file => file.endsWith('.ndjson')).forEach(file => {
+            const key = file.slice(0, -'.ndjson'.length);
+            this.segments.set(key, {
+                key,
+                start: key === SINGLE_SEGMENT ? null : Number(key),
+                lines: null,
+                docs: null,
+                version: 0
+            });
+        });
+        if (this.perDocumentTtl) await this.loadExpiry();
+        await this.expireSegments();
+    }
+
+    expiryFile() {
+        return path.join(this.dir, 'expiry.json');
+    }
+
+    async loadExpiry() {
+        let saved = {};
+        try {
+            saved = JSON.parse(await fs.promises.readFile(this.expiryFile(), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`Rebuilding expiry index of ${this.model.modelName}:`, error.message);
+        }
+        Object.entries(saved).forEach(([key, [min, max]]) => {
+            if (this.segments.has(key)) this.expiry.set(key, { min: Number(min), max: Number(max) });
+        });
+    }
+
+    // Infinity is stored as a string, JSON has no literal for it
+    async saveExpiry() {
+        const saved = {};
+        this.expiry.forEach(({ min, max }, key) => {
+            saved[key] = [min, max].map(value => (Number.isFinite(value) ? value : String(value)));
+        });
+        const file = this.expiryFile();
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(saved));
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+
+    // Expiry bounds of documents, widening current if given; an empty
+    // segment gets max -Infinity
+    expiryBounds(docs, current = null) {
+        const bounds = current ? { ...current } : { min: Infinity, max: -Infinity };
+        for (const doc of docs) {
+            if (doc._deleted) continue;
+            const at = this.expiresAt(doc);
+            bounds.min = Math.min(bounds.min, at);
+            bounds.max = Math.max(bounds.max, at);
+        }
+        return bounds;
+    }
+
+    // Serialize writes to this collection
+    exclusive(operation) {
+        const run = this.lock.then(() => this.ready()).then(operation);
+        this.lock = run.catch(() => {});
+        return run;
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, `${key}.ndjson`);
+    }
+
+    segmentKey(doc) {
+        if (!this.timeField) return SINGLE_SEGMENT;
+        const time = getPath(doc, this.timeField);
+        const ms = time instanceof Date ? time.getTime() : Date.now();
+        return String(Math.floor(ms / this.segmentMs) * this.segmentMs);
+    }
+
+    // Read a segment into memory, evicting the least recently used ones.
+    // Reads do not take the lock: if append() wrote to the segment while it
+    // was being read, the read is repeated.
+    async load(segment) {
+        this.recentlyUsed = this.recentlyUsed.filter(key => key !== segment.key);
+        this.recentlyUsed.push(segment.key);
+
+        while (!segment.docs) {
+            const version = segment.version;
+            let content = '';
+            try {
+                content = await fs.promises.readFile(this.fileFor(segment.key), 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            const docs = new Map();
+            let lines = 0;
+            content.split('\n').forEach(line => {
+                if (!line.trim()) return;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    return; // torn write from a crash
+                }
+                lines++;
+                if (record._deleted) docs.delete(record._id);
+                else docs.set(record._id, this.revive(record));
+            });
+            if (segment.version === version && !segment.docs) {
+                segment.docs = docs;
+                segment.lines = lines;
+            }
+        }
+
+        const docs = segment.docs;
+        while (this.recentlyUsed.length > this.cacheSegments) {
+            const evicted = this.segments.get(this.recentlyUsed.shift());
+            if (evicted) evicted.docs = null;
+        }
+        return docs;
+    }
+
+    // Restore Date fields, which are stored as ISO strings
+    revive(record) {
+        this.datePaths.forEach(datePath => {
+            const value = getPath(record, datePath);
+            if (typeof value === 'string') setPath(record, datePath, new Date(value));
+        });
+        return record;
+    }
+
+    // Apply schema defaults, casting and validation
+    prepare(doc) {
+        const instance = new this.model(doc);
+        const error = instance.validateSync();
+        if (error) throw error;
+
+        const prepared = instance.toObject({ flattenMaps: true, versionKey: false });
+        prepared._id = String(prepared._id);
+        return prepared;
+    }
+
+    async append(key, records) {
+        if (records.length === 0) return;
+
+        let segment = this.segments.get(key);
+        const created = !segment;
+        if (created) {
+            segment = { key, start: key === SINGLE_SEGMENT ? null : Number(key), lines: 0, docs: new Map(), version: 0 };
+            this.segments.set(key, segment);
+        }
+
+        // Widened expiry bounds are saved before the records, so a crash
+        // cannot leave bounds that miss a document
+        if (this.perDocumentTtl && key !== SINGLE_SEGMENT && (created || this.expiry.has(key))) {
+            const current = this.expiry.get(key);
+            const bounds = this.expiryBounds(records, current);
+            if (!current || bounds.min < current.min || bounds.max > current.max) {
+                this.expiry.set(key, bounds);
+                await this.saveExpiry();
+            }
+        }
+
+        await fs.promises.appendFile(this.fileFor(key), records.map(record => JSON.stringify(record)).join('\n') + '\n');
+        // Same tick as the cache update, so a load() racing this write
+        // either sees the new version or has its cache patched below
+        segment.version++;
+        if (segment.lines !== null) segment.lines += records.length;
+        if (segment.docs) {
+            records.forEach(record => {
+                if (record._deleted) segment.docs.delete(record._id);
+                else segment.docs.set(record._id, record);
+            });
+        }
+    }
+
+    // When a document expires under the TTL rules, Infinity if never
+    expiresAt(doc) {
+        let at = Infinity;
+        this.ttlRules.forEach(rule => {
+            const value = getPath(doc, rule.field);
+            if (value instanceof Date && (!rule.partial || matches(doc, rule.partial))) {
+                at = Math.min(at, value.getTime() + rule.ttl);
+            }
+        });
+        return at;
+    }
+
+    isExpired(doc, now) {
+        return this.expiresAt(doc) <= now;
+    }
+
+    // Time range of a filter on the time field, as [from, to] in ms
+    timeRange(filter) {
+        const condition = this.timeField ? filter[this.timeField] : undefined;
+        if (condition === undefined) return [-Infinity, Infinity];
+        if (condition instanceof Date) return [condition.getTime(), condition.getTime()];
+
+        const bound = value => (value instanceof Date ? value.getTime() : Number(new Date(value)));
+        return [
+            condition.$gte !== undefined ? bound(condition.$gte) : condition.$gt !== undefined ? bound(condition.$gt) : -Infinity,
+            condition.$lte !== undefined ? bound(condition.$lte) : condition.$lt !== undefined ? bound(condition.$lt) : Infinity
+        ];
+    }
+
+    // Segments that may hold matches, in time order (newest first for descending)
+    candidateSegments(filter, descending = false) {
+        const [from, to] = this.timeRange(filter);
+        const segments = [...this.segments.values()]
+            .filter(segment => segment.start === null ||
+                (segment.start + this.segmentMs > from && segment.start <= to))
+            .sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+        return descending ? segments.reverse() : segments;
+    }
+
+    // Matching documents, segment by segment; stop() can end the scan early
+    async scan(filter, { descending = false, stop = null } = {}) {
+        const now = Date.now();
+        const results = [];
+        for (const segment of this.candidateSegments(filter, descending)) {
+            const docs = await this.load(segment);
+            docs.forEach(doc => {
+                if (matches(doc, filter) && !this.isExpired(doc, now)) results.push(doc);
+            });
+            if (stop && stop(results)) break;
+        }
+        return results;
+    }
+
+    async insertOne(doc) {
+        const [inserted] = await this.insertMany([doc]);
+        return inserted;
+    }
+
+    // Unordered like MongoDB: invalid documents do not keep the valid ones
+    // from being stored
+    async insertMany(docs) {
+        const prepared = [];
+        let invalid = null;
+        docs.forEach(doc => {
+            try {
+                prepared.push(this.prepare(doc));
+            } catch (error) {
+                invalid = invalid || error;
+            }
+        });
+
+        let appended = 0;
+        try {
+            await this.exclusive(async () => {
+                const bySegment = new Map();
+                prepared.forEach(doc => {
+                    const key = this.segmentKey(doc);
+                    if (!bySegment.has(key)) bySegment.set(key, []);
+                    bySegment.get(key).push(doc);
+                });
+                for (const [key, records] of bySegment) {
+                    await this.append(key, records);
+                    appended += records.length;
+                }
+            });
+        } catch (error) {
+            error.insertedCount = appended;
+            throw error;
+        }
+
+        if (invalid) {
+            invalid.insertedCount = appended;
+            throw invalid;
+        }
+        return prepared.map(doc => structuredClone(doc));
+    }
+
+    async find(filter = {}, { sort, limit, fields } = {}) {
+        await this.ready();
+
+        // Sorting on the time field lets the scan stop once enough
+        // documents were collected from whole segments
+        const sortKeys = sort ? Object.keys(sort) : [];
+        const timeOrdered = this.timeField && sortKeys[0] === this.timeField;
+        let results = await this.scan(filter, {
+            descending: timeOrdered && sort[this.timeField] < 0,
+            stop: timeOrdered && limit ? found => found.length >= limit : null
+        });
+
+        if (sort) results.sort(sorter(sort));
+        if (limit) results = results.slice(0, limit);
+        return results.map(doc => structuredClone(project(doc, fields)));
+    }
+
+    // Matching documents one segment at a time, so a long range never has
+    // to be held in memory. Only time-ordered (or unordered) streams can be
+    // produced that way; other sort orders fall back to find().
+    async *stream(filter = {}, { sort, fields } = {}) {
+        await this.ready();
+
+        const sortKeys = sort ? Object.keys(sort) : [];
+        if (sortKeys.length > 0 && (!this.timeField || sortKeys[0] !== this.timeField)) {
+            yield* await this.find(filter, { sort, fields });
+            return;
+        }
+
+        const now = Date.now();
+        for (const segment of this.candidateSegments(filter, sortKeys.length > 0 && sort[this.timeField] < 0)) {
+            const docs = [...(await this.load(segment)).values()]
+                .filter(doc => matches(doc, filter) && !this.isExpired(doc, now));
+            if (sort) docs.sort(sorter(sort));
+            for (const doc of docs) {
+                yield structuredClone(project(doc, fields));
+            }
+        }
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = await this.find(filter, { ...options, limit: 1 });
+        return doc || null;
+    }
+
+    async findOneAndUpdate(filter, update, { upsert = false } = {}) {
+        return this.exclusive(async () => {
+            const [current] = await this.scan(filter, { stop: found => found.length > 0 });
+
+            let next;
+            if (current) {
+                next = this.prepare(applyUpdate(current, update));
+                next._id = current._id;
+                const oldKey = this.segmentKey(current);
+                if (oldKey !== this.segmentKey(next)) {
+                    await this.append(oldKey, [{ _id: current._id, _deleted: true }]);
+                }
+            } else if (upsert) {
+                next = this.prepare(applyUpdate(equalityFields(filter), update));
+            } else {
+                return null;
+            }
+
+            await this.append(this.segmentKey(next), [next]);
+            return structuredClone(next);
+        });
+    }
+
+    // Insert or replace documents identified by keyFields
+    async upsertMany(docs, keyFields) {
+        await this.exclusive(async () => {
+            for (const doc of docs) {
+                const filter = {};
+                keyFields.forEach(field => { filter[field] = doc[field]; });
+                const [existing] = await this.scan(filter, { stop: found => found.length > 0 });
+
+                const next = this.prepare(doc);
+                if (existing) next._id = existing._id;
+                await this.append(this.segmentKey(next), [next]);
+            }
+        });
+    }
+
+    async deleteMany(filter) {
+        return this.exclusive(async () => {
+            let deletedCount = 0;
+            for (const segment of this.candidateSegments(filter)) {
+                const docs = await this.load(segment);
+                const ids = [...docs.values()].filter(doc => matches(doc, filter)).map(doc => doc._id);
+                if (ids.length === 0) continue;
+
+                deletedCount += ids.length;
+                if (ids.length === docs.size) {
+                    await this.removeSegment(segment);
+                } else {
+                    await this.append(segment.key, ids.map(_id => ({ _id, _deleted: true })));
+                }
+            }
+            return { deletedCount };
+        });
+    }
+
+    async countDocuments(filter = {}) {
+        await this.ready();
+        return (await this.scan(filter)).length;
+    }
+
+    async distinct(field, filter = {}) {
+        await this.ready();
+        const values = new Map();
+        (await this.scan(filter)).forEach(doc => {
+            const value = getPath(doc, field);
+            if (value === undefined) return;
+            (Array.isArray(value) ? value : [value]).forEach(item => {
+                values.set(item instanceof Date ? item.getTime() : item, item);
+            });
+        });
+        return [...values.values()];
+    }
+
+    async group(filter, by, accumulators, { sort, limit } = {}) {
+        await this.ready();
+        let results = group(await this.scan(filter), by, accumulators);
+        if (sort) results.sort(sorter(sort));
+        if (limit) results = results.slice(0, limit);
+        return results;
+    }
+
+    async removeSegment(segment) {
+        await fs.promises.rm(this.fileFor(segment.key), { force: true });
+        this.segments.delete(segment.key);
+        this.expiry.delete(segment.key);
+        this.recentlyUsed = this.recentlyUsed.filter(key => key !== segment.key);
+    }
+
+    // Drop whole segments that a TTL on the time field has expired
+    async expireSegments(now = Date.now()) {
+        const rule = this.ttlRules.find(candidate => candidate.field === this.timeField && !candidate.partial);
+        if (!rule) return;
+
+        for (const segment of [...this.segments.values()]) {
+            if (segment.start !== null && segment.start + this.segmentMs + rule.ttl <= now) {
+                await this.removeSegment(segment);
+            }
+        }
+    }
+
+    // Rewrite a segment with only its live documents
+    async compact(segment, now) {
+        const docs = await this.load(segment);
+        const live = [...docs.values()].filter(doc => !this.isExpired(doc, now));
+        if (live.length === 0) {
+            await this.removeSegment(segment);
+            return;
+        }
+
+        const file = this.fileFor(segment.key);
+        await fs.promises.writeFile(`${file}.tmp`, live.map(doc => JSON.stringify(doc)).join('\n') + '\n');
+        await fs.promises.rename(`${file}.tmp`, file);
+        segment.version++;
+        segment.docs = new Map(live.map(doc => [doc._id, doc]));
+        segment.lines = live.length;
+        if (this.perDocumentTtl && segment.key !== SINGLE_SEGMENT) {
+            this.expiry.set(segment.key, this.expiryBounds(live));
+        }
+    }
+
+    // Expire old segments, drop expired documents and superseded versions.
+    // Time segments with per-document expiry are only read when their
+    // expiry bounds say something in them has expired, or when they are in
+    // the cache anyway.
+    async maintain(now = Date.now()) {
+        await this.exclusive(async () => {
+            await this.expireSegments(now);
+
+            for (const segment of [...this.segments.values()]) {
+                if (this.perDocumentTtl && segment.key !== SINGLE_SEGMENT) {
+                    if (!this.expiry.has(segment.key)) {
+                        this.expiry.set(segment.key, this.expiryBounds((await this.load(segment)).values()));
+                    }
+                    const { min, max } = this.expiry.get(segment.key);
+                    if (max <= now) {
+                        await this.removeSegment(segment);
+                        continue;
+                    }
+                    if (min <= now) {
+                        await this.compact(segment, now);
+                        continue;
+                    }
+                }
+
+                if (segment.key === SINGLE_SEGMENT || (this.perDocumentTtl && segment.docs)) {
+                    const docs = await this.load(segment);
+                    const expired = [...docs.values()].some(doc => this.isExpired(doc, now));
+                    if (expired || segment.lines > docs.size * 2 + 100) {
+                        await this.compact(segment, now);
+                    }
+                }
+            }
+
+            if (this.perDocumentTtl) await this.saveExpiry();
+        });
+    }
+}
+
+// File-based storage for single-host setups without MongoDB
+class EmbeddedStore {
+    constructor({ dir, segmentMs = HOUR, cacheSegments = 8, maintenanceInterval = 10 * 60 * 1000 } = {}) {
+        this.name = 'embedded';
+        this.dir = dir;
+        this.segmentMs = segmentMs;
+        this.cacheSegments = cacheSegments;
+        this.maintenanceInterval = maintenanceInterval;
+        this.collections = new Map();
+        this.opened = false;
+        this.timer = null;
+    }
+
+    async open() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        this.opened = true;
+        this.timer = setInterval(() => this.maintain(), this.maintenanceInterval);
+        this.timer.unref();
+        console.log(`Embedded storage at ${this.dir}`);
+    }
+
+    isAvailable() {
+        return this.opened;
+    }
+
+    collection(model) {
+        if (!this.collections.has(model.modelName)) {
+            this.collections.set(model.modelName, new EmbeddedCollection(model, path.join(this.dir, model.modelName), {
+                segmentMs: this.segmentMs,
+                cacheSegments: this.cacheSegments
+            }));
+        }
+        return this.collections.get(model.modelName);
+    }
+
+    async maintain() {
+        for (const collection of this.collections.values()) {
+            try {
+                await collection.maintain();
+            } catch (error) {
+                console.error(`Embedded storage maintenance failed for ${collection.model.modelName}:`, error.message);
+            }
+        }
+    }
+
+    // The embedded store never goes away, so there is nothing to wait for
+    onAvailable() {}
+
+    offAvailable() {}
+
+    async close() {
+        clearInterval(this.timer);
+        await Promise.all([...this.collections.values()].map(collection => collection.lock));
+        this.opened = false;
+    }
+}
+
+module.exports = EmbeddedStore;
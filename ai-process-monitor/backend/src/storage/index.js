@@ -0,0 +1,74 @@
+const path = require('path');
+const MongoStore = require('./mongoStore');
+const EmbeddedStore = require('./embeddedStore');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+// Build the backend named by STORAGE_BACKEND: 'mongo' (default) or 'embedded'
+function createStore(env = process.env) {
+    const backend = env.STORAGE_BACKEND || 'mongo';
+    switch (backend) {
+        case 'mongo':
+            return new MongoStore();
+        case 'embedded':
+            return new EmbeddedStore({
+                dir: env.STORAGE_DATA_DIR || DEFAULT_DATA_DIR,
+                segmentMs: (parseFloat(env.STORAGE_SEGMENT_HOURS) || 1) * 60 * 60 * 1000,
+                cacheSegments: parseInt(env.STORAGE_CACHE_SEGMENTS) || 8
+            });
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+// Entry point for persistence. Services get a collection per mongoose model
+// with the same API on every backend:
+//   insertOne, insertMany, find(filter, { sort, limit, fields }), findOne,
+//   stream(filter, { sort, fields }) (async iterator),
+//   findOneAndUpdate(filter, update, { upsert }), upsertMany(docs, keyFields),
+//   deleteMany, countDocuments, distinct, group(filter, by, accumulators, { sort, limit })
+// Reads return plain objects, like lean() queries. insertMany is unordered:
+// valid documents are stored even when others are rejected, and its error
+// then carries insertedCount.
+class Storage {
+    constructor() {
+        this.store = null;
+    }
+
+    // The backend is created on first use so that .env is loaded by then
+    current() {
+        if (!this.store) this.store = createStore();
+        return this.store;
+    }
+
+    get backend() {
+        return this.current().name;
+    }
+
+    async open() {
+        await this.current().open();
+    }
+
+    // Whether writes can go through right now (the DB may be disconnected)
+    isAvailable() {
+        return this.current().isAvailable();
+    }
+
+    collection(model) {
+        return this.current().collection(model);
+    }
+
+    onAvailable(listener) {
+        this.current().onAvailable(listener);
+    }
+
+    offAvailable(listener) {
+        this.current().offAvailable(listener);
+    }
+
+    async close() {
+        if (this.store) await this.store.close();
+    }
+}
+
+module.exports = new Storage();
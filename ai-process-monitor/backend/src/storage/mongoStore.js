@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const connectDB = require('../db/mongoose');
+
+const ACCUMULATORS = {
+    count: () => ({ $sum: 1 }),
+    sum: path => ({ $sum: `$${path}` }),
+    avg: path => ({ $avg: `$${path}` }),
+    min: path => ({ $min: `$${path}` }),
+    max: path => ({ $max: `$${path}` })
+};
+
+// Collection API over a mongoose model
+class MongoCollection {
+    constructor(model) {
+        this.model = model;
+    }
+
+    async insertOne(doc) {
+        const saved = await new this.model(doc).save();
+        return saved.toObject();
+    }
+
+    async insertMany(docs) {
+        try {
+            const saved = await this.model.insertMany(docs, { ordered: false, throwOnValidationError: true });
+            return saved.map(doc => doc.toObject());
+        } catch (error) {
+            error.insertedCount = error.insertedDocs
+                ? error.insertedDocs.length
+                : (error.rawResult?.insertedCount ?? 0);
+            throw error;
+        }
+    }
+
+    async find(filter = {}, { sort, limit, fields } = {}) {
+        let query = this.model.find(filter);
+        if (sort) query = query.sort(sort);
+        if (limit) query = query.limit(limit);
+        if (fields) query = query.select(fields);
+        return query.lean();
+    }
+
+    // Matching documents one at a time through a cursor
+    async *stream(filter = {}, { sort, fields } = {}) {
+        let query = this.model.find(filter);
+        if (sort) query = query.sort(sort);
+        if (fields) query = query.select(fields);
+        for await (const doc of query.lean().cursor()) {
+            yield doc;
+        }
+    }
+
+    async findOne(filter = {}, { sort, fields } = {}) {
+        let query = this.model.findOne(filter);
+        if (sort) query = query.sort(sort);
+        if (fields) query = query.select(fields);
+        return query.lean();
+    }
+
+    async findOneAndUpdate(filter, update, { upsert = false } = {}) {
+        return this.model.findOneAndUpdate(filter, update, {
+            upsert,
+            new: true,
+            setDefaultsOnInsert: true
+        }).lean();
+    }
+
+    // Insert or replace documents identified by keyFields
+    async upsertMany(docs, keyFields) {
+        if (docs.length === 0) return;
+
+        await this.model.bulkWrite(docs.map(doc => {
+            const filter = {};
+            keyFields.forEach(field => { filter[field] = doc[field]; });
+            return { replaceOne: { filter, replacement: doc, upsert: true } };
+        }), { ordered: false });
+    }
+
+    async deleteMany(filter) {
+        const result = await this.model.deleteMany(filter);
+        return { deletedCount: result.deletedCount };
+    }
+
+    async countDocuments(filter = {}) {
+        return this.model.countDocuments(filter);
+    }
+
+    async distinct(field, filter = {}) {
+        return this.model.distinct(field, filter);
+    }
+
+    // $match + $group (+ $sort/$limit); see query.group for accumulators
+    async group(filter, by, accumulators, { sort, limit } = {}) {
+        const spec = { _id: by ? `$${by}` : null };
+        Object.entries(accumulators).forEach(([name, [op, path]]) => {
+            if (!ACCUMULATORS[op]) throw new Error(`Unsupported accumulator: ${op}`);
+            spec[name] = ACCUMULATORS[op](path);
+        });
+
+        const pipeline = [{ $match: filter }, { $group: spec }];
+        if (sort) pipeline.push({ $sort: sort });
+        if (limit) pipeline.push({ $limit: limit });
+        return this.model.aggregate(pipeline);
+    }
+}
+
+// MongoDB through mongoose (the default backend)
+class MongoStore {
+    constructor() {
+        this.name = 'mongo';
+        this.collections = new Map();
+    }
+
+    async open() {
+        await connectDB();
+        try {
+            await this.dropStaleTtlIndexes();
+        } catch (error) {
+            console.warn('Could not check TTL indexes:', error.message);
+        }
+    }
+
+    // TTL indexes delete data, so one a schema no longer declares (such as
+    // the old 7-day index on ProcessMetrics) must not outlive it
+    async dropStaleTtlIndexes() {
+        for (const model of Object.values(mongoose.models)) {
+            const declared = new Set(model.schema.indexes()
+                .filter(([, options]) => options.expireAfterSeconds !== undefined)
+                .map(([fields]) => JSON.stringify(fields)));
+
+            const indexes = await model.collection.indexes().catch(() => []); // no collection yet
+            for (const index of indexes) {
+                if (index.expireAfterSeconds !== undefined && !declared.has(JSON.stringify(index.key))) {
+                    await model.collection.dropIndex(index.name);
+                    console.log(`Dropped stale TTL index ${index.name} on ${model.collection.collectionName}`);
+                }
+            }
+        }
+    }
+
+    isAvailable() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    collection(model) {
+        if (!this.collections.has(model.modelName)) {
+            this.collections.set(model.modelName, new MongoCollection(model));
+        }
+        return this.collections.get(model.modelName);
+    }
+
+    // Call listener whenever the connection comes back
+    onAvailable(listener) {
+        mongoose.connection.on('connected', listener);
+        mongoose.connection.on('reconnected', listener);
+    }
+
+    offAvailable(listener) {
+        mongoose.connection.off('connected', listener);
+        mongoose.connection.off('reconnected', listener);
+    }
+
+    async close() {
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.disconnect();
+        }
+    }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,197 @@
+// In-memory evaluation of the MongoDB query subset used by the services:
+// equality on (dotted) fields, $eq/$ne/$gt/$gte/$lt/$lte/$in/$nin/$exists,
+// $and/$or, sort objects, field projections and $group-style accumulators.
+
+const OPERATORS = {
+    $eq: (value, arg) => equals(value, arg),
+    $ne: (value, arg) => !equals(value, arg),
+    $gt: (value, arg) => comparable(value, arg) && compare(value, arg) > 0,
+    $gte: (value, arg) => comparable(value, arg) && compare(value, arg) >= 0,
+    $lt: (value, arg) => comparable(value, arg) && compare(value, arg) < 0,
+    $lte: (value, arg) => comparable(value, arg) && compare(value, arg) <= 0,
+    $in: (value, arg) => arg.some(item => equals(value, item)),
+    $nin: (value, arg) => !arg.some(item => equals(value, item)),
+    $exists: (value, arg) => (value !== undefined) === Boolean(arg)
+};
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Dates compare by time; everything else by value
+function normalize(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(value, arg) {
+    if (Array.isArray(value) && !Array.isArray(arg)) {
+        return value.some(item => equals(item, arg));
+    }
+    if (arg === null) return value === null || value === undefined;
+    return normalize(value) === normalize(arg);
+}
+
+function comparable(value, arg) {
+    if (value === null || value === undefined) return false;
+    return typeof normalize(value) === typeof normalize(arg);
+}
+
+function compare(a, b) {
+    const x = normalize(a);
+    const y = normalize(b);
+    if (x === y) return 0;
+    return x < y ? -1 : 1;
+}
+
+function isOperatorObject(arg) {
+    return arg !== null && typeof arg === 'object' && !(arg instanceof Date) && !Array.isArray(arg) &&
+        Object.keys(arg).length > 0 && Object.keys(arg).every(key => key.startsWith('$'));
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, arg]) => {
+        if (key === '$and') return arg.every(sub => matches(doc, sub));
+        if (key === '$or') return arg.some(sub => matches(doc, sub));
+
+        const value = getPath(doc, key);
+        if (isOperatorObject(arg)) {
+            return Object.entries(arg).every(([op, opArg]) => {
+                if (!OPERATORS[op]) throw new Error(`Unsupported query operator: ${op}`);
+                return OPERATORS[op](value, opArg);
+            });
+        }
+        return equals(value, arg);
+    });
+}
+
+// Comparator for a sort object like { timestamp: -1 }. Missing values sort first.
+function sorter(sort = {}) {
+    const keys = Object.entries(sort);
+    return (a, b) => {
+        for (const [key, direction] of keys) {
+            const x = getPath(a, key);
+            const y = getPath(b, key);
+            if (x === undefined && y === undefined) continue;
+            if (x === undefined) return -direction;
+            if (y === undefined) return direction;
+            const order = compare(x, y);
+            if (order !== 0) return order * direction;
+        }
+        return 0;
+    };
+}
+
+// Inclusive projection like 'timestamp metrics.cpu' or { timestamp: 1 }
+function project(doc, fields) {
+    if (!fields) return doc;
+
+    const paths = typeof fields === 'string'
+        ? fields.split(/\s+/).filter(Boolean)
+        : Object.keys(fields).filter(key => fields[key]);
+    const result = { _id: doc._id };
+    paths.forEach(path => {
+        const value = getPath(doc, path);
+        if (value === undefined) return;
+
+        const keys = path.split('.');
+        let target = result;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    });
+    return result;
+}
+
+// Group documents like $group. accumulators maps output fields to
+// [op, path] with op one of count, sum, avg, min, max. Non-numeric values
+// are ignored by sum/avg/min/max, as in MongoDB.
+function group(docs, by, accumulators) {
+    const fields = Object.entries(accumulators);
+    fields.forEach(([, [op]]) => {
+        if (!['count', 'sum', 'avg', 'min', 'max'].includes(op)) throw new Error(`Unsupported accumulator: ${op}`);
+    });
+
+    // Running totals per group, so no group holds its documents
+    const groups = new Map();
+    docs.forEach(doc => {
+        const id = by ? getPath(doc, by) : null;
+        const key = JSON.stringify(normalize(id) ?? null);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                id,
+                count: 0,
+                totals: fields.map(() => ({ sum: 0, count: 0, min: Infinity, max: -Infinity }))
+            });
+        }
+
+        const state = groups.get(key);
+        state.count++;
+        fields.forEach(([, [op, path]], idx) => {
+            if (op === 'count') return;
+            const value = getPath(doc, path);
+            if (typeof value !== 'number') return;
+
+            const total = state.totals[idx];
+            total.sum += value;
+            total.count++;
+            if (value < total.min) total.min = value;
+            if (value > total.max) total.max = value;
+        });
+    });
+
+    return [...groups.values()].map(({ id, count, totals }) => {
+        const result = { _id: id ?? null };
+        fields.forEach(([name, [op]], idx) => {
+            const total = totals[idx];
+            if (op === 'count') result[name] = count;
+            else if (op === 'sum') result[name] = total.sum;
+            else if (total.count === 0) result[name] = null;
+            else if (op === 'avg') result[name] = total.sum / total.count;
+            else result[name] = total[op];
+        });
+        return result;
+    });
+}
+
+// Apply a findOneAndUpdate-style update: plain fields and $set assign,
+// $unset removes, $inc adds
+function applyUpdate(doc, update) {
+    const next = structuredClone(doc);
+    const assign = (path, value) => {
+        const keys = path.split('.');
+        let target = next;
+        keys.slice(0, -1).forEach(key => {
+            if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    };
+
+    Object.entries(update).forEach(([key, value]) => {
+        if (key === '$set') {
+            Object.entries(value).forEach(([path, fieldValue]) => assign(path, fieldValue));
+        } else if (key === '$unset') {
+            Object.keys(value).forEach(path => assign(path, undefined));
+        } else if (key === '$inc') {
+            Object.entries(value).forEach(([path, amount]) => assign(path, (getPath(next, path) || 0) + amount));
+        } else if (key.startsWith('$')) {
+            throw new Error(`Unsupported update operator: ${key}`);
+        } else {
+            assign(key, value);
+        }
+    });
+    return next;
+}
+
+// Equality conditions of a filter, used as the base of an upserted document
+function equalityFields(filter) {
+    const fields = {};
+    Object.entries(filter).forEach(([key, arg]) => {
+        if (!key.startsWith('$') && !isOperatorObject(arg)) fields[key] = arg;
+    });
+    return fields;
+}
+
+module.exports = { matches, sorter, project, group, applyUpdate, equalityFields, getPath };
@@ -0,0 +1,88 @@
+// Command-line export and import of metrics, alerts and model metadata.
+//   npm run transfer -- export metrics --format csv --from 2024-05-01 --name nginx --anomaly-only --out nginx.csv
+//   npm run transfer -- import alerts --file alerts.ndjson --dry-run
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const storage = require('./storage');
+const dataTransfer = require('./services/dataTransfer');
+
+const USAGE = `Usage:
+  transfer export <${dataTransfer.datasets.join('|')}> [--format csv|ndjson] [--from DATE] [--to DATE]
+                  [--process KEY,...] [--name NAME,...] [--host HOST] [--anomaly-only] [--out FILE]
+  transfer import <${dataTransfer.datasets.join('|')}> --file FILE [--format csv|ndjson] [--dry-run]`;
+
+// "--from x --anomaly-only" -> { from: 'x', anomalyOnly: true }
+function parseArgs(argv) {
+    const args = { positional: [] };
+    for (let idx = 0; idx < argv.length; idx++) {
+        const arg = argv[idx];
+        if (!arg.startsWith('--')) {
+            args.positional.push(arg);
+            continue;
+        }
+        const name = arg.slice(2).replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+        const next = argv[idx + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[name] = true;
+        } else {
+            args[name] = next;
+            idx++;
+        }
+    }
+    return args;
+}
+
+async function runExport(dataset, args) {
+    const { options, errors } = dataTransfer.parseExport(dataset, {
+        ...args,
+        format: args.format || (args.out ? dataTransfer.formatFor(args.out) : undefined)
+    });
+    if (errors.length > 0) throw new Error(errors.join('; '));
+
+    const output = args.out ? fs.createWriteStream(args.out) : process.stdout;
+    await pipeline(Readable.from(dataTransfer.export(options)), output, { end: Boolean(args.out) });
+    if (args.out) console.error(`Exported ${dataset} to ${args.out}`);
+}
+
+async function runImport(dataset, args) {
+    if (!dataTransfer.datasets.includes(dataset)) throw new Error(USAGE);
+    if (typeof args.file !== 'string') throw new Error('--file is required for import');
+
+    const format = args.format || dataTransfer.formatFor(args.file);
+    const result = await dataTransfer.import(dataset, fs.createReadStream(args.file, 'utf8'), {
+        format,
+        dryRun: args.dryRun === true
+    });
+
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    if (result.error) throw new Error(result.error);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, dataset] = args.positional;
+    if (!['export', 'import'].includes(command) || !dataset) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    // stdout carries exported data, so log messages go to stderr
+    console.log = console.error;
+
+    await storage.open();
+    try {
+        if (command === 'export') await runExport(dataset, args);
+        else await runImport(dataset, args);
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Transfer failed:', error.message);
+    process.exit(1);
+});